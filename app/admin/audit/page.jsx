@@ -0,0 +1,311 @@
+"use client";
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import { useRouter } from "next/navigation";
+import { Table, Select, Input, DatePicker, Button, Card, Tag, message } from "antd";
+import { PERMISSIONS, hasPermission } from "@/lib/auth/roles";
+import { AUDIT_ACTION_LABELS, getAuditActionText } from "@/lib/audit";
+
+const { Option } = Select;
+const { RangePicker } = DatePicker;
+
+const ENTITY_TYPE_LABELS = {
+  submission: "Pengajuan",
+  admin: "Admin",
+  login_throttle: "Penguncian Login",
+  rejection_reason: "Alasan Penolakan",
+  service: "Layanan",
+  notification: "Notifikasi",
+  notification_template: "Template Notifikasi",
+};
+
+const EMPTY_FILTERS = {
+  action: undefined,
+  actor: "",
+  entity_type: undefined,
+  entity_id: "",
+  range: null,
+};
+
+export default function AdminAuditPage() {
+  const router = useRouter();
+  const [authorized, setAuthorized] = useState(false);
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [pagination, setPagination] = useState({ current: 1, pageSize: 20, total: 0 });
+  const pageSizeRef = useRef(pagination.pageSize); // Last page size, reused when filters reset paging
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+
+  const fetchLogs = useCallback(
+    async (page, pageSize) => {
+      setLoading(true);
+      try {
+        const params = new URLSearchParams({
+          page: String(page),
+          pageSize: String(pageSize),
+        });
+        if (appliedFilters.action) params.set("action", appliedFilters.action);
+        if (appliedFilters.actor) params.set("actor", appliedFilters.actor);
+        if (appliedFilters.entity_type) params.set("entity_type", appliedFilters.entity_type);
+        if (appliedFilters.entity_id) params.set("entity_id", appliedFilters.entity_id);
+        if (appliedFilters.range) {
+          params.set("from", appliedFilters.range[0].startOf("day").toISOString());
+          params.set("to", appliedFilters.range[1].endOf("day").toISOString());
+        }
+
+        const response = await fetch(`/api/admin/audit-logs?${params}`, {
+          cache: "no-store",
+        });
+
+        if (response.status === 401) {
+          router.push("/admin/login");
+          return;
+        }
+
+        const data = await response.json();
+        if (response.ok) {
+          setLogs(data.data);
+          pageSizeRef.current = data.pageSize;
+          setPagination({
+            current: data.page,
+            pageSize: data.pageSize,
+            total: data.total,
+          });
+        } else {
+          message.error(data.message || "Gagal memuat log audit");
+        }
+      } catch (error) {
+        message.error("Terjadi kesalahan jaringan");
+      } finally {
+        setLoading(false);
+      }
+    },
+    [router, appliedFilters]
+  );
+
+  useEffect(() => {
+    // Only admins with the audit permission may open this page
+    const checkAuth = async () => {
+      try {
+        const response = await fetch("/api/admin/session", {
+          cache: "no-store",
+        });
+        if (!response.ok) {
+          router.push("/admin/login");
+          return;
+        }
+        const data = await response.json();
+        if (!hasPermission(data.admin.role, PERMISSIONS.VIEW_AUDIT_LOG)) {
+          message.error("Anda tidak memiliki akses ke log audit");
+          router.push("/admin");
+          return;
+        }
+        setAuthorized(true);
+      } catch (error) {
+        router.push("/admin/login");
+      }
+    };
+
+    checkAuth();
+  }, [router]);
+
+  useEffect(() => {
+    // Filter baru selalu dimulai dari halaman pertama
+    if (authorized) {
+      fetchLogs(1, pageSizeRef.current);
+    }
+  }, [authorized, fetchLogs]);
+
+  const handleTableChange = (newPagination) => {
+    fetchLogs(newPagination.current, newPagination.pageSize);
+  };
+
+  const formatValues = (values) => {
+    if (!values || Object.keys(values).length === 0) {
+      return "-";
+    }
+    return JSON.stringify(values, null, 2);
+  };
+
+  const columns = [
+    {
+      title: "Waktu",
+      dataIndex: "created_at",
+      key: "created_at",
+      width: 180,
+      render: (date) => new Date(date).toLocaleString("id-ID"),
+    },
+    {
+      title: "Pelaku",
+      dataIndex: "actor_username",
+      key: "actor_username",
+      render: (actor) => actor || <span className="text-gray-400">-</span>,
+    },
+    {
+      title: "Tindakan",
+      dataIndex: "action",
+      key: "action",
+      render: (action) => (
+        <Tag color={action.endsWith("_failed") ? "red" : "blue"}>
+          {getAuditActionText(action)}
+        </Tag>
+      ),
+    },
+    {
+      title: "Entitas",
+      key: "entity",
+      render: (_, record) =>
+        record.entity_type ? (
+          <div>
+            <div>{ENTITY_TYPE_LABELS[record.entity_type] || record.entity_type}</div>
+            <div className="text-xs text-gray-500 font-mono break-all">
+              {record.entity_id}
+            </div>
+          </div>
+        ) : (
+          <span className="text-gray-400">-</span>
+        ),
+    },
+    {
+      title: "IP",
+      dataIndex: "ip_address",
+      key: "ip_address",
+      render: (ip) => <span className="font-mono text-sm">{ip || "-"}</span>,
+    },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 py-4 sm:py-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+                Log Audit
+              </h1>
+              <p className="text-sm sm:text-base text-gray-600 mt-1">
+                Riwayat tindakan admin: login, perubahan status, ekspor, dan
+                pengelolaan akun
+              </p>
+            </div>
+            <a
+              href="/admin"
+              className="text-blue-600 hover:text-blue-800 font-medium text-sm sm:text-base"
+            >
+              ← Dashboard
+            </a>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-4 sm:py-8 space-y-6">
+        <Card title="Filter">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            <Select
+              allowClear
+              placeholder="Semua tindakan"
+              value={filters.action}
+              onChange={(value) => setFilters((prev) => ({ ...prev, action: value }))}
+            >
+              {Object.entries(AUDIT_ACTION_LABELS).map(([action, label]) => (
+                <Option key={action} value={action}>
+                  {label}
+                </Option>
+              ))}
+            </Select>
+            <Input
+              allowClear
+              placeholder="Pelaku (username)"
+              value={filters.actor}
+              onChange={(e) => setFilters((prev) => ({ ...prev, actor: e.target.value }))}
+            />
+            <RangePicker
+              value={filters.range}
+              onChange={(range) => setFilters((prev) => ({ ...prev, range }))}
+              format="DD/MM/YYYY"
+            />
+            <Select
+              allowClear
+              placeholder="Semua entitas"
+              value={filters.entity_type}
+              onChange={(value) =>
+                setFilters((prev) => ({ ...prev, entity_type: value }))
+              }
+            >
+              {Object.entries(ENTITY_TYPE_LABELS).map(([type, label]) => (
+                <Option key={type} value={type}>
+                  {label}
+                </Option>
+              ))}
+            </Select>
+            <Input
+              allowClear
+              placeholder="ID entitas"
+              value={filters.entity_id}
+              onChange={(e) =>
+                setFilters((prev) => ({ ...prev, entity_id: e.target.value.trim() }))
+              }
+            />
+            <div className="flex gap-2">
+              <Button type="primary" onClick={() => setAppliedFilters(filters)}>
+                Terapkan
+              </Button>
+              <Button
+                onClick={() => {
+                  setFilters(EMPTY_FILTERS);
+                  setAppliedFilters(EMPTY_FILTERS);
+                }}
+              >
+                Reset
+              </Button>
+            </div>
+          </div>
+        </Card>
+
+        <Card title="Riwayat">
+          <Table
+            columns={columns}
+            dataSource={logs}
+            rowKey="id"
+            loading={loading}
+            size="small"
+            scroll={{ x: 800 }}
+            pagination={{
+              ...pagination,
+              showSizeChanger: true,
+              showTotal: (total) => `${total} entri`,
+            }}
+            onChange={handleTableChange}
+            expandable={{
+              expandedRowRender: (record) => (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <div className="text-xs font-semibold text-gray-500 mb-1">
+                      Sebelum
+                    </div>
+                    <pre className="bg-gray-100 rounded p-2 text-xs whitespace-pre-wrap">
+                      {formatValues(record.before)}
+                    </pre>
+                  </div>
+                  <div>
+                    <div className="text-xs font-semibold text-gray-500 mb-1">
+                      Sesudah
+                    </div>
+                    <pre className="bg-gray-100 rounded p-2 text-xs whitespace-pre-wrap">
+                      {formatValues(record.after)}
+                    </pre>
+                  </div>
+                  <div className="md:col-span-2 text-xs text-gray-500 break-all">
+                    User agent: {record.user_agent || "-"}
+                  </div>
+                </div>
+              ),
+            }}
+          />
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,340 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Drawer, Timeline, Tag, Spin, Alert, Input, Button, Image, message } from "antd";
+
+const STATUS_COLORS = {
+  PENGAJUAN_BARU: "gold",
+  DIPROSES: "blue",
+  PERLU_KELENGKAPAN: "orange",
+  SELESAI: "green",
+  DITOLAK: "red",
+};
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString("id-ID", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const formatFileSize = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+export default function SubmissionDetailDrawer({
+  submissionId,
+  open,
+  onClose,
+  getStatusText,
+}) {
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [notes, setNotes] = useState([]);
+  const [noteText, setNoteText] = useState("");
+  const [savingNote, setSavingNote] = useState(false);
+  const [attachments, setAttachments] = useState([]);
+
+  const fetchNotes = async (id) => {
+    try {
+      const response = await fetch(`/api/admin/submissions/${id}/notes`, {
+        cache: "no-store",
+      });
+      if (response.ok) {
+        setNotes(await response.json());
+      }
+    } catch (error) {
+      console.error("Error fetching submission notes:", error);
+    }
+  };
+
+  const fetchAttachments = async (id) => {
+    try {
+      const response = await fetch(`/api/admin/submissions/${id}/attachments`, {
+        cache: "no-store",
+      });
+      if (response.ok) {
+        setAttachments(await response.json());
+      }
+    } catch (error) {
+      console.error("Error fetching submission attachments:", error);
+    }
+  };
+
+  const handleAddNote = async () => {
+    if (!noteText.trim()) {
+      return;
+    }
+
+    setSavingNote(true);
+    try {
+      const response = await fetch(
+        `/api/admin/submissions/${submissionId}/notes`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ note: noteText }),
+        }
+      );
+      const data = await response.json();
+      if (response.ok) {
+        setNoteText("");
+        setNotes((prev) => [data.note, ...prev]);
+      } else {
+        message.error(data.message || "Gagal menyimpan catatan");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setSavingNote(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!open || !submissionId) {
+      return;
+    }
+
+    setNotes([]);
+    setNoteText("");
+    setAttachments([]);
+    fetchNotes(submissionId);
+    fetchAttachments(submissionId);
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      setError("");
+      setDetail(null);
+      try {
+        const response = await fetch(
+          `/api/admin/submissions/${submissionId}/history`,
+          { cache: "no-store" }
+        );
+        const data = await response.json();
+        if (response.ok) {
+          setDetail(data);
+        } else {
+          setError(data.message || "Gagal memuat riwayat status");
+        }
+      } catch (error) {
+        setError("Terjadi kesalahan jaringan");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [open, submissionId]);
+
+  return (
+    <Drawer
+      title="Detail Pengajuan"
+      open={open}
+      onClose={onClose}
+      width={480}
+      destroyOnClose
+      extra={
+        submissionId && (
+          <a href={`/admin/submissions/${submissionId}`} className="text-sm">
+            Halaman Lengkap
+          </a>
+        )
+      }
+    >
+      {loading && (
+        <div className="flex justify-center py-8">
+          <Spin />
+        </div>
+      )}
+
+      {error && <Alert type="error" showIcon message={error} />}
+
+      {detail && (
+        <div className="space-y-6">
+          <div className="space-y-2">
+            <div>
+              <p className="text-sm text-gray-500">Kode Tracking</p>
+              <p className="font-mono break-all">
+                {detail.submission.tracking_code}
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Nama</p>
+              <p>{detail.submission.nama}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Jenis Layanan</p>
+              <p>
+                {detail.submission.service_name || detail.submission.jenis_layanan}
+              </p>
+            </div>
+            {detail.submission.form_answers.map((answer) => (
+              <div key={answer.name}>
+                <p className="text-sm text-gray-500">{answer.label}</p>
+                <p className="whitespace-pre-wrap">{String(answer.value)}</p>
+              </div>
+            ))}
+            <div>
+              <p className="text-sm text-gray-500">Status Saat Ini</p>
+              <Tag color={STATUS_COLORS[detail.submission.status]}>
+                {getStatusText(detail.submission.status)}
+              </Tag>
+            </div>
+            {detail.submission.rejection_reason && (
+              <div>
+                <p className="text-sm text-gray-500">Alasan Penolakan</p>
+                <p>{detail.submission.rejection_reason}</p>
+              </div>
+            )}
+            {detail.submission.revision_items?.length > 0 && (
+              <div>
+                <p className="text-sm text-gray-500">
+                  Kelengkapan Diminta
+                  {detail.submission.revision_requested_at &&
+                    ` (${formatDateTime(detail.submission.revision_requested_at)})`}
+                </p>
+                <ul className="list-disc pl-5">
+                  {detail.submission.revision_items.map((item) => (
+                    <li key={item}>{item}</li>
+                  ))}
+                </ul>
+                {detail.submission.revision_note && (
+                  <p className="text-sm text-gray-600">
+                    {detail.submission.revision_note}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-base font-semibold text-gray-900 mb-3">
+              Dokumen Lampiran
+            </h3>
+            {attachments.length === 0 ? (
+              <p className="text-sm text-gray-400">Tidak ada lampiran</p>
+            ) : (
+              <div className="space-y-3">
+                {attachments.map((attachment) => {
+                  const fileUrl = `/api/admin/attachments/${attachment.id}`;
+                  return (
+                    <div
+                      key={attachment.id}
+                      className="flex items-center gap-3 bg-gray-50 rounded p-2"
+                    >
+                      {attachment.mime_type.startsWith("image/") ? (
+                        <Image
+                          src={fileUrl}
+                          alt={attachment.original_name}
+                          width={56}
+                          height={56}
+                          style={{ objectFit: "cover" }}
+                        />
+                      ) : (
+                        <div className="w-14 h-14 flex items-center justify-center bg-red-100 text-red-700 text-xs font-semibold rounded">
+                          PDF
+                        </div>
+                      )}
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm truncate" title={attachment.original_name}>
+                          {attachment.original_name}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {formatFileSize(attachment.size_bytes)}
+                        </p>
+                      </div>
+                      <div className="flex flex-col text-sm">
+                        <a href={fileUrl} target="_blank" rel="noopener noreferrer">
+                          Lihat
+                        </a>
+                        <a href={`${fileUrl}?download=1`}>Unduh</a>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-base font-semibold text-gray-900 mb-4">
+              Riwayat Status
+            </h3>
+            <Timeline
+              items={detail.history.map((entry) => ({
+                color: STATUS_COLORS[entry.to_status] || "gray",
+                children: (
+                  <div>
+                    <p className="font-medium">
+                      {entry.from_status
+                        ? `${getStatusText(entry.from_status)} → ${getStatusText(entry.to_status)}`
+                        : getStatusText(entry.to_status)}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {formatDateTime(entry.created_at)}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {entry.changed_by_username
+                        ? `Oleh ${entry.changed_by_username}`
+                        : entry.id && entry.from_status === "PERLU_KELENGKAPAN"
+                        ? "Dilengkapi oleh pemohon"
+                        : entry.id
+                        ? "Diajukan oleh pemohon"
+                        : "Data sebelum riwayat status dicatat"}
+                    </p>
+                  </div>
+                ),
+              }))}
+            />
+          </div>
+
+          <div>
+            <h3 className="text-base font-semibold text-gray-900 mb-1">
+              Catatan Internal
+            </h3>
+            <p className="text-xs text-gray-500 mb-3">
+              Hanya terlihat oleh admin, tidak pernah dikirim ke pemohon.
+            </p>
+            <Input.TextArea
+              rows={3}
+              maxLength={2000}
+              value={noteText}
+              onChange={(e) => setNoteText(e.target.value)}
+              placeholder="Tulis catatan untuk admin lain"
+            />
+            <Button
+              className="mt-2"
+              type="primary"
+              loading={savingNote}
+              disabled={!noteText.trim()}
+              onClick={handleAddNote}
+            >
+              Simpan Catatan
+            </Button>
+            <div className="mt-4 space-y-3">
+              {notes.length === 0 ? (
+                <p className="text-sm text-gray-400">Belum ada catatan</p>
+              ) : (
+                notes.map((note) => (
+                  <div key={note.id} className="bg-gray-50 rounded p-3">
+                    <p className="text-sm whitespace-pre-wrap">{note.note}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {note.admin_username || "-"} &middot;{" "}
+                      {formatDateTime(note.created_at)}
+                    </p>
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </Drawer>
+  );
+}
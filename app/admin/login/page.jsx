@@ -12,6 +12,8 @@ export default function AdminLogin() {
   });
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [step, setStep] = useState("password"); // "password" or "2fa"
+  const [totpCode, setTotpCode] = useState("");
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -24,6 +26,67 @@ export default function AdminLogin() {
     }
   };
 
+  const completeLogin = (data) => {
+    // Show success message
+    message.success("Login berhasil! Mengalihkan ke dashboard...");
+
+    // Admin yang wajib 2FA tapi belum mendaftar diarahkan ke halaman keamanan
+    const target = data.requires_2fa_enrollment ? "/admin/security" : "/admin";
+
+    // Small delay to show the success message
+    setTimeout(() => {
+      router.push(target);
+    }, 1000);
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+
+    if (!totpCode.trim()) {
+      setErrors({ submit: "Kode verifikasi wajib diisi" });
+      return;
+    }
+
+    if (isSubmitting) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrors({});
+
+    try {
+      const response = await fetch("/api/admin/login/verify", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ code: totpCode.trim() }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        if (data.recovery_codes_remaining !== undefined) {
+          message.warning(
+            `Kode pemulihan terpakai, sisa ${data.recovery_codes_remaining} kode`
+          );
+        }
+        completeLogin(data);
+      } else {
+        if (data.code === "MFA_SESSION_EXPIRED") {
+          setStep("password");
+          setTotpCode("");
+        }
+        setErrors({ submit: data.error || "Kode verifikasi salah" });
+        setIsSubmitting(false);
+      }
+    } catch (error) {
+      console.error("2FA verification error:", error);
+      setErrors({ submit: "Terjadi kesalahan koneksi" });
+      setIsSubmitting(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -52,19 +115,13 @@ export default function AdminLogin() {
 
       const data = await response.json();
 
-      if (response.ok && data.success) {
-        // Set session (in production use proper session management)
-        localStorage.setItem("adminLoggedIn", "true");
-        localStorage.setItem("adminData", JSON.stringify(data.admin));
-        console.log("Login successful, localStorage set"); // Debug log
-        
-        // Show success message
-        message.success("Login berhasil! Mengalihkan ke dashboard...");
-        
-        // Small delay to show the success message
-        setTimeout(() => {
-          router.push("/admin");
-        }, 1000);
+      if (response.ok && data.success && data.requires_2fa) {
+        // Password benar, lanjut ke langkah kode authenticator
+        setStep("2fa");
+        setIsSubmitting(false);
+      } else if (response.ok && data.success) {
+        // Session cookie is set by the server (HttpOnly)
+        completeLogin(data);
       } else {
         setErrors({ submit: data.error || "Username atau password salah" });
         setIsSubmitting(false); // Reset loading state on error
@@ -88,72 +145,142 @@ export default function AdminLogin() {
           </p>
         </div>
 
-        <form onSubmit={handleSubmit} className="space-y-6">
-          
-          <div>
-            <label
-              htmlFor="username"
-              className="block text-sm font-medium text-gray-700 mb-2"
+        {step === "2fa" ? (
+          <form onSubmit={handleVerifyCode} className="space-y-6">
+            <div>
+              <label
+                htmlFor="totp_code"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Kode Verifikasi
+              </label>
+              <input
+                type="text"
+                id="totp_code"
+                name="totp_code"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                autoFocus
+                value={totpCode}
+                onChange={(e) => {
+                  setTotpCode(e.target.value);
+                  if (errors.submit) setErrors({});
+                }}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-black font-mono tracking-widest transition duration-200 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="6 digit kode atau kode pemulihan"
+              />
+              <p className="mt-2 text-xs text-gray-500">
+                Buka aplikasi authenticator Anda dan masukkan kode 6 digit. Jika
+                perangkat hilang, gunakan salah satu kode pemulihan.
+              </p>
+            </div>
+
+            {errors.submit && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                <p className="text-sm text-red-600">{errors.submit}</p>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className={`w-full font-semibold py-3 px-6 rounded-lg transition duration-200 flex items-center justify-center ${
+                isSubmitting
+                  ? 'bg-blue-400 cursor-not-allowed'
+                  : 'bg-blue-600 hover:bg-blue-700'
+              } text-white`}
             >
-              Username
-            </label>
-            <input
-              type="text"
-              id="username"
-              name="username"
-              value={formData.username}
-              onChange={handleChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-black transition duration-200 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              placeholder="Masukkan username"
-            />
-          </div>
-
-          <div>
-            <label
-              htmlFor="password"
-              className="block text-sm font-medium text-gray-700 mb-2"
+              {isSubmitting ? "Memverifikasi..." : "Verifikasi"}
+            </button>
+
+            <button
+              type="button"
+              onClick={() => {
+                setStep("password");
+                setTotpCode("");
+                setErrors({});
+              }}
+              className="w-full text-sm text-gray-600 hover:text-gray-800"
             >
-              Password
-            </label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              value={formData.password}
-              onChange={handleChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-black transition duration-200 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              placeholder="Masukkan password"
-            />
-          </div>
-
-          {errors.submit && (
-            <div className="bg-red-50 border border-red-200 rounded-lg p-4">
-              <p className="text-sm text-red-600">{errors.submit}</p>
+              Kembali ke login
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+          
+            <div>
+              <label
+                htmlFor="username"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Username
+              </label>
+              <input
+                type="text"
+                id="username"
+                name="username"
+                value={formData.username}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-black transition duration-200 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Masukkan username"
+              />
             </div>
-          )}
-
-          <button
-            type="submit"
-            disabled={isSubmitting}
-            className={`w-full font-semibold py-3 px-6 rounded-lg transition duration-200 flex items-center justify-center ${
-              isSubmitting 
-                ? 'bg-blue-400 cursor-not-allowed' 
-                : 'bg-blue-600 hover:bg-blue-700'
-            } text-white`}
-          >
-            {isSubmitting ? (
-              <>
-                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-                Loading...
-              </>
-            ) : (
-              "Login"
+
+            <div>
+              <label
+                htmlFor="password"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-black transition duration-200 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Masukkan password"
+              />
+              <div className="mt-2 text-right">
+                <a
+                  href="/admin/forgot-password"
+                  className="text-sm text-blue-600 hover:text-blue-800"
+                >
+                  Lupa password?
+                </a>
+              </div>
+            </div>
+
+            {errors.submit && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                <p className="text-sm text-red-600">{errors.submit}</p>
+              </div>
             )}
-          </button>
-        </form>
+
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className={`w-full font-semibold py-3 px-6 rounded-lg transition duration-200 flex items-center justify-center ${
+                isSubmitting 
+                  ? 'bg-blue-400 cursor-not-allowed' 
+                  : 'bg-blue-600 hover:bg-blue-700'
+              } text-white`}
+            >
+              {isSubmitting ? (
+                <>
+                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                  Loading...
+                </>
+              ) : (
+                "Login"
+              )}
+            </button>
+          </form>
+        )}
 
         <div className="mt-6 text-center">
           <a href="/" className="text-blue-600 hover:text-blue-800 font-medium">
@@ -0,0 +1,317 @@
+"use client";
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import { useRouter } from "next/navigation";
+import { Table, Select, Button, Card, Tag, Statistic, message } from "antd";
+import { PERMISSIONS, hasPermission } from "@/lib/auth/roles";
+import { getStatusText } from "@/lib/submission-workflow";
+import { CHANNELS, DELIVERY_STATUSES, DELIVERY_STATUS_LABELS } from "@/lib/notify/channels";
+
+const { Option } = Select;
+
+const OUTBOX_STATUS_LABELS = {
+  PENDING: "Menunggu",
+  PROCESSING: "Sedang Dikirim",
+  SENT: "Terkirim",
+  DEAD: "Gagal Permanen",
+};
+
+const OUTBOX_STATUS_COLORS = {
+  PENDING: "gold",
+  PROCESSING: "blue",
+  SENT: "green",
+  DEAD: "red",
+};
+
+export default function AdminNotificationsPage() {
+  const router = useRouter();
+  const [authorized, setAuthorized] = useState(false);
+  const [messages, setMessages] = useState([]);
+  const [statusCounts, setStatusCounts] = useState({});
+  const [deliveryCounts, setDeliveryCounts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [retryingId, setRetryingId] = useState(null);
+  const [pagination, setPagination] = useState({ current: 1, pageSize: 20, total: 0 });
+  const pageSizeRef = useRef(pagination.pageSize); // Last page size, reused when filters reset paging
+  const [status, setStatus] = useState("DEAD");
+
+  const fetchMessages = useCallback(
+    async (page, pageSize) => {
+      setLoading(true);
+      try {
+        const params = new URLSearchParams({
+          page: String(page),
+          pageSize: String(pageSize),
+          status,
+        });
+        const response = await fetch(`/api/admin/notifications/outbox?${params}`, {
+          cache: "no-store",
+        });
+
+        if (response.status === 401) {
+          router.push("/admin/login");
+          return;
+        }
+
+        const data = await response.json();
+        if (response.ok) {
+          setMessages(data.data);
+          pageSizeRef.current = data.pageSize;
+          setStatusCounts(data.statusCounts || {});
+          setDeliveryCounts(data.deliveryCounts || {});
+          setPagination({
+            current: data.page,
+            pageSize: data.pageSize,
+            total: data.total,
+          });
+        } else {
+          message.error(data.message || "Gagal memuat antrean notifikasi");
+        }
+      } catch (error) {
+        message.error("Terjadi kesalahan jaringan");
+      } finally {
+        setLoading(false);
+      }
+    },
+    [router, status]
+  );
+
+  useEffect(() => {
+    // Only admins with the notification permission may open this page
+    const checkAuth = async () => {
+      try {
+        const response = await fetch("/api/admin/session", {
+          cache: "no-store",
+        });
+        if (!response.ok) {
+          router.push("/admin/login");
+          return;
+        }
+        const data = await response.json();
+        if (!hasPermission(data.admin.role, PERMISSIONS.MANAGE_NOTIFICATIONS)) {
+          message.error("Anda tidak memiliki akses ke antrean notifikasi");
+          router.push("/admin");
+          return;
+        }
+        setAuthorized(true);
+      } catch (error) {
+        router.push("/admin/login");
+      }
+    };
+
+    checkAuth();
+  }, [router]);
+
+  useEffect(() => {
+    // Filter baru selalu dimulai dari halaman pertama
+    if (authorized) {
+      fetchMessages(1, pageSizeRef.current);
+    }
+  }, [authorized, fetchMessages]);
+
+  const handleTableChange = (newPagination) => {
+    fetchMessages(newPagination.current, newPagination.pageSize);
+  };
+
+  const handleRetry = async (record) => {
+    setRetryingId(record.id);
+    try {
+      const response = await fetch(
+        `/api/admin/notifications/outbox/${record.id}/retry`,
+        { method: "POST" }
+      );
+      const data = await response.json();
+      if (response.ok) {
+        message.success(data.message);
+        await fetchMessages(pagination.current, pagination.pageSize);
+      } else {
+        message.error(data.message || "Gagal mengirim ulang notifikasi");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleString("id-ID") : "-");
+
+  const columns = [
+    {
+      title: "Dibuat",
+      dataIndex: "created_at",
+      key: "created_at",
+      width: 170,
+      render: formatDate,
+    },
+    {
+      title: "Pengajuan",
+      key: "submission",
+      render: (_, record) =>
+        record.Submission ? (
+          <a href={`/admin/submissions/${record.Submission.id}`}>
+            <div className="font-mono text-sm">{record.Submission.tracking_code}</div>
+            <div className="text-xs text-gray-500">{record.Submission.nama}</div>
+          </a>
+        ) : (
+          <span className="text-gray-400">-</span>
+        ),
+    },
+    {
+      title: "Kanal",
+      dataIndex: "channel",
+      key: "channel",
+      render: (channel, record) => (
+        <div>
+          <div>{CHANNELS[channel]?.label || channel}</div>
+          <div className="text-xs text-gray-500 break-all">{record.payload?.to}</div>
+        </div>
+      ),
+    },
+    {
+      title: "Isi",
+      key: "event",
+      render: (_, record) =>
+        record.event === "submission_created"
+          ? "Pengajuan diterima"
+          : `Status: ${getStatusText(record.payload?.status)}`,
+    },
+    {
+      title: "Status",
+      dataIndex: "status",
+      key: "status",
+      render: (value, record) => (
+        <div>
+          <Tag color={OUTBOX_STATUS_COLORS[value]}>{OUTBOX_STATUS_LABELS[value] || value}</Tag>
+          <div className="text-xs text-gray-500">
+            Percobaan {record.attempts}/{record.max_attempts}
+          </div>
+        </div>
+      ),
+    },
+    {
+      title: "Jadwal / Terkirim",
+      key: "schedule",
+      width: 170,
+      render: (_, record) =>
+        record.status === "SENT"
+          ? formatDate(record.sent_at)
+          : record.status === "PENDING"
+          ? formatDate(record.next_attempt_at)
+          : "-",
+    },
+    {
+      title: "Aksi",
+      key: "action",
+      render: (_, record) =>
+        ["DEAD", "PENDING"].includes(record.status) ? (
+          <Button
+            size="small"
+            loading={retryingId === record.id}
+            onClick={() => handleRetry(record)}
+          >
+            Kirim Ulang
+          </Button>
+        ) : null,
+    },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 py-4 sm:py-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+                Antrean Notifikasi
+              </h1>
+              <p className="text-sm sm:text-base text-gray-600 mt-1">
+                Pesan WhatsApp dan email yang menunggu, terkirim, atau gagal
+                permanen, serta kabar diterima/dibaca/bounce dari provider
+              </p>
+            </div>
+            <div className="flex items-center space-x-2 sm:space-x-4">
+              <a
+                href="/admin/notifications/templates"
+                className="text-blue-600 hover:text-blue-800 font-medium text-sm sm:text-base"
+              >
+                Template Pesan
+              </a>
+              <a
+                href="/admin"
+                className="text-blue-600 hover:text-blue-800 font-medium text-sm sm:text-base"
+              >
+                ← Dashboard
+              </a>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-4 sm:py-8 space-y-6">
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          {Object.entries(OUTBOX_STATUS_LABELS).map(([key, label]) => (
+            <Card key={key} size="small">
+              <Statistic title={label} value={statusCounts[key] || 0} />
+            </Card>
+          ))}
+        </div>
+
+        <Card title="Status Pengiriman (30 hari terakhir)" size="small">
+          <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+            {DELIVERY_STATUSES.map((key) => (
+              <Statistic
+                key={key}
+                title={DELIVERY_STATUS_LABELS[key]}
+                value={deliveryCounts[key] || 0}
+              />
+            ))}
+          </div>
+        </Card>
+
+        <Card
+          title="Pesan"
+          extra={
+            <Select value={status} onChange={setStatus} style={{ width: 180 }}>
+              <Option value="ALL">Semua status</Option>
+              {Object.entries(OUTBOX_STATUS_LABELS).map(([key, label]) => (
+                <Option key={key} value={key}>
+                  {label}
+                </Option>
+              ))}
+            </Select>
+          }
+        >
+          <Table
+            columns={columns}
+            dataSource={messages}
+            rowKey="id"
+            loading={loading}
+            size="small"
+            scroll={{ x: 900 }}
+            pagination={{
+              ...pagination,
+              showSizeChanger: true,
+              showTotal: (total) => `${total} pesan`,
+            }}
+            onChange={handleTableChange}
+            expandable={{
+              rowExpandable: (record) => Boolean(record.last_error),
+              expandedRowRender: (record) => (
+                <div>
+                  <div className="text-xs font-semibold text-gray-500 mb-1">
+                    Error terakhir
+                  </div>
+                  <pre className="bg-gray-100 rounded p-2 text-xs whitespace-pre-wrap">
+                    {record.last_error}
+                  </pre>
+                </div>
+              ),
+            }}
+          />
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,454 @@
+"use client";
+
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { useRouter } from "next/navigation";
+import {
+  Table,
+  Select,
+  Button,
+  Modal,
+  Form,
+  Input,
+  Switch,
+  Tag,
+  Card,
+  Alert,
+  message,
+} from "antd";
+import { PERMISSIONS, hasPermission } from "@/lib/auth/roles";
+import { SUBMISSION_STATUSES, getStatusText } from "@/lib/submission-workflow";
+import { CHANNELS, NOTIFICATION_EVENTS } from "@/lib/notify/channels";
+import {
+  TEMPLATE_VARIABLES,
+  EVENT_LABELS,
+  DEFAULT_TEMPLATES,
+  validateTemplate,
+  renderTemplate,
+  getDefaultTemplate,
+  buildSampleVariables,
+} from "@/lib/notify/templates";
+
+const { Option } = Select;
+
+export default function AdminNotificationTemplatesPage() {
+  const router = useRouter();
+  const [form] = Form.useForm();
+  const [templates, setTemplates] = useState([]);
+  const [services, setServices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingTemplate, setEditingTemplate] = useState(null); // null = closed, {} = new, template = edit
+  const [saving, setSaving] = useState(false);
+  const [previewStatus, setPreviewStatus] = useState("DIPROSES");
+
+  const channel = Form.useWatch("channel", form);
+  const event = Form.useWatch("event", form);
+  const serviceCode = Form.useWatch("service_code", form);
+  const subject = Form.useWatch("subject", form);
+  const body = Form.useWatch("body", form);
+
+  const fetchTemplates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [templateResponse, serviceResponse] = await Promise.all([
+        fetch("/api/admin/notifications/templates", { cache: "no-store" }),
+        fetch("/api/admin/services", { cache: "no-store" }),
+      ]);
+
+      if (templateResponse.status === 401) {
+        router.push("/admin/login");
+        return;
+      }
+
+      const data = await templateResponse.json();
+      if (templateResponse.ok) {
+        setTemplates(data);
+      } else {
+        message.error(data.message || "Gagal memuat template notifikasi");
+      }
+      if (serviceResponse.ok) {
+        setServices(await serviceResponse.json());
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setLoading(false);
+    }
+  }, [router]);
+
+  useEffect(() => {
+    // Only admins with the notification permission may open this page
+    const checkAuth = async () => {
+      try {
+        const response = await fetch("/api/admin/session", {
+          cache: "no-store",
+        });
+        if (!response.ok) {
+          router.push("/admin/login");
+          return;
+        }
+        const data = await response.json();
+        if (!hasPermission(data.admin.role, PERMISSIONS.MANAGE_NOTIFICATIONS)) {
+          message.error("Anda tidak memiliki akses ke template notifikasi");
+          router.push("/admin");
+          return;
+        }
+        fetchTemplates();
+      } catch (error) {
+        router.push("/admin/login");
+      }
+    };
+
+    checkAuth();
+  }, [router, fetchTemplates]);
+
+  const openEditor = (template) => {
+    setEditingTemplate(template);
+    form.resetFields();
+    const source = template.id ? template : DEFAULT_TEMPLATES[0];
+    form.setFieldsValue({
+      channel: source.channel,
+      event: source.event,
+      service_code: template.id ? template.service_code : undefined,
+      subject: source.subject || "",
+      body: source.body,
+      is_active: template.id ? template.is_active : true,
+    });
+  };
+
+  // Template baru dimulai dari isi bawaan kanal + event yang dipilih
+  const handleTargetChange = (changed) => {
+    if (editingTemplate?.id) return;
+    const next = { channel, event, ...changed };
+    const fallback =
+      getDefaultTemplate(next.channel, next.event) ||
+      DEFAULT_TEMPLATES.find((template) => template.channel === next.channel);
+    form.setFieldsValue({
+      event: fallback.event,
+      subject: fallback.subject || "",
+      body: fallback.body,
+    });
+  };
+
+  const insertVariable = (name) => {
+    form.setFieldValue("body", `${form.getFieldValue("body") || ""}{{${name}}}`);
+  };
+
+  const templateErrors = useMemo(
+    () => [...validateTemplate(subject || ""), ...validateTemplate(body || "")],
+    [subject, body]
+  );
+
+  const preview = useMemo(() => {
+    if (!body) return null;
+    const service = services.find((item) => item.code === serviceCode);
+    const variables = buildSampleVariables(
+      event === NOTIFICATION_EVENTS.SUBMISSION_CREATED ? "PENGAJUAN_BARU" : previewStatus,
+      service
+    );
+    return {
+      subject: subject ? renderTemplate(subject, variables) : null,
+      body: renderTemplate(body, variables, { html: channel === "EMAIL" }),
+    };
+  }, [channel, event, serviceCode, subject, body, previewStatus, services]);
+
+  const handleSave = async (values) => {
+    if (templateErrors.length > 0) {
+      message.error("Perbaiki kesalahan template terlebih dahulu");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const isNew = !editingTemplate.id;
+      const payload = isNew
+        ? values
+        : { subject: values.subject, body: values.body, is_active: values.is_active };
+      const response = await fetch(
+        isNew
+          ? "/api/admin/notifications/templates"
+          : `/api/admin/notifications/templates/${editingTemplate.id}`,
+        {
+          method: isNew ? "POST" : "PATCH",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(payload),
+        }
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        message.success(data.message);
+        setEditingTemplate(null);
+        fetchTemplates();
+      } else {
+        message.error(data.message || "Gagal menyimpan template");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const getServiceName = (code) =>
+    services.find((service) => service.code === code)?.name || code;
+
+  const columns = [
+    {
+      title: "Kanal",
+      dataIndex: "channel",
+      key: "channel",
+      width: 110,
+      render: (value) => (
+        <Tag color={value === "EMAIL" ? "blue" : "green"}>
+          {CHANNELS[value]?.label || value}
+        </Tag>
+      ),
+    },
+    {
+      title: "Event",
+      dataIndex: "event",
+      key: "event",
+      width: 160,
+      render: (value) => EVENT_LABELS[value] || value,
+    },
+    {
+      title: "Layanan",
+      dataIndex: "service_code",
+      key: "service_code",
+      width: 200,
+      render: (code) =>
+        code ? getServiceName(code) : <span className="text-gray-500">Semua layanan</span>,
+    },
+    {
+      title: "Isi",
+      key: "body",
+      render: (_, record) => (
+        <div className="text-sm text-gray-600 truncate" style={{ maxWidth: 420 }}>
+          {record.subject || record.body}
+        </div>
+      ),
+    },
+    {
+      title: "Status",
+      dataIndex: "is_active",
+      key: "is_active",
+      width: 110,
+      render: (isActive) =>
+        isActive ? <Tag color="green">Aktif</Tag> : <Tag>Nonaktif</Tag>,
+    },
+    {
+      title: "Aksi",
+      key: "actions",
+      width: 90,
+      render: (_, record) => (
+        <Button size="small" onClick={() => openEditor(record)}>
+          Ubah
+        </Button>
+      ),
+    },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 py-4 sm:py-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+                Template Notifikasi
+              </h1>
+              <p className="text-sm sm:text-base text-gray-600 mt-1">
+                Isi WhatsApp dan email yang dikirim ke pemohon. Template khusus
+                layanan dipakai lebih dulu daripada template untuk semua layanan.
+              </p>
+            </div>
+            <div className="flex items-center space-x-2 sm:space-x-4">
+              <button
+                onClick={() => openEditor({})}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-3 sm:px-4 py-2 rounded-lg text-sm sm:text-base"
+              >
+                Tambah Template
+              </button>
+              <a
+                href="/admin/notifications"
+                className="text-blue-600 hover:text-blue-800 font-medium text-sm sm:text-base"
+              >
+                ← Antrean Notifikasi
+              </a>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-4 sm:py-8">
+        <Card title="Daftar Template">
+          <Table
+            columns={columns}
+            dataSource={templates}
+            rowKey="id"
+            loading={loading}
+            pagination={false}
+            size="small"
+            scroll={{ x: 900 }}
+          />
+        </Card>
+      </div>
+
+      <Modal
+        title={editingTemplate?.id ? "Ubah Template" : "Tambah Template"}
+        open={Boolean(editingTemplate)}
+        onCancel={() => setEditingTemplate(null)}
+        onOk={() => form.submit()}
+        confirmLoading={saving}
+        okText="Simpan"
+        cancelText="Batal"
+        width={1100}
+      >
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <Form form={form} layout="vertical" onFinish={handleSave}>
+            <div className="grid grid-cols-2 gap-x-4">
+              <Form.Item label="Kanal" name="channel">
+                <Select
+                  disabled={Boolean(editingTemplate?.id)}
+                  onChange={(value) => handleTargetChange({ channel: value })}
+                >
+                  {Object.entries(CHANNELS).map(([key, definition]) => (
+                    <Option key={key} value={key}>
+                      {definition.label}
+                    </Option>
+                  ))}
+                </Select>
+              </Form.Item>
+              <Form.Item label="Event" name="event">
+                <Select
+                  disabled={Boolean(editingTemplate?.id)}
+                  onChange={(value) => handleTargetChange({ event: value })}
+                >
+                  {DEFAULT_TEMPLATES.filter((template) => template.channel === channel).map(
+                    (template) => (
+                      <Option key={template.event} value={template.event}>
+                        {EVENT_LABELS[template.event] || template.event}
+                      </Option>
+                    )
+                  )}
+                </Select>
+              </Form.Item>
+            </div>
+            <Form.Item
+              label="Layanan"
+              name="service_code"
+              extra="Kosongkan untuk semua layanan yang tidak punya template sendiri"
+            >
+              <Select
+                allowClear
+                disabled={Boolean(editingTemplate?.id)}
+                placeholder="Semua layanan"
+              >
+                {services.map((service) => (
+                  <Option key={service.code} value={service.code}>
+                    {service.name}
+                  </Option>
+                ))}
+              </Select>
+            </Form.Item>
+            {channel === "EMAIL" && (
+              <Form.Item
+                label="Subjek"
+                name="subject"
+                rules={[{ required: true, message: "Subjek email wajib diisi" }]}
+              >
+                <Input />
+              </Form.Item>
+            )}
+            <Form.Item
+              label={channel === "EMAIL" ? "Isi (HTML)" : "Isi Pesan"}
+              name="body"
+              rules={[{ required: true, message: "Isi template wajib diisi" }]}
+            >
+              <Input.TextArea
+                rows={channel === "EMAIL" ? 14 : 8}
+                className="font-mono text-xs"
+              />
+            </Form.Item>
+            <div className="mb-4">
+              <div className="text-xs text-gray-500 mb-1">
+                Klik untuk menambahkan variabel. Bagian{" "}
+                <code>{"{{#x}}...{{/x}}"}</code> hanya tampil bila x berisi.
+              </div>
+              <div className="flex flex-wrap gap-1">
+                {TEMPLATE_VARIABLES.map((variable) => (
+                  <Tag
+                    key={variable.name}
+                    title={variable.label}
+                    className="cursor-pointer font-mono"
+                    onClick={() => insertVariable(variable.name)}
+                  >
+                    {`{{${variable.name}}}`}
+                  </Tag>
+                ))}
+              </div>
+            </div>
+            <Form.Item label="Aktif" name="is_active" valuePropName="checked">
+              <Switch />
+            </Form.Item>
+          </Form>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <span className="font-semibold">Preview</span>
+              {event === NOTIFICATION_EVENTS.STATUS_UPDATE && (
+                <Select
+                  size="small"
+                  value={previewStatus}
+                  onChange={setPreviewStatus}
+                  style={{ width: 180 }}
+                >
+                  {SUBMISSION_STATUSES.map((status) => (
+                    <Option key={status} value={status}>
+                      {getStatusText(status)}
+                    </Option>
+                  ))}
+                </Select>
+              )}
+            </div>
+            {templateErrors.length > 0 && (
+              <Alert
+                type="error"
+                className="mb-2"
+                message="Template tidak valid"
+                description={
+                  <ul className="list-disc pl-4">
+                    {templateErrors.map((error) => (
+                      <li key={error}>{error}</li>
+                    ))}
+                  </ul>
+                }
+              />
+            )}
+            {preview &&
+              (channel === "EMAIL" ? (
+                <div>
+                  <div className="font-semibold mb-2">{preview.subject}</div>
+                  {/* sandbox tanpa izin: HTML template tidak bisa menjalankan script */}
+                  <iframe
+                    title="Preview email"
+                    sandbox=""
+                    srcDoc={preview.body}
+                    className="w-full border rounded bg-white"
+                    style={{ height: 520 }}
+                  />
+                </div>
+              ) : (
+                <div className="bg-green-50 border border-green-200 rounded-lg p-3 text-sm whitespace-pre-wrap break-words">
+                  {preview.body}
+                </div>
+              ))}
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+}
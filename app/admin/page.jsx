@@ -1,8 +1,21 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { useRouter } from "next/navigation";
-import { Table, Select, message, Card, Row, Col } from "antd";
+import {
+  AutoComplete,
+  Dropdown,
+  Table,
+  Select,
+  Button,
+  Modal,
+  Input,
+  DatePicker,
+  message,
+  Card,
+  Row,
+  Col,
+} from "antd";
 import {
   PieChart,
   Pie,
@@ -11,122 +24,369 @@ import {
   Legend,
   Tooltip,
 } from "recharts";
+import {
+  PERMISSIONS,
+  canSetStatus,
+  getRoleText,
+  hasPermission,
+} from "@/lib/auth/roles";
+import { getStatusText } from "@/lib/submission-workflow";
+import SubmissionDetailDrawer from "./components/SubmissionDetailDrawer";
 
 const { Option } = Select;
+const { RangePicker } = DatePicker;
+
+const EMPTY_FILTERS = {
+  status: "ALL",
+  service: undefined,
+  range: null,
+  q: "",
+};
+const DEFAULT_SORT = { field: "created_at", order: "desc" };
+const SEARCH_MATCH_LABELS = {
+  nama: "Nama",
+  tracking_code: "Kode",
+  nik: "NIK",
+  no_wa: "No. WA",
+};
 
 export default function AdminDashboard() {
   const router = useRouter();
   const [submissions, setSubmissions] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [statusFilter, setStatusFilter] = useState("ALL");
-  const [chartData, setChartData] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [searchText, setSearchText] = useState(""); // Search box value before it is applied
+  const [searchOptions, setSearchOptions] = useState([]); // Quick matches shown under the search box
+  const searchTimer = useRef(null);
+  const [sort, setSort] = useState(DEFAULT_SORT);
+  const [pagination, setPagination] = useState({ current: 1, pageSize: 10, total: 0 });
+  const pageSizeRef = useRef(pagination.pageSize); // Last page size, reused when filters reset paging
+  const [statusCounts, setStatusCounts] = useState({}); // Totals per status over all submissions
   const [updatingStatus, setUpdatingStatus] = useState({}); // Track which submission is being updated
   const [refreshing, setRefreshing] = useState(false); // Track refresh loading state
+  const [currentAdmin, setCurrentAdmin] = useState(null); // Logged-in admin from session
+  const [detailSubmissionId, setDetailSubmissionId] = useState(null); // Submission shown in the detail drawer
+  const [transitions, setTransitions] = useState({}); // Allowed next statuses per status, from the server
+  const [rejectionReasons, setRejectionReasons] = useState([]); // Managed list for DITOLAK
+  const [rejectTarget, setRejectTarget] = useState(null); // { ids, bulk } waiting for a rejection reason
+  const [rejectForm, setRejectForm] = useState({ reasonId: undefined, text: "" });
+  const [serviceCatalog, setServiceCatalog] = useState({}); // Service code -> service from the catalog
+  const [revisionTarget, setRevisionTarget] = useState(null); // { ids, bulk, jenis_layanan } waiting for the missing items
+  const [selectedRowKeys, setSelectedRowKeys] = useState([]); // Rows picked for a bulk status change
+  const [bulkStatus, setBulkStatus] = useState(undefined);
+  const [bulkUpdating, setBulkUpdating] = useState(false);
+  const [revisionForm, setRevisionForm] = useState({ items: [], note: "" });
 
-  const COLORS = ["#ffc107", "#1890ff", "#52c41a", "#ff4d4f"];
+  const COLORS = ["#ffc107", "#1890ff", "#52c41a", "#ff4d4f", "#fa8c16"];
+  const STATUS_OPTIONS = [
+    "PENGAJUAN_BARU",
+    "DIPROSES",
+    "PERLU_KELENGKAPAN",
+    "SELESAI",
+    "DITOLAK",
+  ];
 
   useEffect(() => {
-    // Check if admin is logged in
-    const checkAuth = () => {
-      const isLoggedIn = localStorage.getItem("adminLoggedIn");
-      console.log("Auth check - isLoggedIn:", isLoggedIn); // Debug log
-      if (!isLoggedIn) {
-        console.log("Not logged in, redirecting to login"); // Debug log
+    // Check if admin is logged in via the server-side session cookie
+    const checkAuth = async () => {
+      try {
+        const response = await fetch("/api/admin/session", {
+          cache: "no-store",
+        });
+        if (!response.ok) {
+          router.push("/admin/login");
+          return;
+        }
+        const data = await response.json();
+        if (data.requires_2fa_enrollment) {
+          router.push("/admin/security");
+          return;
+        }
+        setCurrentAdmin(data.admin);
+        fetchWorkflow();
+        fetchRejectionReasons();
+        fetchServices();
+      } catch (error) {
         router.push("/admin/login");
-        return;
       }
-      console.log("Logged in, fetching submissions"); // Debug log
-      fetchSubmissions();
     };
 
-    // Add a small delay to ensure localStorage is available
-    setTimeout(checkAuth, 100);
+    checkAuth();
   }, [router]);
 
-  const fetchSubmissions = async (showLoading = false) => {
-    if (showLoading) {
-      setRefreshing(true);
+  const fetchWorkflow = async () => {
+    try {
+      const response = await fetch("/api/admin/workflow", { cache: "no-store" });
+      if (response.ok) {
+        const data = await response.json();
+        setTransitions(data.transitions);
+      }
+    } catch (error) {
+      console.error("Error fetching status workflow:", error);
     }
+  };
 
+  const fetchRejectionReasons = async () => {
     try {
-      // Ultra-aggressive cache bypass
-      const timestamp = Date.now();
-      const random = Math.random().toString(36).substring(7);
-      const forceRefresh = Date.now();
-      const cacheBuster = Math.random().toString(36).substring(7);
+      const response = await fetch("/api/admin/rejection-reasons", {
+        cache: "no-store",
+      });
+      if (response.ok) {
+        setRejectionReasons(await response.json());
+      }
+    } catch (error) {
+      console.error("Error fetching rejection reasons:", error);
+    }
+  };
 
-      const response = await fetch(
-        `/api/admin/submissions?t=${timestamp}&r=${random}&force=${forceRefresh}&cb=${cacheBuster}&_=${Date.now()}`,
-        {
-          headers: {
-            "Cache-Control": "no-cache, no-store, must-revalidate, max-age=0",
-            Pragma: "no-cache",
-            "X-Requested-With": "XMLHttpRequest",
-            "X-Force-Refresh": "true",
-            "X-Cache-Buster": `${timestamp}-${random}`,
-            "X-Request-Time": `${Date.now()}`,
-          },
-          // Force fresh request
+  const fetchServices = async () => {
+    try {
+      const response = await fetch("/api/admin/services", { cache: "no-store" });
+      if (response.ok) {
+        const data = await response.json();
+        setServiceCatalog(
+          Object.fromEntries(data.map((service) => [service.code, service]))
+        );
+      }
+    } catch (error) {
+      console.error("Error fetching services:", error);
+    }
+  };
+
+  // Filters and sorting shared by the list and the export
+  const buildListParams = useCallback(() => {
+    const params = new URLSearchParams({ sort: sort.field, order: sort.order });
+    if (filters.status !== "ALL") params.set("status", filters.status);
+    if (filters.service) params.set("service", filters.service);
+    if (filters.range) {
+      params.set("from", filters.range[0].startOf("day").toISOString());
+      params.set("to", filters.range[1].endOf("day").toISOString());
+    }
+    if (filters.q) params.set("q", filters.q);
+    return params;
+  }, [filters, sort]);
+
+  // One page of the list; filters, sorting and paging are done by the server
+  const fetchSubmissions = useCallback(
+    async (page, pageSize, showLoading = false) => {
+      if (showLoading) {
+        setRefreshing(true);
+      }
+
+      try {
+        const params = buildListParams();
+        params.set("page", String(page));
+        params.set("pageSize", String(pageSize));
+
+        const response = await fetch(`/api/admin/submissions?${params}`, {
           cache: "no-store",
+        });
+        if (response.status === 401) {
+          router.push("/admin/login");
+          return;
         }
-      );
-      const data = await response.json();
 
-      if (response.ok) {
-        setSubmissions(data);
-        updateChartData(data);
+        const data = await response.json();
+
+        if (response.ok) {
+          setSubmissions(data.data);
+          setPagination({
+            current: data.page,
+            pageSize: data.pageSize,
+            total: data.total,
+          });
+          pageSizeRef.current = data.pageSize;
+          setStatusCounts(data.statusCounts);
+          if (showLoading) {
+            message.success("Data berhasil diperbarui");
+          }
+        } else {
+          message.error(data.message || "Gagal memuat data pengajuan");
+        }
+      } catch (error) {
+        message.error("Terjadi kesalahan jaringan");
+      } finally {
+        setLoading(false);
         if (showLoading) {
-          message.success("Data berhasil diperbarui");
+          setRefreshing(false);
         }
-      } else {
-        message.error("Gagal memuat data pengajuan");
-      }
-    } catch (error) {
-      message.error("Terjadi kesalahan jaringan");
-    } finally {
-      setLoading(false);
-      if (showLoading) {
-        setRefreshing(false);
       }
+    },
+    [router, buildListParams]
+  );
+
+  useEffect(() => {
+    // Filter atau urutan baru selalu dimulai dari halaman pertama
+    if (currentAdmin) {
+      fetchSubmissions(1, pageSizeRef.current);
     }
-  };
+  }, [currentAdmin, fetchSubmissions]);
 
-  // Simple refresh function
   const handleRefresh = () => {
-    fetchSubmissions(true);
+    fetchSubmissions(pagination.current, pagination.pageSize, true);
+  };
+
+  const handleTableChange = (newPagination, _tableFilters, sorter) => {
+    const nextSort = sorter.order
+      ? { field: sorter.field, order: sorter.order === "ascend" ? "asc" : "desc" }
+      : DEFAULT_SORT;
+    if (nextSort.field !== sort.field || nextSort.order !== sort.order) {
+      setSort(nextSort);
+      return;
+    }
+    fetchSubmissions(newPagination.current, newPagination.pageSize);
+  };
+
+  // The browser downloads the streamed file directly
+  const handleExport = ({ key }) => {
+    const params = buildListParams();
+    params.set("format", key);
+    window.location.href = `/api/admin/submissions/export?${params}`;
+  };
+
+  const updateFilter = (name, value) => {
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Quick matches while typing; Enter applies the text as a table filter
+  const handleQuickSearch = (value) => {
+    clearTimeout(searchTimer.current);
+    const q = value.trim();
+    if (q.length < 2) {
+      setSearchOptions([]);
+      return;
+    }
+
+    searchTimer.current = setTimeout(async () => {
+      try {
+        const response = await fetch(
+          `/api/admin/submissions/search?q=${encodeURIComponent(q)}`,
+          { cache: "no-store" }
+        );
+        if (!response.ok) return;
+        const { data } = await response.json();
+        setSearchOptions(
+          data.map((item) => ({
+            value: item.tracking_code,
+            id: item.id,
+            label: (
+              <div className="flex flex-col">
+                <span className="text-sm">
+                  {item.nama} &middot; {getStatusText(item.status)}
+                </span>
+                <span className="text-xs text-gray-500 font-mono">
+                  {item.tracking_code}
+                  {item.matched_on.length > 0 &&
+                    ` (cocok: ${item.matched_on
+                      .map((field) => SEARCH_MATCH_LABELS[field])
+                      .join(", ")})`}
+                </span>
+              </div>
+            ),
+          }))
+        );
+      } catch (error) {
+        console.error("Error searching submissions:", error);
+      }
+    }, 300);
   };
 
-  const updateChartData = (data) => {
-    const statusCount = data.reduce((acc, item) => {
-      acc[item.status] = (acc[item.status] || 0) + 1;
-      return acc;
-    }, {});
+  const getSortOrder = (field) =>
+    sort.field === field ? (sort.order === "asc" ? "ascend" : "descend") : null;
+
+  const chartData = useMemo(
+    () =>
+      Object.entries(statusCounts).map(([status, count]) => ({
+        name: getStatusText(status),
+        value: count,
+        status,
+      })),
+    [statusCounts]
+  );
+
+  // DITOLAK needs a reason and PERLU_KELENGKAPAN needs the missing items, so
+  // ask for them before calling the API
+  const handleStatusSelect = (submissionId, newStatus) => {
+    if (newStatus === "DITOLAK") {
+      setRejectForm({ reasonId: undefined, text: "" });
+      setRejectTarget({ ids: [submissionId], bulk: false });
+      return;
+    }
+    if (newStatus === "PERLU_KELENGKAPAN") {
+      setRevisionForm({ items: [], note: "" });
+      setRevisionTarget({
+        ids: [submissionId],
+        bulk: false,
+        jenis_layanan: submissions.find((sub) => sub.id === submissionId)?.jenis_layanan,
+      });
+      return;
+    }
+    handleStatusChange(submissionId, newStatus);
+  };
+
+  // Same flow for the selected rows; the modals collect reason or items first
+  const handleBulkApply = () => {
+    if (!bulkStatus || selectedRowKeys.length === 0) {
+      return;
+    }
+    if (bulkStatus === "DITOLAK") {
+      setRejectForm({ reasonId: undefined, text: "" });
+      setRejectTarget({ ids: selectedRowKeys, bulk: true });
+      return;
+    }
+    if (bulkStatus === "PERLU_KELENGKAPAN") {
+      // Requirements are suggested only when all selected rows share a service
+      const services = new Set(
+        submissions
+          .filter((sub) => selectedRowKeys.includes(sub.id))
+          .map((sub) => sub.jenis_layanan)
+      );
+      setRevisionForm({ items: [], note: "" });
+      setRevisionTarget({
+        ids: selectedRowKeys,
+        bulk: true,
+        jenis_layanan: services.size === 1 ? [...services][0] : undefined,
+      });
+      return;
+    }
+    handleBulkStatusChange(selectedRowKeys, bulkStatus);
+  };
 
-    const chartData = Object.entries(statusCount).map(([status, count]) => ({
-      name: getStatusText(status),
-      value: count,
-      status,
-    }));
+  const applyStatus = (target, status, extra) => {
+    if (target.bulk) {
+      handleBulkStatusChange(target.ids, status, extra);
+    } else {
+      handleStatusChange(target.ids[0], status, extra);
+    }
+  };
 
-    setChartData(chartData);
+  const handleConfirmRevision = () => {
+    if (revisionForm.items.length === 0) {
+      message.error("Sebutkan minimal satu kekurangan");
+      return;
+    }
+    const target = revisionTarget;
+    setRevisionTarget(null);
+    applyStatus(target, "PERLU_KELENGKAPAN", {
+      revision_items: revisionForm.items,
+      revision_note: revisionForm.note.trim(),
+    });
   };
 
-  const getStatusText = (status) => {
-    switch (status) {
-      case "PENGAJUAN_BARU":
-        return "Pengajuan Baru";
-      case "DIPROSES":
-        return "Sedang Diproses";
-      case "SELESAI":
-        return "Selesai";
-      case "DITOLAK":
-        return "Ditolak";
-      default:
-        return status;
+  const handleConfirmReject = () => {
+    if (!rejectForm.reasonId && !rejectForm.text.trim()) {
+      message.error("Pilih atau tulis alasan penolakan");
+      return;
     }
+    const target = rejectTarget;
+    setRejectTarget(null);
+    applyStatus(target, "DITOLAK", {
+      rejection_reason_id: rejectForm.reasonId,
+      rejection_reason: rejectForm.text.trim(),
+    });
   };
 
-  const handleStatusChange = async (submissionId, newStatus) => {
+  const handleStatusChange = async (submissionId, newStatus, extra = {}) => {
     // Set loading state for this specific submission
     setUpdatingStatus((prev) => ({ ...prev, [submissionId]: true }));
 
@@ -140,42 +400,20 @@ export default function AdminDashboard() {
             "Cache-Control": "no-cache",
             "X-Requested-With": "XMLHttpRequest",
           },
-          body: JSON.stringify({ status: newStatus }),
+          body: JSON.stringify({ status: newStatus, ...extra }),
         }
       );
 
+      if (response.status === 401) {
+        message.error("Sesi berakhir, silakan login kembali");
+        router.push("/admin/login");
+        return;
+      }
+
       if (response.ok) {
         message.success("Status berhasil diupdate");
-        // Extended loading state untuk memastikan data ter-update
-        // Keep loading for 2.5 seconds to ensure data is fresh
-        setTimeout(() => {
-          // Force refresh dengan cache bypass yang lebih agresif
-          const forceTimestamp = Date.now();
-          const forceRandom = Math.random().toString(36).substring(7);
-          const forceCacheBuster = Math.random().toString(36).substring(7);
-
-          // Multiple refresh attempts dengan delay yang lebih lama
-          fetchSubmissions(true);
-
-          // Additional force refresh after 1.5 seconds
-          setTimeout(() => {
-            fetch(
-              `/api/admin/submissions?force=${forceTimestamp}&r=${forceRandom}&cb=${forceCacheBuster}&_=${Date.now()}`,
-              {
-                headers: {
-                  "Cache-Control":
-                    "no-cache, no-store, must-revalidate, max-age=0",
-                  "X-Force-Refresh": "true",
-                  "X-Cache-Buster": `${forceTimestamp}-${forceRandom}`,
-                },
-                cache: "no-store",
-              }
-            ).then(() => {
-              // Final refresh
-              fetchSubmissions(true);
-            });
-          }, 1500); // Increased delay to 1.5 seconds
-        }, 1000); // Increased initial delay to 1 second
+        // Reload the current page so status filters and counts stay correct
+        await fetchSubmissions(pagination.current, pagination.pageSize);
       } else {
         const error = await response.json();
         message.error(error.message || "Gagal mengupdate status");
@@ -183,16 +421,69 @@ export default function AdminDashboard() {
     } catch (error) {
       message.error("Terjadi kesalahan jaringan");
     } finally {
-      // Clear loading state after extended delay to ensure data is fresh
-      setTimeout(() => {
-        setUpdatingStatus((prev) => ({ ...prev, [submissionId]: false }));
-      }, 2500); // Total loading time: 2.5 seconds
+      setUpdatingStatus((prev) => ({ ...prev, [submissionId]: false }));
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem("adminLoggedIn");
-    router.push("/admin/login");
+  const handleBulkStatusChange = async (ids, newStatus, extra = {}) => {
+    setBulkUpdating(true);
+    try {
+      const response = await fetch("/api/admin/submissions/bulk-status", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ids, status: newStatus, ...extra }),
+      });
+
+      if (response.status === 401) {
+        message.error("Sesi berakhir, silakan login kembali");
+        router.push("/admin/login");
+        return;
+      }
+
+      const data = await response.json();
+      if (!response.ok) {
+        message.error(data.message || "Gagal mengupdate status");
+        return;
+      }
+
+      const failures = data.results.filter((result) => !result.success);
+      if (failures.length === 0) {
+        message.success(data.message);
+      } else {
+        Modal.warning({
+          title: data.message,
+          width: 560,
+          content: (
+            <ul className="list-disc pl-5 text-sm">
+              {failures.map((result) => (
+                <li key={result.id}>
+                  <span className="font-mono">{result.tracking_code || result.id}</span>:{" "}
+                  {result.message}
+                </li>
+              ))}
+            </ul>
+          ),
+        });
+      }
+
+      setSelectedRowKeys([]);
+      setBulkStatus(undefined);
+      await fetchSubmissions(pagination.current, pagination.pageSize);
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setBulkUpdating(false);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await fetch("/api/admin/logout", { method: "POST" });
+    } catch (error) {
+      console.error("Logout error:", error);
+    } finally {
+      router.push("/admin/login");
+    }
   };
 
   const columns = [
@@ -200,6 +491,8 @@ export default function AdminDashboard() {
       title: "Kode Tracking",
       dataIndex: "tracking_code",
       key: "tracking_code",
+      sorter: true,
+      sortOrder: getSortOrder("tracking_code"),
       render: (text) => (
         <div className="max-w-[120px] sm:max-w-[200px] lg:max-w-[300px]">
           <span
@@ -218,6 +511,8 @@ export default function AdminDashboard() {
       dataIndex: "nama",
       key: "nama",
       width: 120,
+      sorter: true,
+      sortOrder: getSortOrder("nama"),
       render: (text) => (
         <div className="max-w-[80px] sm:max-w-[120px]">
           <span
@@ -234,13 +529,15 @@ export default function AdminDashboard() {
       dataIndex: "jenis_layanan",
       key: "jenis_layanan",
       width: 120,
+      sorter: true,
+      sortOrder: getSortOrder("jenis_layanan"),
       render: (text) => (
         <div className="max-w-[80px] sm:max-w-[120px]">
           <span
             className="text-xs sm:text-sm break-words leading-tight"
             title={text}
           >
-            {text}
+            {serviceCatalog[text]?.name || text}
           </span>
         </div>
       ),
@@ -250,20 +547,33 @@ export default function AdminDashboard() {
       dataIndex: "status",
       key: "status",
       width: 180,
+      sorter: true,
+      sortOrder: getSortOrder("status"),
       render: (status, record) => (
         <div className="flex flex-col sm:flex-row items-start sm:items-center space-y-1 sm:space-y-0 sm:space-x-2">
           <Select
             value={status}
             style={{ width: "100%", minWidth: "100px", maxWidth: "150px" }}
-            onChange={(value) => handleStatusChange(record.id, value)}
+            onChange={(value) => handleStatusSelect(record.id, value)}
             disabled={updatingStatus[record.id]}
             loading={updatingStatus[record.id]}
             size="small"
           >
-            <Option value="PENGAJUAN_BARU">Pengajuan Baru</Option>
-            <Option value="DIPROSES">Sedang Diproses</Option>
-            <Option value="SELESAI">Selesai</Option>
-            <Option value="DITOLAK">Ditolak</Option>
+            {/* Only the current status and its legal next states are offered */}
+            {STATUS_OPTIONS.filter(
+              (option) =>
+                option === status || (transitions[status] || []).includes(option)
+            ).map((option) => (
+              <Option
+                key={option}
+                value={option}
+                disabled={
+                  option !== status && !canSetStatus(currentAdmin?.role, option)
+                }
+              >
+                {getStatusText(option)}
+              </Option>
+            ))}
           </Select>
           {updatingStatus[record.id] && (
             <div className="flex items-center text-blue-600 text-xs sm:text-sm">
@@ -299,6 +609,8 @@ export default function AdminDashboard() {
       dataIndex: "created_at",
       key: "created_at",
       width: 150,
+      sorter: true,
+      sortOrder: getSortOrder("created_at"),
       responsive: ["lg"],
       render: (date) => {
         if (!date) return "-";
@@ -330,6 +642,8 @@ export default function AdminDashboard() {
       dataIndex: "updated_at",
       key: "updated_at",
       width: 150,
+      sorter: true,
+      sortOrder: getSortOrder("updated_at"),
       responsive: ["lg"],
       render: (date) => {
         if (!date) return "-";
@@ -356,12 +670,25 @@ export default function AdminDashboard() {
         }
       },
     },
+    {
+      title: "Aksi",
+      key: "actions",
+      width: 90,
+      render: (_, record) => (
+        <Button
+          size="small"
+          onClick={() => setDetailSubmissionId(record.id)}
+        >
+          Detail
+        </Button>
+      ),
+    },
   ];
 
-  const filteredSubmissions =
-    statusFilter === "ALL"
-      ? submissions
-      : submissions.filter((sub) => sub.status === statusFilter);
+  const totalSubmissions = Object.values(statusCounts).reduce(
+    (sum, count) => sum + count,
+    0
+  );
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -378,6 +705,12 @@ export default function AdminDashboard() {
                   ? "Memuat data pengajuan..."
                   : "Kelola pengajuan layanan masyarakat"}
               </p>
+              {currentAdmin && (
+                <p className="text-xs sm:text-sm text-gray-500 mt-1">
+                  Login sebagai {currentAdmin.username} &middot;{" "}
+                  {getRoleText(currentAdmin.role)}
+                </p>
+              )}
             </div>
             <div className="flex items-center space-x-2 sm:space-x-4">
               <button
@@ -464,6 +797,58 @@ export default function AdminDashboard() {
                  Force Refresh
                </button> */}
 
+              <a
+                href="/admin/security"
+                className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 sm:px-4 py-2 rounded-lg text-sm sm:text-base"
+              >
+                Keamanan Akun
+              </a>
+
+              {hasPermission(currentAdmin?.role, PERMISSIONS.MANAGE_ADMINS) && (
+                <a
+                  href="/admin/users"
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 sm:px-4 py-2 rounded-lg text-sm sm:text-base"
+                >
+                  Kelola Admin
+                </a>
+              )}
+
+              {hasPermission(currentAdmin?.role, PERMISSIONS.VIEW_AUDIT_LOG) && (
+                <a
+                  href="/admin/audit"
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 sm:px-4 py-2 rounded-lg text-sm sm:text-base"
+                >
+                  Log Audit
+                </a>
+              )}
+
+              {hasPermission(currentAdmin?.role, PERMISSIONS.MANAGE_NOTIFICATIONS) && (
+                <a
+                  href="/admin/notifications"
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 sm:px-4 py-2 rounded-lg text-sm sm:text-base"
+                >
+                  Notifikasi
+                </a>
+              )}
+
+              {hasPermission(currentAdmin?.role, PERMISSIONS.MANAGE_REJECTION_REASONS) && (
+                <a
+                  href="/admin/rejection-reasons"
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 sm:px-4 py-2 rounded-lg text-sm sm:text-base"
+                >
+                  Alasan Penolakan
+                </a>
+              )}
+
+              {hasPermission(currentAdmin?.role, PERMISSIONS.MANAGE_SERVICES) && (
+                <a
+                  href="/admin/services"
+                  className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 sm:px-4 py-2 rounded-lg text-sm sm:text-base"
+                >
+                  Kelola Layanan
+                </a>
+              )}
+
               <button
                 onClick={handleLogout}
                 className="bg-red-600 hover:bg-red-700 text-white px-3 sm:px-4 py-2 rounded-lg text-sm sm:text-base"
@@ -530,7 +915,7 @@ export default function AdminDashboard() {
                   </div>
                 ) : (
                   <div className="text-lg sm:text-2xl font-bold text-blue-600">
-                    {submissions.length}
+                    {totalSubmissions}
                   </div>
                 )}
                 <div className="text-sm sm:text-base text-gray-600">
@@ -567,10 +952,7 @@ export default function AdminDashboard() {
                   </div>
                 ) : (
                   <div className="text-lg sm:text-2xl font-bold text-yellow-600">
-                    {
-                      submissions.filter((s) => s.status === "PENGAJUAN_BARU")
-                        .length
-                    }
+                    {statusCounts.PENGAJUAN_BARU || 0}
                   </div>
                 )}
                 <div className="text-sm sm:text-base text-gray-600">
@@ -607,7 +989,7 @@ export default function AdminDashboard() {
                   </div>
                 ) : (
                   <div className="text-lg sm:text-2xl font-bold text-blue-600">
-                    {submissions.filter((s) => s.status === "DIPROSES").length}
+                    {statusCounts.DIPROSES || 0}
                   </div>
                 )}
                 <div className="text-sm sm:text-base text-gray-600">
@@ -644,7 +1026,7 @@ export default function AdminDashboard() {
                   </div>
                 ) : (
                   <div className="text-lg sm:text-2xl font-bold text-green-600">
-                    {submissions.filter((s) => s.status === "SELESAI").length}
+                    {statusCounts.SELESAI || 0}
                   </div>
                 )}
                 <div className="text-sm sm:text-base text-gray-600">
@@ -737,12 +1119,41 @@ export default function AdminDashboard() {
         </Card>
 
         {/* Table */}
-        <Card title="Daftar Pengajuan">
-          <div className="mb-4">
+        <Card
+          title="Daftar Pengajuan"
+          extra={
+            hasPermission(currentAdmin?.role, PERMISSIONS.EXPORT_SUBMISSIONS) && (
+              <Dropdown
+                menu={{
+                  items: [
+                    { key: "xlsx", label: "Excel (.xlsx)" },
+                    { key: "csv", label: "CSV (.csv)" },
+                  ],
+                  onClick: handleExport,
+                }}
+              >
+                <Button>Export</Button>
+              </Dropdown>
+            )
+          }
+        >
+          <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+            <AutoComplete
+              value={searchText}
+              options={searchOptions}
+              onChange={setSearchText}
+              onSearch={handleQuickSearch}
+              onSelect={(_, option) => setDetailSubmissionId(option.id)}
+            >
+              <Input.Search
+                allowClear
+                placeholder="Cari nama, kode tracking, NIK atau no. WA"
+                onSearch={(value) => updateFilter("q", value.trim())}
+              />
+            </AutoComplete>
             <Select
-              value={statusFilter}
-              onChange={setStatusFilter}
-              style={{ width: "100%", maxWidth: 200 }}
+              value={filters.status}
+              onChange={(value) => updateFilter("status", value)}
               placeholder="Filter by status"
               disabled={loading || Object.values(updatingStatus).some(Boolean)}
               loading={loading}
@@ -750,32 +1161,91 @@ export default function AdminDashboard() {
               <Option value="ALL">Semua Status</Option>
               <Option value="PENGAJUAN_BARU">Pengajuan Baru</Option>
               <Option value="DIPROSES">Sedang Diproses</Option>
+              <Option value="PERLU_KELENGKAPAN">Perlu Kelengkapan</Option>
               <Option value="SELESAI">Selesai</Option>
               <Option value="DITOLAK">Ditolak</Option>
             </Select>
-            {loading && (
-              <span className="ml-2 text-xs sm:text-sm text-gray-500">
-                Memuat data...
-              </span>
-            )}
+            <Select
+              allowClear
+              value={filters.service}
+              onChange={(value) => updateFilter("service", value)}
+              placeholder="Semua Layanan"
+            >
+              {Object.values(serviceCatalog).map((service) => (
+                <Option key={service.code} value={service.code}>
+                  {service.name}
+                </Option>
+              ))}
+            </Select>
+            <RangePicker
+              value={filters.range}
+              onChange={(range) => updateFilter("range", range)}
+              format="DD/MM/YYYY"
+              placeholder={["Dari tanggal", "Sampai tanggal"]}
+            />
           </div>
 
+          {selectedRowKeys.length > 0 && (
+            <div className="mb-4 flex flex-wrap items-center gap-2 bg-blue-50 border border-blue-200 rounded-lg p-3">
+              <span className="text-sm text-blue-800">
+                {selectedRowKeys.length} pengajuan dipilih
+              </span>
+              <Select
+                placeholder="Ubah status ke..."
+                value={bulkStatus}
+                onChange={setBulkStatus}
+                style={{ minWidth: 180 }}
+                size="small"
+              >
+                {STATUS_OPTIONS.filter((option) =>
+                  canSetStatus(currentAdmin?.role, option)
+                ).map((option) => (
+                  <Option key={option} value={option}>
+                    {getStatusText(option)}
+                  </Option>
+                ))}
+              </Select>
+              <Button
+                type="primary"
+                size="small"
+                disabled={!bulkStatus}
+                loading={bulkUpdating}
+                onClick={handleBulkApply}
+              >
+                Terapkan
+              </Button>
+              <Button size="small" onClick={() => setSelectedRowKeys([])}>
+                Batal Pilih
+              </Button>
+            </div>
+          )}
+
           <div className="relative">
             <Table
               columns={columns}
-              dataSource={filteredSubmissions}
+              rowSelection={
+                STATUS_OPTIONS.some((option) => canSetStatus(currentAdmin?.role, option))
+                  ? {
+                      selectedRowKeys,
+                      onChange: setSelectedRowKeys,
+                      preserveSelectedRowKeys: true,
+                    }
+                  : undefined
+              }
+              dataSource={submissions}
               rowKey="id"
-              loading={loading}
+              loading={loading || bulkUpdating}
               scroll={{ x: 800, y: 400 }}
               pagination={{
-                pageSize: 10,
-                showSizeChanger: false,
+                ...pagination,
+                showSizeChanger: true,
                 showQuickJumper: false,
                 showTotal: (total, range) =>
                   `${range[0]}-${range[1]} dari ${total} pengajuan`,
                 size: "small",
                 responsive: true,
               }}
+              onChange={handleTableChange}
               size="small"
               className="responsive-table"
               bordered={false}
@@ -816,6 +1286,86 @@ export default function AdminDashboard() {
         </Card>
       </div>
 
+      <Modal
+        title="Alasan Penolakan"
+        open={Boolean(rejectTarget)}
+        onOk={handleConfirmReject}
+        onCancel={() => setRejectTarget(null)}
+        okText="Tolak Pengajuan"
+        okButtonProps={{ danger: true }}
+        cancelText="Batal"
+      >
+        <p className="text-sm text-gray-600 mb-3">
+          Alasan ini dikirim ke pemohon melalui WhatsApp dan email.
+        </p>
+        <Select
+          allowClear
+          placeholder="Pilih alasan penolakan"
+          value={rejectForm.reasonId}
+          onChange={(value) =>
+            setRejectForm((prev) => ({ ...prev, reasonId: value }))
+          }
+          style={{ width: "100%" }}
+          className="mb-3"
+        >
+          {rejectionReasons.map((reason) => (
+            <Option key={reason.id} value={reason.id}>
+              {reason.label}
+            </Option>
+          ))}
+        </Select>
+        <Input.TextArea
+          rows={3}
+          maxLength={500}
+          placeholder="Keterangan tambahan atau alasan lain (opsional jika sudah memilih dari daftar)"
+          value={rejectForm.text}
+          onChange={(e) =>
+            setRejectForm((prev) => ({ ...prev, text: e.target.value }))
+          }
+        />
+      </Modal>
+
+      <Modal
+        title="Minta Kelengkapan"
+        open={Boolean(revisionTarget)}
+        onOk={handleConfirmRevision}
+        onCancel={() => setRevisionTarget(null)}
+        okText="Kirim ke Pemohon"
+        cancelText="Batal"
+      >
+        <p className="text-sm text-gray-600 mb-3">
+          Daftar ini dikirim ke pemohon melalui WhatsApp dan email, beserta link
+          untuk melengkapi pengajuan.
+        </p>
+        <Select
+          mode="tags"
+          placeholder="Pilih dari persyaratan atau ketik kekurangan lalu tekan Enter"
+          value={revisionForm.items}
+          onChange={(items) => setRevisionForm((prev) => ({ ...prev, items }))}
+          style={{ width: "100%" }}
+          className="mb-3"
+          options={(
+            serviceCatalog[revisionTarget?.jenis_layanan]?.requirements || []
+          ).map((item) => ({ value: item, label: item }))}
+        />
+        <Input.TextArea
+          rows={3}
+          maxLength={1000}
+          placeholder="Catatan untuk pemohon (opsional)"
+          value={revisionForm.note}
+          onChange={(e) =>
+            setRevisionForm((prev) => ({ ...prev, note: e.target.value }))
+          }
+        />
+      </Modal>
+
+      <SubmissionDetailDrawer
+        submissionId={detailSubmissionId}
+        open={Boolean(detailSubmissionId)}
+        onClose={() => setDetailSubmissionId(null)}
+        getStatusText={getStatusText}
+      />
+
       {/* Custom CSS for responsive table */}
       <style jsx global>{`
         .responsive-table .ant-table {
@@ -0,0 +1,277 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { Table, Button, Input, Tag, Card, Popconfirm, message } from "antd";
+import { PERMISSIONS, hasPermission } from "@/lib/auth/roles";
+
+export default function RejectionReasonsPage() {
+  const router = useRouter();
+  const [reasons, setReasons] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newLabel, setNewLabel] = useState("");
+  const [creating, setCreating] = useState(false);
+  const [editing, setEditing] = useState({}); // { [id]: label being edited }
+  const [updating, setUpdating] = useState({}); // Track which row is being updated
+
+  const fetchReasons = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch("/api/admin/rejection-reasons?all=1", {
+        cache: "no-store",
+      });
+
+      if (response.status === 401) {
+        router.push("/admin/login");
+        return;
+      }
+
+      const data = await response.json();
+      if (response.ok) {
+        setReasons(data);
+      } else {
+        message.error(data.message || "Gagal memuat alasan penolakan");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setLoading(false);
+    }
+  }, [router]);
+
+  useEffect(() => {
+    // Only admins allowed to manage the list may open this page
+    const checkAuth = async () => {
+      try {
+        const response = await fetch("/api/admin/session", {
+          cache: "no-store",
+        });
+        if (!response.ok) {
+          router.push("/admin/login");
+          return;
+        }
+        const data = await response.json();
+        if (!hasPermission(data.admin.role, PERMISSIONS.MANAGE_REJECTION_REASONS)) {
+          message.error("Halaman ini hanya untuk superadmin");
+          router.push("/admin");
+          return;
+        }
+        fetchReasons();
+      } catch (error) {
+        router.push("/admin/login");
+      }
+    };
+
+    checkAuth();
+  }, [router, fetchReasons]);
+
+  const handleCreate = async () => {
+    if (!newLabel.trim()) {
+      message.error("Alasan penolakan wajib diisi");
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const response = await fetch("/api/admin/rejection-reasons", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ label: newLabel }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        message.success(data.message);
+        setNewLabel("");
+        fetchReasons();
+      } else {
+        message.error(data.message || "Gagal menambah alasan penolakan");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const updateReason = async (id, changes) => {
+    setUpdating((prev) => ({ ...prev, [id]: true }));
+    try {
+      const response = await fetch(`/api/admin/rejection-reasons/${id}`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        message.success(data.message);
+        setEditing((prev) => {
+          const next = { ...prev };
+          delete next[id];
+          return next;
+        });
+        fetchReasons();
+      } else {
+        message.error(data.message || "Gagal mengupdate alasan penolakan");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setUpdating((prev) => ({ ...prev, [id]: false }));
+    }
+  };
+
+  const columns = [
+    {
+      title: "Alasan",
+      dataIndex: "label",
+      key: "label",
+      render: (label, record) =>
+        editing[record.id] !== undefined ? (
+          <Input
+            value={editing[record.id]}
+            onChange={(e) =>
+              setEditing((prev) => ({ ...prev, [record.id]: e.target.value }))
+            }
+            onPressEnter={() =>
+              updateReason(record.id, { label: editing[record.id] })
+            }
+            size="small"
+          />
+        ) : (
+          label
+        ),
+    },
+    {
+      title: "Status",
+      dataIndex: "is_active",
+      key: "is_active",
+      width: 120,
+      render: (isActive) =>
+        isActive ? <Tag color="green">Aktif</Tag> : <Tag>Nonaktif</Tag>,
+    },
+    {
+      title: "Aksi",
+      key: "actions",
+      width: 260,
+      render: (_, record) => (
+        <div className="flex flex-wrap gap-2">
+          {editing[record.id] !== undefined ? (
+            <>
+              <Button
+                size="small"
+                type="primary"
+                loading={updating[record.id]}
+                onClick={() =>
+                  updateReason(record.id, { label: editing[record.id] })
+                }
+              >
+                Simpan
+              </Button>
+              <Button
+                size="small"
+                onClick={() =>
+                  setEditing((prev) => {
+                    const next = { ...prev };
+                    delete next[record.id];
+                    return next;
+                  })
+                }
+              >
+                Batal
+              </Button>
+            </>
+          ) : (
+            <Button
+              size="small"
+              onClick={() =>
+                setEditing((prev) => ({ ...prev, [record.id]: record.label }))
+              }
+            >
+              Ubah
+            </Button>
+          )}
+          {record.is_active ? (
+            <Popconfirm
+              title="Nonaktifkan alasan ini?"
+              description="Alasan tidak akan muncul lagi saat menolak pengajuan."
+              onConfirm={() => updateReason(record.id, { is_active: false })}
+              okText="Ya"
+              cancelText="Batal"
+            >
+              <Button size="small" danger loading={updating[record.id]}>
+                Nonaktifkan
+              </Button>
+            </Popconfirm>
+          ) : (
+            <Button
+              size="small"
+              loading={updating[record.id]}
+              onClick={() => updateReason(record.id, { is_active: true })}
+            >
+              Aktifkan
+            </Button>
+          )}
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 py-4 sm:py-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+                Alasan Penolakan
+              </h1>
+              <p className="text-sm sm:text-base text-gray-600 mt-1">
+                Daftar alasan yang bisa dipilih saat menolak pengajuan
+              </p>
+            </div>
+            <a
+              href="/admin"
+              className="text-blue-600 hover:text-blue-800 font-medium text-sm sm:text-base"
+            >
+              ← Dashboard
+            </a>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-4 sm:py-8 space-y-6">
+        <Card title="Tambah Alasan">
+          <div className="flex gap-2 max-w-xl">
+            <Input
+              value={newLabel}
+              onChange={(e) => setNewLabel(e.target.value)}
+              onPressEnter={handleCreate}
+              placeholder="Contoh: Foto KTP tidak terbaca"
+            />
+            <Button type="primary" loading={creating} onClick={handleCreate}>
+              Tambah
+            </Button>
+          </div>
+        </Card>
+
+        <Card title="Daftar Alasan">
+          <Table
+            columns={columns}
+            dataSource={reasons}
+            rowKey="id"
+            loading={loading}
+            pagination={false}
+            size="small"
+          />
+        </Card>
+      </div>
+    </div>
+  );
+}
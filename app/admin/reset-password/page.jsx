@@ -0,0 +1,202 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { message } from "antd";
+
+export default function AdminResetPassword({ searchParams }) {
+  const router = useRouter();
+  const token = searchParams?.token || "";
+  const [linkStatus, setLinkStatus] = useState("checking"); // "checking", "valid" or "invalid"
+  const [linkInfo, setLinkInfo] = useState(null);
+  const [formData, setFormData] = useState({
+    password: "",
+    confirmPassword: "",
+  });
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    const checkLink = async () => {
+      if (!token) {
+        setLinkStatus("invalid");
+        return;
+      }
+
+      try {
+        const response = await fetch(
+          `/api/admin/password/reset?token=${encodeURIComponent(token)}`,
+          { cache: "no-store" }
+        );
+        const data = await response.json();
+
+        if (response.ok && data.valid) {
+          setLinkInfo(data);
+          setLinkStatus("valid");
+        } else {
+          setLinkInfo(data);
+          setLinkStatus("invalid");
+        }
+      } catch (error) {
+        console.error("Error checking reset link:", error);
+        setLinkStatus("invalid");
+      }
+    };
+
+    checkLink();
+  }, [token]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    if (error) setError("");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.password) {
+      setError("Password baru wajib diisi");
+      return;
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      setError("Konfirmasi password tidak sama");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+
+    try {
+      const response = await fetch("/api/admin/password/reset", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ token, password: formData.password }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        message.success(data.message);
+        router.push("/admin/login");
+      } else {
+        setError(data.message || "Gagal mereset password");
+        setIsSubmitting(false);
+      }
+    } catch (error) {
+      console.error("Reset password error:", error);
+      setError("Terjadi kesalahan koneksi");
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">
+            Reset Password
+          </h1>
+          <p className="text-gray-600">
+            {linkStatus === "valid"
+              ? `Buat password baru untuk ${linkInfo.email}`
+              : "Buat password baru untuk akun admin Anda"}
+          </p>
+        </div>
+
+        {linkStatus === "checking" && (
+          <p className="text-center text-gray-600">Memeriksa link...</p>
+        )}
+
+        {linkStatus === "invalid" && (
+          <div className="space-y-4">
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+              <p className="text-sm text-red-600">
+                {linkInfo?.message ||
+                  "Link reset password tidak valid atau sudah kedaluwarsa, silakan minta link baru"}
+              </p>
+            </div>
+            <a
+              href="/admin/forgot-password"
+              className="block text-center text-blue-600 hover:text-blue-800 font-medium"
+            >
+              Minta link baru
+            </a>
+          </div>
+        )}
+
+        {linkStatus === "valid" && (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label
+                htmlFor="password"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Password Baru
+              </label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                autoComplete="new-password"
+                value={formData.password}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-black transition duration-200 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Minimal 8 karakter, huruf dan angka"
+              />
+            </div>
+
+            <div>
+              <label
+                htmlFor="confirmPassword"
+                className="block text-sm font-medium text-gray-700 mb-2"
+              >
+                Konfirmasi Password Baru
+              </label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                autoComplete="new-password"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-black transition duration-200 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Ulangi password baru"
+              />
+            </div>
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                <p className="text-sm text-red-600">{error}</p>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className={`w-full font-semibold py-3 px-6 rounded-lg transition duration-200 flex items-center justify-center ${
+                isSubmitting
+                  ? 'bg-blue-400 cursor-not-allowed'
+                  : 'bg-blue-600 hover:bg-blue-700'
+              } text-white`}
+            >
+              {isSubmitting ? "Menyimpan..." : "Simpan Password Baru"}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center">
+          <a href="/admin/login" className="text-blue-600 hover:text-blue-800 font-medium">
+            ← Kembali ke Login
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,344 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { Card, Button, Input, QRCode, Alert, Tag, message } from "antd";
+
+export default function AdminSecurityPage() {
+  const router = useRouter();
+  const [sessionInfo, setSessionInfo] = useState(null);
+  const [setupData, setSetupData] = useState(null); // { secret, otpauth_uri }
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [enableCode, setEnableCode] = useState("");
+  const [disableForm, setDisableForm] = useState({ password: "", code: "" });
+  const [passwordForm, setPasswordForm] = useState({
+    current_password: "",
+    new_password: "",
+    confirm_password: "",
+  });
+  const [busy, setBusy] = useState(false);
+
+  const fetchSession = useCallback(async () => {
+    try {
+      const response = await fetch("/api/admin/session", { cache: "no-store" });
+      if (!response.ok) {
+        router.push("/admin/login");
+        return;
+      }
+      setSessionInfo(await response.json());
+    } catch (error) {
+      router.push("/admin/login");
+    }
+  }, [router]);
+
+  useEffect(() => {
+    fetchSession();
+  }, [fetchSession]);
+
+  const postJson = async (url, body) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    return { ok: response.ok, data };
+  };
+
+  const handleStartSetup = async () => {
+    setBusy(true);
+    try {
+      const { ok, data } = await postJson("/api/admin/2fa/setup", {});
+      if (ok) {
+        setSetupData(data);
+      } else {
+        message.error(data.message || "Gagal memulai pengaturan 2FA");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = async () => {
+    if (!enableCode.trim()) {
+      message.error("Masukkan kode dari aplikasi authenticator");
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const { ok, data } = await postJson("/api/admin/2fa/enable", {
+        code: enableCode.trim(),
+      });
+      if (ok) {
+        message.success(data.message);
+        setRecoveryCodes(data.recovery_codes);
+        setSetupData(null);
+        setEnableCode("");
+        fetchSession();
+      } else {
+        message.error(data.message || "Gagal mengaktifkan 2FA");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    setBusy(true);
+    try {
+      const { ok, data } = await postJson("/api/admin/2fa/disable", disableForm);
+      if (ok) {
+        message.success(data.message);
+        setDisableForm({ password: "", code: "" });
+        setRecoveryCodes(null);
+        fetchSession();
+      } else {
+        message.error(data.message || "Gagal menonaktifkan 2FA");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleChangePassword = async () => {
+    if (!passwordForm.current_password || !passwordForm.new_password) {
+      message.error("Password lama dan password baru wajib diisi");
+      return;
+    }
+
+    if (passwordForm.new_password !== passwordForm.confirm_password) {
+      message.error("Konfirmasi password tidak sama");
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const { ok, data } = await postJson("/api/admin/password", {
+        current_password: passwordForm.current_password,
+        new_password: passwordForm.new_password,
+      });
+      if (ok) {
+        message.success(data.message);
+        setPasswordForm({
+          current_password: "",
+          new_password: "",
+          confirm_password: "",
+        });
+      } else {
+        message.error(data.message || "Gagal mengubah password");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const admin = sessionInfo?.admin;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 py-4 sm:py-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+                Keamanan Akun
+              </h1>
+              <p className="text-sm sm:text-base text-gray-600 mt-1">
+                {admin ? admin.email : "Memuat data akun..."}
+              </p>
+            </div>
+            {!sessionInfo?.requires_2fa_enrollment && (
+              <a
+                href="/admin"
+                className="text-blue-600 hover:text-blue-800 font-medium text-sm sm:text-base"
+              >
+                ← Dashboard
+              </a>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 py-4 sm:py-8 space-y-6">
+        {sessionInfo?.requires_2fa_enrollment && (
+          <Alert
+            type="warning"
+            showIcon
+            message="Autentikasi dua faktor wajib"
+            description="Aktifkan autentikasi dua faktor terlebih dahulu sebelum dapat mengakses dashboard."
+          />
+        )}
+
+        <Card
+          title="Autentikasi Dua Faktor (2FA)"
+          extra={
+            admin?.totp_enabled ? (
+              <Tag color="green">Aktif</Tag>
+            ) : (
+              <Tag>Belum aktif</Tag>
+            )
+          }
+          loading={!sessionInfo}
+        >
+          {recoveryCodes && (
+            <Alert
+              type="info"
+              className="mb-4"
+              message="Simpan kode pemulihan berikut"
+              description={
+                <div>
+                  <p className="mb-2">
+                    Setiap kode hanya dapat dipakai sekali untuk login jika
+                    perangkat authenticator hilang. Kode tidak akan ditampilkan
+                    lagi.
+                  </p>
+                  <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+                    {recoveryCodes.map((code) => (
+                      <span key={code} className="bg-white rounded px-2 py-1">
+                        {code}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              }
+            />
+          )}
+
+          {admin && !admin.totp_enabled && !setupData && (
+            <div>
+              <p className="text-gray-600 mb-4">
+                Lindungi akun Anda dengan kode dari aplikasi authenticator
+                (Google Authenticator, Microsoft Authenticator, dll.) setiap
+                kali login.
+              </p>
+              <Button type="primary" loading={busy} onClick={handleStartSetup}>
+                Aktifkan 2FA
+              </Button>
+            </div>
+          )}
+
+          {setupData && (
+            <div className="space-y-4">
+              <p className="text-gray-600">
+                1. Pindai kode QR berikut dengan aplikasi authenticator Anda.
+              </p>
+              <QRCode value={setupData.otpauth_uri} />
+              <p className="text-sm text-gray-500">
+                Tidak bisa memindai? Masukkan kode ini secara manual:{" "}
+                <span className="font-mono break-all">{setupData.secret}</span>
+              </p>
+              <p className="text-gray-600">
+                2. Masukkan kode 6 digit yang muncul di aplikasi.
+              </p>
+              <div className="flex gap-2 max-w-sm">
+                <Input
+                  value={enableCode}
+                  onChange={(e) => setEnableCode(e.target.value)}
+                  inputMode="numeric"
+                  maxLength={6}
+                  placeholder="123456"
+                  onPressEnter={handleEnable}
+                />
+                <Button type="primary" loading={busy} onClick={handleEnable}>
+                  Verifikasi
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {admin?.totp_enabled && !sessionInfo.totp_required && (
+            <div className="space-y-3 max-w-sm">
+              <p className="text-gray-600">
+                Untuk menonaktifkan 2FA, masukkan password dan kode dari
+                aplikasi authenticator.
+              </p>
+              <Input.Password
+                value={disableForm.password}
+                onChange={(e) =>
+                  setDisableForm((prev) => ({ ...prev, password: e.target.value }))
+                }
+                placeholder="Password"
+              />
+              <Input
+                value={disableForm.code}
+                onChange={(e) =>
+                  setDisableForm((prev) => ({ ...prev, code: e.target.value }))
+                }
+                placeholder="Kode 6 digit atau kode pemulihan"
+              />
+              <Button danger loading={busy} onClick={handleDisable}>
+                Nonaktifkan 2FA
+              </Button>
+            </div>
+          )}
+
+          {admin?.totp_enabled && sessionInfo.totp_required && (
+            <p className="text-gray-600">
+              Autentikasi dua faktor diwajibkan untuk semua admin dan tidak
+              dapat dinonaktifkan.
+            </p>
+          )}
+        </Card>
+
+        {!sessionInfo?.requires_2fa_enrollment && (
+          <Card title="Ubah Password" loading={!sessionInfo}>
+            <div className="space-y-3 max-w-sm">
+              <Input.Password
+                value={passwordForm.current_password}
+                onChange={(e) =>
+                  setPasswordForm((prev) => ({
+                    ...prev,
+                    current_password: e.target.value,
+                  }))
+                }
+                autoComplete="current-password"
+                placeholder="Password lama"
+              />
+              <Input.Password
+                value={passwordForm.new_password}
+                onChange={(e) =>
+                  setPasswordForm((prev) => ({
+                    ...prev,
+                    new_password: e.target.value,
+                  }))
+                }
+                autoComplete="new-password"
+                placeholder="Password baru (minimal 8 karakter, huruf dan angka)"
+              />
+              <Input.Password
+                value={passwordForm.confirm_password}
+                onChange={(e) =>
+                  setPasswordForm((prev) => ({
+                    ...prev,
+                    confirm_password: e.target.value,
+                  }))
+                }
+                autoComplete="new-password"
+                placeholder="Ulangi password baru"
+              />
+              <p className="text-sm text-gray-500">
+                Setelah password diubah, sesi login di perangkat lain akan
+                dikeluarkan.
+              </p>
+              <Button type="primary" loading={busy} onClick={handleChangePassword}>
+                Simpan Password
+              </Button>
+            </div>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
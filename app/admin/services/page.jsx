@@ -0,0 +1,347 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import {
+  Table,
+  Select,
+  Button,
+  Modal,
+  Form,
+  Input,
+  InputNumber,
+  Switch,
+  Tag,
+  Card,
+  message,
+} from "antd";
+import { PERMISSIONS, hasPermission } from "@/lib/auth/roles";
+
+const FORM_SCHEMA_PLACEHOLDER = `[
+  { "name": "alamat_tujuan", "label": "Alamat Tujuan", "type": "textarea", "required": true, "maxLength": 500 }
+]`;
+
+export default function AdminServicesPage() {
+  const router = useRouter();
+  const [form] = Form.useForm();
+  const [services, setServices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingService, setEditingService] = useState(null); // null = closed, {} = new, service = edit
+  const [saving, setSaving] = useState(false);
+
+  const fetchServices = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch("/api/admin/services", { cache: "no-store" });
+
+      if (response.status === 401) {
+        router.push("/admin/login");
+        return;
+      }
+
+      const data = await response.json();
+      if (response.ok) {
+        setServices(data);
+      } else {
+        message.error(data.message || "Gagal memuat data layanan");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setLoading(false);
+    }
+  }, [router]);
+
+  useEffect(() => {
+    // Only admins allowed to manage the catalog may open this page
+    const checkAuth = async () => {
+      try {
+        const response = await fetch("/api/admin/session", {
+          cache: "no-store",
+        });
+        if (!response.ok) {
+          router.push("/admin/login");
+          return;
+        }
+        const data = await response.json();
+        if (!hasPermission(data.admin.role, PERMISSIONS.MANAGE_SERVICES)) {
+          message.error("Halaman ini hanya untuk superadmin");
+          router.push("/admin");
+          return;
+        }
+        fetchServices();
+      } catch (error) {
+        router.push("/admin/login");
+      }
+    };
+
+    checkAuth();
+  }, [router, fetchServices]);
+
+  const openEditor = (service) => {
+    setEditingService(service);
+    form.resetFields();
+    form.setFieldsValue(
+      service.id
+        ? {
+            code: service.code,
+            name: service.name,
+            description: service.description,
+            requirements: service.requirements || [],
+            sla_days: service.sla_days,
+            is_active: service.is_active,
+            form_schema:
+              service.form_schema && service.form_schema.length > 0
+                ? JSON.stringify(service.form_schema, null, 2)
+                : "",
+          }
+        : { requirements: [], sla_days: 7, is_active: true, form_schema: "" }
+    );
+  };
+
+  const handleSave = async (values) => {
+    setSaving(true);
+    try {
+      const isNew = !editingService.id;
+      const payload = {
+        ...values,
+        form_schema: values.form_schema ? JSON.parse(values.form_schema) : [],
+      };
+      const response = await fetch(
+        isNew ? "/api/admin/services" : `/api/admin/services/${editingService.id}`,
+        {
+          method: isNew ? "POST" : "PATCH",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(isNew ? payload : { ...payload, code: undefined }),
+        }
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        message.success(data.message);
+        setEditingService(null);
+        fetchServices();
+      } else {
+        message.error(data.message || "Gagal menyimpan layanan");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const columns = [
+    {
+      title: "Kode",
+      dataIndex: "code",
+      key: "code",
+      width: 160,
+      render: (code) => <span className="font-mono text-sm">{code}</span>,
+    },
+    {
+      title: "Nama Layanan",
+      dataIndex: "name",
+      key: "name",
+      render: (name, record) => (
+        <div>
+          <div>{name}</div>
+          {record.description && (
+            <div className="text-xs text-gray-500">{record.description}</div>
+          )}
+        </div>
+      ),
+    },
+    {
+      title: "Persyaratan",
+      dataIndex: "requirements",
+      key: "requirements",
+      render: (requirements) =>
+        requirements && requirements.length > 0 ? (
+          <ul className="list-disc pl-4 text-sm">
+            {requirements.map((item) => (
+              <li key={item}>{item}</li>
+            ))}
+          </ul>
+        ) : (
+          <span className="text-gray-400">-</span>
+        ),
+    },
+    {
+      title: "Field Tambahan",
+      dataIndex: "form_schema",
+      key: "form_schema",
+      width: 140,
+      render: (schema) =>
+        schema && schema.length > 0 ? (
+          <span title={schema.map((field) => field.label).join(", ")}>
+            {schema.length} field
+          </span>
+        ) : (
+          <span className="text-gray-400">-</span>
+        ),
+    },
+    {
+      title: "SLA",
+      dataIndex: "sla_days",
+      key: "sla_days",
+      width: 100,
+      render: (days) => `${days} hari`,
+    },
+    {
+      title: "Status",
+      dataIndex: "is_active",
+      key: "is_active",
+      width: 110,
+      render: (isActive) =>
+        isActive ? <Tag color="green">Aktif</Tag> : <Tag>Nonaktif</Tag>,
+    },
+    {
+      title: "Aksi",
+      key: "actions",
+      width: 90,
+      render: (_, record) => (
+        <Button size="small" onClick={() => openEditor(record)}>
+          Ubah
+        </Button>
+      ),
+    },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 py-4 sm:py-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+                Kelola Layanan
+              </h1>
+              <p className="text-sm sm:text-base text-gray-600 mt-1">
+                Jenis layanan yang dapat dipilih pemohon di form pengajuan
+              </p>
+            </div>
+            <div className="flex items-center space-x-2 sm:space-x-4">
+              <button
+                onClick={() => openEditor({})}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-3 sm:px-4 py-2 rounded-lg text-sm sm:text-base"
+              >
+                Tambah Layanan
+              </button>
+              <a
+                href="/admin"
+                className="text-blue-600 hover:text-blue-800 font-medium text-sm sm:text-base"
+              >
+                ← Dashboard
+              </a>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-4 sm:py-8">
+        <Card title="Daftar Layanan">
+          <Table
+            columns={columns}
+            dataSource={services}
+            rowKey="id"
+            loading={loading}
+            pagination={false}
+            size="small"
+            scroll={{ x: 800 }}
+          />
+        </Card>
+      </div>
+
+      <Modal
+        title={editingService?.id ? "Ubah Layanan" : "Tambah Layanan"}
+        open={Boolean(editingService)}
+        onCancel={() => setEditingService(null)}
+        onOk={() => form.submit()}
+        confirmLoading={saving}
+        okText="Simpan"
+        cancelText="Batal"
+      >
+        <Form form={form} layout="vertical" onFinish={handleSave}>
+          <Form.Item
+            label="Kode"
+            name="code"
+            extra={
+              editingService?.id
+                ? "Kode tidak dapat diubah karena dipakai oleh pengajuan"
+                : "Huruf besar, angka, dan garis bawah, contoh: SURAT_DOMISILI"
+            }
+            rules={[
+              { required: true, message: "Kode layanan wajib diisi" },
+              {
+                pattern: /^[A-Za-z0-9_]{2,50}$/,
+                message: "Hanya huruf, angka, dan garis bawah (2-50 karakter)",
+              },
+            ]}
+            normalize={(value) => (value ? value.toUpperCase() : value)}
+          >
+            <Input disabled={Boolean(editingService?.id)} placeholder="KODE_LAYANAN" />
+          </Form.Item>
+          <Form.Item
+            label="Nama Layanan"
+            name="name"
+            rules={[{ required: true, message: "Nama layanan wajib diisi" }]}
+          >
+            <Input placeholder="Contoh: Surat Keterangan Domisili" />
+          </Form.Item>
+          <Form.Item label="Deskripsi" name="description">
+            <Input.TextArea rows={2} placeholder="Penjelasan singkat untuk pemohon" />
+          </Form.Item>
+          <Form.Item
+            label="Persyaratan"
+            name="requirements"
+            extra="Ketik persyaratan lalu tekan Enter"
+          >
+            <Select mode="tags" placeholder="Contoh: Fotokopi KTP" open={false} />
+          </Form.Item>
+          <Form.Item
+            label="SLA (hari)"
+            name="sla_days"
+            rules={[{ required: true, message: "SLA wajib diisi" }]}
+          >
+            <InputNumber min={1} max={365} style={{ width: "100%" }} />
+          </Form.Item>
+          <Form.Item
+            label="Field Tambahan (JSON)"
+            name="form_schema"
+            extra="Daftar field yang diisi pemohon. Type: text, textarea, number, date, email, select (dengan options). Aturan opsional: required, minLength, maxLength, min, max, pattern, patternMessage, help."
+            rules={[
+              {
+                validator: (_, value) => {
+                  if (!value) {
+                    return Promise.resolve();
+                  }
+                  try {
+                    if (!Array.isArray(JSON.parse(value))) {
+                      return Promise.reject(new Error("Schema harus berupa array"));
+                    }
+                    return Promise.resolve();
+                  } catch (error) {
+                    return Promise.reject(new Error("JSON tidak valid"));
+                  }
+                },
+              },
+            ]}
+          >
+            <Input.TextArea
+              rows={6}
+              className="font-mono"
+              placeholder={FORM_SCHEMA_PLACEHOLDER}
+            />
+          </Form.Item>
+          <Form.Item label="Aktif" name="is_active" valuePropName="checked">
+            <Switch />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,271 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useRouter, useParams } from "next/navigation";
+import { Card, Descriptions, Table, Tag, Spin, Alert, message } from "antd";
+import { formatPhoneForDisplay } from "@/lib/phone";
+import { getStatusText } from "@/lib/submission-workflow";
+import { DELIVERY_STATUS_LABELS } from "@/lib/notify/channels";
+
+const STATUS_COLORS = {
+  PENGAJUAN_BARU: "gold",
+  DIPROSES: "blue",
+  PERLU_KELENGKAPAN: "orange",
+  SELESAI: "green",
+  DITOLAK: "red",
+};
+
+const DELIVERY_STATUS_COLORS = {
+  SENT: "default",
+  DELIVERED: "blue",
+  READ: "green",
+  FAILED: "red",
+  BOUNCED: "red",
+};
+
+const CHANNEL_LABELS = {
+  WHATSAPP: "WhatsApp",
+  EMAIL: "Email",
+};
+
+const formatDateTime = (date) =>
+  date
+    ? new Date(date).toLocaleString("id-ID", {
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "-";
+
+export default function AdminSubmissionDetailPage() {
+  const router = useRouter();
+  const params = useParams();
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const fetchDetail = async () => {
+      try {
+        const response = await fetch(`/api/admin/submissions/${params.id}`, {
+          cache: "no-store",
+        });
+
+        if (response.status === 401) {
+          router.push("/admin/login");
+          return;
+        }
+
+        const data = await response.json();
+        if (response.status === 403) {
+          message.error(data.message || "Anda tidak memiliki akses");
+          router.push("/admin");
+          return;
+        }
+
+        if (response.ok) {
+          setDetail(data);
+        } else {
+          setError(data.message || "Gagal memuat detail pengajuan");
+        }
+      } catch (error) {
+        setError("Terjadi kesalahan jaringan");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDetail();
+  }, [router, params.id]);
+
+  const notificationColumns = [
+    {
+      title: "Waktu",
+      dataIndex: "created_at",
+      key: "created_at",
+      width: 180,
+      render: (date) => new Date(date).toLocaleString("id-ID"),
+    },
+    {
+      title: "Kanal",
+      dataIndex: "channel",
+      key: "channel",
+      render: (channel) => CHANNEL_LABELS[channel] || channel,
+    },
+    {
+      title: "Tujuan",
+      key: "to",
+      render: (_, record) => (
+        <span className="break-all">{record.payload?.to || "-"}</span>
+      ),
+    },
+    {
+      title: "Status Pengajuan",
+      key: "status",
+      render: (_, record) =>
+        record.payload?.status ? getStatusText(record.payload.status) : "-",
+    },
+    {
+      title: "Pengiriman",
+      dataIndex: "send_status",
+      key: "send_status",
+      render: (sendStatus) => (
+        <Tag color={sendStatus === "SUCCESS" ? "green" : "red"}>
+          {sendStatus === "SUCCESS" ? "Terkirim" : "Gagal"}
+        </Tag>
+      ),
+    },
+    {
+      title: "Status Akhir",
+      dataIndex: "delivery_status",
+      key: "delivery_status",
+      render: (deliveryStatus, record) =>
+        deliveryStatus ? (
+          <div>
+            <Tag color={DELIVERY_STATUS_COLORS[deliveryStatus]}>
+              {DELIVERY_STATUS_LABELS[deliveryStatus] || deliveryStatus}
+            </Tag>
+            {record.delivery_error && (
+              <div className="text-xs text-red-600 break-all">{record.delivery_error}</div>
+            )}
+            {record.delivery_updated_at && (
+              <div className="text-xs text-gray-500">
+                {new Date(record.delivery_updated_at).toLocaleString("id-ID")}
+              </div>
+            )}
+          </div>
+        ) : (
+          <span className="text-gray-400">-</span>
+        ),
+    },
+  ];
+
+  const submission = detail?.submission;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 py-4 sm:py-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+                Detail Pengajuan
+              </h1>
+              <p className="text-sm sm:text-base text-gray-600 mt-1 font-mono break-all">
+                {submission ? submission.tracking_code : "Memuat data pengajuan..."}
+              </p>
+            </div>
+            <a
+              href="/admin"
+              className="text-blue-600 hover:text-blue-800 font-medium text-sm sm:text-base"
+            >
+              ← Dashboard
+            </a>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-4 sm:py-8 space-y-6">
+        {loading && (
+          <div className="flex justify-center py-8">
+            <Spin />
+          </div>
+        )}
+
+        {error && <Alert type="error" showIcon message={error} />}
+
+        {submission && (
+          <>
+            <Card title="Data Pemohon">
+              <Descriptions column={{ xs: 1, md: 2 }} size="small" bordered>
+                <Descriptions.Item label="Nama">{submission.nama}</Descriptions.Item>
+                <Descriptions.Item label="NIK">
+                  <span className="font-mono">{submission.nik}</span>
+                </Descriptions.Item>
+                <Descriptions.Item label="Email">
+                  <span className="break-all">{submission.email}</span>
+                </Descriptions.Item>
+                <Descriptions.Item label="Nomor WhatsApp">
+                  {formatPhoneForDisplay(submission.no_wa)}
+                </Descriptions.Item>
+                <Descriptions.Item label="Persetujuan Data">
+                  {submission.consent ? (
+                    <Tag color="green">Disetujui</Tag>
+                  ) : (
+                    <Tag color="red">Tidak</Tag>
+                  )}
+                </Descriptions.Item>
+                <Descriptions.Item label="Diajukan">
+                  {formatDateTime(submission.created_at)}
+                </Descriptions.Item>
+              </Descriptions>
+            </Card>
+
+            <Card title="Layanan">
+              <Descriptions column={1} size="small" bordered>
+                <Descriptions.Item label="Jenis Layanan">
+                  {submission.service_name || submission.jenis_layanan}
+                </Descriptions.Item>
+                {submission.form_answers.map((answer) => (
+                  <Descriptions.Item key={answer.name} label={answer.label}>
+                    <span className="whitespace-pre-wrap">{String(answer.value)}</span>
+                  </Descriptions.Item>
+                ))}
+                <Descriptions.Item label="Status">
+                  <Tag color={STATUS_COLORS[submission.status]}>
+                    {getStatusText(submission.status)}
+                  </Tag>
+                </Descriptions.Item>
+                {submission.rejection_reason && (
+                  <Descriptions.Item label="Alasan Penolakan">
+                    {submission.rejection_reason}
+                  </Descriptions.Item>
+                )}
+                {submission.revision_items?.length > 0 && (
+                  <Descriptions.Item label="Kelengkapan Diminta">
+                    <ul className="list-disc pl-5">
+                      {submission.revision_items.map((item) => (
+                        <li key={item}>{item}</li>
+                      ))}
+                    </ul>
+                    {submission.revision_note && (
+                      <p className="text-sm text-gray-600">{submission.revision_note}</p>
+                    )}
+                    <p className="text-xs text-gray-500">
+                      {formatDateTime(submission.revision_requested_at)}
+                    </p>
+                  </Descriptions.Item>
+                )}
+                <Descriptions.Item label="Terakhir Diupdate">
+                  {formatDateTime(submission.updated_at)}
+                </Descriptions.Item>
+              </Descriptions>
+            </Card>
+
+            <Card title="Riwayat Notifikasi">
+              <Table
+                columns={notificationColumns}
+                dataSource={detail.notification_logs}
+                rowKey="id"
+                size="small"
+                scroll={{ x: 900 }}
+                pagination={false}
+                locale={{ emptyText: "Belum ada notifikasi" }}
+                expandable={{
+                  expandedRowRender: (record) => (
+                    <pre className="bg-gray-100 rounded p-2 text-xs whitespace-pre-wrap">
+                      {JSON.stringify(record.payload, null, 2)}
+                    </pre>
+                  ),
+                }}
+              />
+            </Card>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,480 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import {
+  Table,
+  Select,
+  Button,
+  Modal,
+  Form,
+  Input,
+  Tag,
+  Card,
+  Popconfirm,
+  message,
+} from "antd";
+import { ROLES, getRoleText } from "@/lib/auth/roles";
+
+const { Option } = Select;
+
+export default function AdminUsersPage() {
+  const router = useRouter();
+  const [form] = Form.useForm();
+  const [admins, setAdmins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentAdmin, setCurrentAdmin] = useState(null);
+  const [createOpen, setCreateOpen] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [updating, setUpdating] = useState({}); // Track which admin row is being updated
+  const [lockouts, setLockouts] = useState([]);
+  const [lockoutsLoading, setLockoutsLoading] = useState(true);
+
+  const fetchAdmins = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch("/api/admin/users", { cache: "no-store" });
+
+      if (response.status === 401) {
+        router.push("/admin/login");
+        return;
+      }
+
+      const data = await response.json();
+      if (response.ok) {
+        setAdmins(data);
+      } else {
+        message.error(data.message || "Gagal memuat data admin");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setLoading(false);
+    }
+  }, [router]);
+
+  const fetchLockouts = useCallback(async () => {
+    setLockoutsLoading(true);
+    try {
+      const response = await fetch("/api/admin/lockouts", { cache: "no-store" });
+      const data = await response.json();
+      if (response.ok) {
+        setLockouts(data);
+      } else {
+        message.error(data.message || "Gagal memuat data penguncian login");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setLockoutsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    // Only superadmins may open this page
+    const checkAuth = async () => {
+      try {
+        const response = await fetch("/api/admin/session", {
+          cache: "no-store",
+        });
+        if (!response.ok) {
+          router.push("/admin/login");
+          return;
+        }
+        const data = await response.json();
+        if (data.admin.role !== ROLES.SUPERADMIN) {
+          message.error("Halaman ini hanya untuk superadmin");
+          router.push("/admin");
+          return;
+        }
+        setCurrentAdmin(data.admin);
+        fetchAdmins();
+        fetchLockouts();
+      } catch (error) {
+        router.push("/admin/login");
+      }
+    };
+
+    checkAuth();
+  }, [router, fetchAdmins, fetchLockouts]);
+
+  // Show a generated password once so the superadmin can hand it over
+  const showTemporaryPassword = (title, password) => {
+    Modal.info({
+      title,
+      content: (
+        <div>
+          <p className="mb-2">
+            Berikan password sementara ini kepada admin terkait. Password tidak
+            akan ditampilkan lagi.
+          </p>
+          <p className="font-mono text-base bg-gray-100 rounded px-3 py-2 break-all">
+            {password}
+          </p>
+        </div>
+      ),
+    });
+  };
+
+  const handleCreate = async (values) => {
+    setCreating(true);
+    try {
+      const response = await fetch("/api/admin/users", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(values),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        message.success("Admin berhasil dibuat");
+        setCreateOpen(false);
+        form.resetFields();
+        if (data.temporary_password) {
+          showTemporaryPassword("Admin berhasil dibuat", data.temporary_password);
+        }
+        fetchAdmins();
+      } else {
+        message.error(data.message || "Gagal membuat admin");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const updateAdmin = async (adminId, changes) => {
+    setUpdating((prev) => ({ ...prev, [adminId]: true }));
+    try {
+      const response = await fetch(`/api/admin/users/${adminId}`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        message.success("Admin berhasil diupdate");
+        fetchAdmins();
+      } else {
+        message.error(data.message || "Gagal mengupdate admin");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setUpdating((prev) => ({ ...prev, [adminId]: false }));
+    }
+  };
+
+  const resetPassword = async (adminId) => {
+    setUpdating((prev) => ({ ...prev, [adminId]: true }));
+    try {
+      const response = await fetch(`/api/admin/users/${adminId}/password`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({}),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        showTemporaryPassword("Password berhasil direset", data.temporary_password);
+      } else {
+        message.error(data.message || "Gagal mereset password");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setUpdating((prev) => ({ ...prev, [adminId]: false }));
+    }
+  };
+
+  const clearLockout = async (lockoutId) => {
+    try {
+      const response = await fetch(`/api/admin/lockouts/${lockoutId}`, {
+        method: "DELETE",
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        message.success("Penguncian login dihapus");
+        fetchLockouts();
+      } else {
+        message.error(data.message || "Gagal menghapus penguncian");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    }
+  };
+
+  const formatDateTime = (date) =>
+    date
+      ? new Date(date).toLocaleString("id-ID", {
+          year: "numeric",
+          month: "2-digit",
+          day: "2-digit",
+          hour: "2-digit",
+          minute: "2-digit",
+        })
+      : "-";
+
+  const lockoutColumns = [
+    {
+      title: "Jenis",
+      dataIndex: "scope",
+      key: "scope",
+      width: 90,
+      render: (scope) => (scope === "IP" ? "IP" : "Akun"),
+    },
+    {
+      title: "Akun / IP",
+      dataIndex: "throttle_key",
+      key: "throttle_key",
+    },
+    {
+      title: "Gagal",
+      dataIndex: "failed_count",
+      key: "failed_count",
+      width: 70,
+    },
+    {
+      title: "Status",
+      key: "status",
+      width: 200,
+      render: (_, record) =>
+        record.is_locked ? (
+          <Tag color="red">Terkunci s/d {formatDateTime(record.locked_until)}</Tag>
+        ) : (
+          <Tag color="orange">Percobaan gagal</Tag>
+        ),
+    },
+    {
+      title: "Aksi",
+      key: "actions",
+      width: 120,
+      render: (_, record) => (
+        <Popconfirm
+          title="Hapus penguncian dan reset hitungan gagal?"
+          onConfirm={() => clearLockout(record.id)}
+        >
+          <Button size="small">Buka Kunci</Button>
+        </Popconfirm>
+      ),
+    },
+  ];
+
+  const columns = [
+    {
+      title: "Username",
+      dataIndex: "username",
+      key: "username",
+    },
+    {
+      title: "Email",
+      dataIndex: "email",
+      key: "email",
+      responsive: ["md"],
+    },
+    {
+      title: "Role",
+      dataIndex: "role",
+      key: "role",
+      width: 180,
+      render: (role, record) => (
+        <Select
+          value={role}
+          size="small"
+          style={{ width: "100%" }}
+          disabled={updating[record.id] || record.id === currentAdmin?.id}
+          onChange={(value) => updateAdmin(record.id, { role: value })}
+        >
+          {Object.values(ROLES).map((option) => (
+            <Option key={option} value={option}>
+              {getRoleText(option)}
+            </Option>
+          ))}
+        </Select>
+      ),
+    },
+    {
+      title: "2FA",
+      dataIndex: "totp_enabled",
+      key: "totp_enabled",
+      width: 90,
+      render: (enabled) =>
+        enabled ? <Tag color="blue">Aktif</Tag> : <Tag>Belum</Tag>,
+    },
+    {
+      title: "Status",
+      dataIndex: "is_active",
+      key: "is_active",
+      width: 110,
+      render: (isActive) =>
+        isActive ? <Tag color="green">Aktif</Tag> : <Tag color="red">Nonaktif</Tag>,
+    },
+    {
+      title: "Aksi",
+      key: "actions",
+      width: 320,
+      render: (_, record) => (
+        <div className="flex flex-wrap gap-2">
+          <Popconfirm
+            title={
+              record.is_active
+                ? "Nonaktifkan admin ini? Semua sesinya akan diakhiri."
+                : "Aktifkan kembali admin ini?"
+            }
+            onConfirm={() =>
+              updateAdmin(record.id, { is_active: !record.is_active })
+            }
+            disabled={record.id === currentAdmin?.id}
+          >
+            <Button
+              size="small"
+              danger={record.is_active}
+              disabled={updating[record.id] || record.id === currentAdmin?.id}
+            >
+              {record.is_active ? "Nonaktifkan" : "Aktifkan"}
+            </Button>
+          </Popconfirm>
+          <Popconfirm
+            title="Reset password admin ini?"
+            onConfirm={() => resetPassword(record.id)}
+          >
+            <Button size="small" disabled={updating[record.id]}>
+              Reset Password
+            </Button>
+          </Popconfirm>
+          {record.totp_enabled && (
+            <Popconfirm
+              title="Reset 2FA admin ini? Admin harus mendaftar ulang authenticator."
+              onConfirm={() => updateAdmin(record.id, { reset_totp: true })}
+            >
+              <Button size="small" disabled={updating[record.id]}>
+                Reset 2FA
+              </Button>
+            </Popconfirm>
+          )}
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 py-4 sm:py-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+                Kelola Admin
+              </h1>
+              <p className="text-sm sm:text-base text-gray-600 mt-1">
+                Tambah, nonaktifkan, dan reset password akun admin
+              </p>
+            </div>
+            <div className="flex items-center space-x-2 sm:space-x-4">
+              <button
+                onClick={() => setCreateOpen(true)}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-3 sm:px-4 py-2 rounded-lg text-sm sm:text-base"
+              >
+                Tambah Admin
+              </button>
+              <a
+                href="/admin"
+                className="text-blue-600 hover:text-blue-800 font-medium text-sm sm:text-base"
+              >
+                ← Dashboard
+              </a>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-4 sm:py-8">
+        <Card title="Daftar Admin">
+          <Table
+            columns={columns}
+            dataSource={admins}
+            rowKey="id"
+            loading={loading}
+            pagination={false}
+            size="small"
+            scroll={{ x: 700 }}
+          />
+        </Card>
+
+        <Card title="Penguncian Login" className="mt-6">
+          <Table
+            columns={lockoutColumns}
+            dataSource={lockouts}
+            rowKey="id"
+            loading={lockoutsLoading}
+            pagination={false}
+            size="small"
+            scroll={{ x: 600 }}
+            locale={{ emptyText: "Tidak ada akun atau IP yang terkunci" }}
+          />
+        </Card>
+      </div>
+
+      <Modal
+        title="Tambah Admin"
+        open={createOpen}
+        onCancel={() => setCreateOpen(false)}
+        onOk={() => form.submit()}
+        confirmLoading={creating}
+        okText="Simpan"
+        cancelText="Batal"
+      >
+        <Form
+          form={form}
+          layout="vertical"
+          onFinish={handleCreate}
+          initialValues={{ role: ROLES.FRONT_DESK }}
+        >
+          <Form.Item
+            label="Username"
+            name="username"
+            rules={[{ required: true, message: "Username wajib diisi" }]}
+          >
+            <Input placeholder="Masukkan username" />
+          </Form.Item>
+          <Form.Item
+            label="Email"
+            name="email"
+            rules={[
+              { required: true, message: "Email wajib diisi" },
+              { type: "email", message: "Format email tidak valid" },
+            ]}
+          >
+            <Input placeholder="nama@instansi.go.id" />
+          </Form.Item>
+          <Form.Item label="Role" name="role">
+            <Select>
+              {Object.values(ROLES).map((option) => (
+                <Option key={option} value={option}>
+                  {getRoleText(option)}
+                </Option>
+              ))}
+            </Select>
+          </Form.Item>
+          <Form.Item
+            label="Password"
+            name="password"
+            extra="Kosongkan untuk membuat password sementara secara otomatis"
+          >
+            <Input.Password placeholder="Minimal 8 karakter, huruf dan angka" />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import { NextResponse } from "next/server";
+import bcrypt from "bcryptjs";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isTotpRequired, consumeSecondFactor } from "@/lib/auth/totp";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle POST - Turn off 2FA (only while it is optional)
+export const POST = withAdminAuth(async function POST(request, { admin }) {
+  try {
+    const { password, code } = await request.json();
+
+    if (isTotpRequired()) {
+      return NextResponse.json(
+        { message: "Autentikasi dua faktor wajib dan tidak dapat dinonaktifkan" },
+        { status: 403 }
+      );
+    }
+
+    if (!admin.totp_enabled) {
+      return NextResponse.json(
+        { message: "Autentikasi dua faktor belum aktif" },
+        { status: 400 }
+      );
+    }
+
+    if (!password || !code) {
+      return NextResponse.json(
+        { message: "Password dan kode verifikasi wajib diisi" },
+        { status: 400 }
+      );
+    }
+
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+
+    // Kode hanya dipakai bila password benar, dan setelah itu tidak bisa
+    // dipakai ulang, sama seperti saat login
+    const isPasswordValid = await bcrypt.compare(password, admin.password);
+    const isCodeValid =
+      isPasswordValid && (await consumeSecondFactor(db, admin, code)) !== null;
+
+    if (!isPasswordValid || !isCodeValid) {
+      return NextResponse.json(
+        { message: "Password atau kode verifikasi salah" },
+        { status: 400 }
+      );
+    }
+
+    await admin.update({
+      totp_enabled: false,
+      totp_secret: null,
+      totp_pending_secret: null,
+      totp_last_used_step: null,
+      totp_recovery_codes: null,
+    });
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.TOTP_DISABLE,
+      entityType: "admin",
+      entityId: admin.id,
+      before: { totp_enabled: true },
+      after: { totp_enabled: false },
+      request,
+    });
+
+    console.log(`[${new Date().toISOString()}] 2FA disabled for ${admin.username}`);
+
+    return NextResponse.json({
+      message: "Autentikasi dua faktor dinonaktifkan",
+    });
+  } catch (error) {
+    console.error("Error disabling 2FA:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { allowWithoutMfa: true });
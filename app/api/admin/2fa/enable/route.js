@@ -0,0 +1,71 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { verifyTotpCode, generateRecoveryCodes } from "@/lib/auth/totp";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle POST - Confirm 2FA enrollment with the first code from the app
+export const POST = withAdminAuth(async function POST(request, { admin }) {
+  try {
+    const { code } = await request.json();
+
+    if (admin.totp_enabled) {
+      return NextResponse.json(
+        { message: "Autentikasi dua faktor sudah aktif" },
+        { status: 409 }
+      );
+    }
+
+    if (!admin.totp_pending_secret) {
+      return NextResponse.json(
+        { message: "Mulai pengaturan 2FA terlebih dahulu" },
+        { status: 400 }
+      );
+    }
+
+    const step = verifyTotpCode(admin.totp_pending_secret, code);
+    if (step === null) {
+      return NextResponse.json(
+        { message: "Kode verifikasi salah" },
+        { status: 400 }
+      );
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await admin.update({
+      totp_enabled: true,
+      totp_secret: admin.totp_pending_secret,
+      totp_pending_secret: null,
+      totp_last_used_step: step,
+      totp_recovery_codes: hashes,
+    });
+
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.TOTP_ENABLE,
+      entityType: "admin",
+      entityId: admin.id,
+      before: { totp_enabled: false },
+      after: { totp_enabled: true },
+      request,
+    });
+
+    console.log(`[${new Date().toISOString()}] 2FA enabled for ${admin.username}`);
+
+    // Kode pemulihan hanya ditampilkan sekali
+    const response = NextResponse.json({
+      message: "Autentikasi dua faktor berhasil diaktifkan",
+      recovery_codes: codes,
+    });
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error enabling 2FA:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { allowWithoutMfa: true });
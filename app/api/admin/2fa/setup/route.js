@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { generateTotpSecret, buildOtpauthUri } from "@/lib/auth/totp";
+
+// Handle POST - Start 2FA enrollment by generating a new secret
+export const POST = withAdminAuth(async function POST(request, { admin }) {
+  try {
+    if (admin.totp_enabled) {
+      return NextResponse.json(
+        { message: "Autentikasi dua faktor sudah aktif" },
+        { status: 409 }
+      );
+    }
+
+    // Secret baru disimpan sebagai pending sampai kode pertama terverifikasi
+    const secret = generateTotpSecret();
+    await admin.update({ totp_pending_secret: secret });
+
+    const response = NextResponse.json({
+      secret,
+      otpauth_uri: buildOtpauthUri({ secret, accountName: admin.email }),
+    });
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error starting 2FA setup:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { allowWithoutMfa: true });
@@ -0,0 +1,50 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { getStorage } from "@/lib/storage";
+
+// Handle GET - File contents for preview (inline) or download (?download=1)
+export const GET = withAdminAuth(async function GET(request, { params }) {
+  try {
+    const { Attachment } = await getVercelDatabase(process.env.DATABASE_URL);
+
+    const attachment = isUuid(params.id) ? await Attachment.findByPk(params.id) : null;
+    if (!attachment) {
+      return NextResponse.json(
+        { message: "Lampiran tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    const data = await getStorage(attachment.storage_driver).get(attachment.storage_key);
+    if (!data) {
+      console.error(`Attachment file missing: ${attachment.storage_key}`);
+      return NextResponse.json(
+        { message: "File lampiran tidak ditemukan di penyimpanan" },
+        { status: 404 }
+      );
+    }
+
+    const url = new URL(request.url);
+    const disposition = url.searchParams.get("download") === "1" ? "attachment" : "inline";
+    const fileName = encodeURIComponent(attachment.original_name);
+
+    return new NextResponse(data, {
+      headers: {
+        "Content-Type": attachment.mime_type,
+        "Content-Length": String(data.length),
+        "Content-Disposition": `${disposition}; filename*=UTF-8''${fileName}`,
+        "Cache-Control": "private, no-store",
+        "X-Content-Type-Options": "nosniff",
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching attachment:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.VIEW_SUBMISSIONS });
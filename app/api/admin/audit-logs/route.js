@@ -0,0 +1,88 @@
+import { NextResponse } from "next/server";
+import { Op } from "sequelize";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS } from "@/lib/auth/roles";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Handle GET - List audit log entries with filters
+export const GET = withAdminAuth(async function GET(request) {
+  try {
+    const { AuditLog } = await getVercelDatabase(process.env.DATABASE_URL);
+
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(parseInt(searchParams.get("page"), 10) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(searchParams.get("pageSize"), 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+
+    const where = {};
+
+    const action = searchParams.get("action");
+    if (action) where.action = action;
+
+    const actorId = searchParams.get("actor_id");
+    if (actorId) {
+      if (!isUuid(actorId)) {
+        return NextResponse.json(
+          { message: "actor_id tidak valid" },
+          { status: 400 }
+        );
+      }
+      where.actor_id = actorId;
+    }
+
+    const actor = searchParams.get("actor")?.trim();
+    if (actor) where.actor_username = { [Op.iLike]: `%${actor}%` };
+
+    const entityType = searchParams.get("entity_type");
+    if (entityType) where.entity_type = entityType;
+
+    const entityId = searchParams.get("entity_id");
+    if (entityId) where.entity_id = entityId;
+
+    const from = searchParams.get("from");
+    const to = searchParams.get("to");
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return NextResponse.json(
+          { message: "Format tanggal tidak valid" },
+          { status: 400 }
+        );
+      }
+
+      where.created_at = {};
+      if (fromDate) where.created_at[Op.gte] = fromDate;
+      if (toDate) where.created_at[Op.lte] = toDate;
+    }
+
+    const { rows, count } = await AuditLog.findAndCountAll({
+      where,
+      order: [["created_at", "DESC"]],
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+    });
+
+    const response = NextResponse.json({
+      data: rows,
+      total: count,
+      page,
+      pageSize,
+    });
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching audit logs:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.VIEW_AUDIT_LOG });
@@ -0,0 +1,51 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle DELETE - Clear a lockout so the account/IP can log in again
+export const DELETE = withAdminAuth(async function DELETE(request, { params, admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { LoginThrottle } = db;
+
+    const { id } = params;
+    const throttle = isUuid(id) ? await LoginThrottle.findByPk(id) : null;
+    if (!throttle) {
+      return NextResponse.json(
+        { message: "Data penguncian tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    await throttle.destroy();
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.LOCKOUT_CLEAR,
+      entityType: "login_throttle",
+      entityId: throttle.id,
+      before: {
+        scope: throttle.scope,
+        throttle_key: throttle.throttle_key,
+        failed_count: throttle.failed_count,
+        locked_until: throttle.locked_until,
+      },
+      request,
+    });
+
+    console.log(
+      `[${new Date().toISOString()}] Lockout ${throttle.scope}:${throttle.throttle_key} cleared by ${admin.username}`
+    );
+
+    return NextResponse.json({ message: "Penguncian login berhasil dihapus" });
+  } catch (error) {
+    console.error("Error clearing login lockout:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_ADMINS });
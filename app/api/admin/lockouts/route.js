@@ -0,0 +1,24 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { listActiveThrottles } from "@/lib/auth/throttle";
+
+// Handle GET - List locked accounts/IPs and ongoing failed-login counters
+export const GET = withAdminAuth(async function GET() {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+
+    const lockouts = await listActiveThrottles(db);
+
+    const response = NextResponse.json(lockouts);
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching login lockouts:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_ADMINS });
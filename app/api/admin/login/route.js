@@ -1,6 +1,17 @@
 import { NextResponse } from "next/server";
 import bcrypt from "bcryptjs";
-import { getVercelDatabase } from "../../../../lib/vercel-init-db";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { createSession, setSessionCookie } from "@/lib/auth/session";
+import {
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  formatRetryAfter,
+} from "@/lib/auth/throttle";
+import { findAdminByEmail } from "@/lib/auth/accounts";
+import { getClientIp } from "@/lib/client-info";
+import { isTotpRequired } from "@/lib/auth/totp";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
 
 export async function POST(request) {
   try {
@@ -15,30 +26,102 @@ export async function POST(request) {
     }
 
     // Initialize database with all models
-    const { sequelize, Admin } = await getVercelDatabase(process.env.DATABASE_URL);
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { Admin } = db;
+    const ip = getClientIp(request);
 
-    // Cari admin berdasarkan email (menggunakan field username sebagai email)
-    const admin = await Admin.findOne({
-      where: { email: username }
-    });
-
-    if (!admin) {
+    // Tolak sebelum bcrypt.compare jika akun/IP sedang dikunci atau terlalu cepat
+    const throttle = await checkLoginThrottle(db, { username, ip });
+    if (!throttle.allowed) {
+      const message =
+        throttle.reason === "LOCKED"
+          ? `Terlalu banyak percobaan login gagal. Coba lagi dalam ${formatRetryAfter(throttle.retryAfterSeconds)}`
+          : `Tunggu ${formatRetryAfter(throttle.retryAfterSeconds)} sebelum mencoba lagi`;
       return NextResponse.json(
-        { error: "Username atau password salah" },
-        { status: 401 }
+        { error: message },
+        {
+          status: 429,
+          headers: { "Retry-After": String(throttle.retryAfterSeconds) },
+        }
       );
     }
 
+    // Cari admin berdasarkan email (menggunakan field username sebagai email)
+    const admin = await findAdminByEmail(Admin, username);
+
     // Verifikasi password dengan bcrypt
-    const isPasswordValid = await bcrypt.compare(password, admin.password);
+    const isPasswordValid = admin
+      ? await bcrypt.compare(password, admin.password)
+      : false;
 
     if (!isPasswordValid) {
+      const failure = await recordLoginFailure(db, { username, ip });
+      await recordAudit(db, {
+        actor: admin,
+        actorLabel: username,
+        action: AUDIT_ACTIONS.LOGIN_FAILED,
+        entityType: "admin",
+        entityId: admin?.id,
+        after: { reason: "INVALID_CREDENTIALS", locked: failure.locked },
+        request,
+      });
       return NextResponse.json(
-        { error: "Username atau password salah" },
+        {
+          error: failure.locked
+            ? `Terlalu banyak percobaan login gagal. Coba lagi dalam ${formatRetryAfter(failure.retryAfterSeconds)}`
+            : "Username atau password salah",
+        },
         { status: 401 }
       );
     }
 
+    // Akun yang dinonaktifkan superadmin tidak boleh login
+    if (!admin.is_active) {
+      await recordAudit(db, {
+        actor: admin,
+        action: AUDIT_ACTIONS.LOGIN_FAILED,
+        entityType: "admin",
+        entityId: admin.id,
+        after: { reason: "INACTIVE" },
+        request,
+      });
+      return NextResponse.json(
+        { error: "Akun Anda telah dinonaktifkan, hubungi superadmin" },
+        { status: 403 }
+      );
+    }
+
+    // Admin dengan 2FA aktif mendapat sesi sementara sampai kode diverifikasi.
+    // Penghitung gagal baru dihapus di /api/admin/login/verify, supaya password
+    // yang bocor tidak bisa dipakai untuk mereset batas tebakan kode 2FA.
+    if (admin.totp_enabled) {
+      const { token, session } = await createSession(db, admin, request, {
+        mfaPending: true,
+      });
+
+      const response = NextResponse.json({
+        success: true,
+        requires_2fa: true,
+        message: "Masukkan kode dari aplikasi authenticator",
+      });
+
+      setSessionCookie(response, token, session.expires_at);
+      return response;
+    }
+
+    await clearLoginFailures(db, username);
+
+    // Buat sesi server-side, token hanya dikirim lewat cookie HttpOnly
+    const { token, session } = await createSession(db, admin, request);
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.LOGIN_SUCCESS,
+      entityType: "admin",
+      entityId: admin.id,
+      after: { method: "password" },
+      request,
+    });
+
     // Login berhasil
     const response = NextResponse.json({
       success: true,
@@ -46,12 +129,14 @@ export async function POST(request) {
       admin: {
         id: admin.id,
         username: admin.username,
-        email: admin.email
-      }
+        email: admin.email,
+        role: admin.role
+      },
+      requires_2fa_enrollment: isTotpRequired(),
+      expires_at: session.expires_at,
     });
 
-    // Close database connection
-    await sequelize.close();
+    setSessionCookie(response, token, session.expires_at);
     return response;
 
   } catch (error) {
@@ -0,0 +1,125 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import {
+  createSession,
+  getSessionFromRequest,
+  revokeSession,
+  setSessionCookie,
+} from "@/lib/auth/session";
+import {
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  formatRetryAfter,
+} from "@/lib/auth/throttle";
+import { consumeSecondFactor } from "@/lib/auth/totp";
+import { getClientIp } from "@/lib/client-info";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle POST - Second login step: verify the TOTP or recovery code
+export async function POST(request) {
+  try {
+    const { code } = await request.json();
+
+    if (!code) {
+      return NextResponse.json(
+        { error: "Kode verifikasi wajib diisi" },
+        { status: 400 }
+      );
+    }
+
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+
+    // Sesi sementara dibuat oleh /api/admin/login setelah password benar
+    const pending = await getSessionFromRequest(db, request, { mfaPending: true });
+    if (!pending) {
+      return NextResponse.json(
+        {
+          error: "Sesi login berakhir, silakan login ulang",
+          code: "MFA_SESSION_EXPIRED",
+        },
+        { status: 401 }
+      );
+    }
+
+    const { admin } = pending;
+    const ip = getClientIp(request);
+
+    // Kode 6 digit juga bisa ditebak, jadi dibatasi sama seperti password
+    const throttle = await checkLoginThrottle(db, { username: admin.email, ip });
+    if (!throttle.allowed) {
+      return NextResponse.json(
+        {
+          error: `Terlalu banyak percobaan. Coba lagi dalam ${formatRetryAfter(throttle.retryAfterSeconds)}`,
+        },
+        {
+          status: 429,
+          headers: { "Retry-After": String(throttle.retryAfterSeconds) },
+        }
+      );
+    }
+
+    // Kode yang sama dari dua request bersamaan hanya lolos sekali
+    const factor = await consumeSecondFactor(db, admin, code);
+    if (!factor) {
+      await recordLoginFailure(db, { username: admin.email, ip });
+      await recordAudit(db, {
+        actor: admin,
+        action: AUDIT_ACTIONS.LOGIN_2FA_FAILED,
+        entityType: "admin",
+        entityId: admin.id,
+        request,
+      });
+      return NextResponse.json(
+        { error: "Kode verifikasi salah" },
+        { status: 401 }
+      );
+    }
+
+    // Ganti sesi sementara dengan sesi penuh (token baru). Sesi sementara
+    // hanya bisa ditukar sekali.
+    const revoked = await revokeSession(db, request);
+    if (!revoked) {
+      return NextResponse.json(
+        {
+          error: "Sesi login berakhir, silakan login ulang",
+          code: "MFA_SESSION_EXPIRED",
+        },
+        { status: 401 }
+      );
+    }
+    await clearLoginFailures(db, admin.email);
+
+    const { token, session } = await createSession(db, admin, request);
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.LOGIN_SUCCESS,
+      entityType: "admin",
+      entityId: admin.id,
+      after: { method: factor.method },
+      request,
+    });
+
+    const response = NextResponse.json({
+      success: true,
+      message: "Login berhasil",
+      admin: {
+        id: admin.id,
+        username: admin.username,
+        email: admin.email,
+        role: admin.role,
+      },
+      recovery_codes_remaining: factor.recoveryCodesRemaining ?? undefined,
+      expires_at: session.expires_at,
+    });
+
+    setSessionCookie(response, token, session.expires_at);
+    return response;
+  } catch (error) {
+    console.error("2FA verification error:", error);
+    return NextResponse.json(
+      { error: "Terjadi kesalahan server" },
+      { status: 500 }
+    );
+  }
+}
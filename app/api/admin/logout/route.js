@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import {
+  getSessionFromRequest,
+  revokeSession,
+  clearSessionCookie,
+} from "@/lib/auth/session";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+export async function POST(request) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+
+    const current = await getSessionFromRequest(db, request);
+
+    // Cabut sesi di database agar token tidak bisa dipakai lagi
+    await revokeSession(db, request);
+
+    if (current) {
+      await recordAudit(db, {
+        actor: current.admin,
+        action: AUDIT_ACTIONS.LOGOUT,
+        entityType: "admin",
+        entityId: current.admin.id,
+        request,
+      });
+    }
+
+    const response = NextResponse.json({
+      success: true,
+      message: "Logout berhasil",
+    });
+
+    clearSessionCookie(response);
+    return response;
+  } catch (error) {
+    console.error("Logout error:", error);
+
+    const response = NextResponse.json(
+      { error: "Terjadi kesalahan server" },
+      { status: 500 }
+    );
+
+    // Tetap hapus cookie di browser meskipun pencabutan sesi gagal
+    clearSessionCookie(response);
+    return response;
+  }
+}
@@ -0,0 +1,65 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+import {
+  OUTBOX_STATUSES,
+  retryOutboxMessage,
+  triggerOutboxDelivery,
+} from "@/lib/notify/outbox";
+
+// Handle POST - Send a dead (or still waiting) notification again now
+export const POST = withAdminAuth(async function POST(request, { params, admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { NotificationOutbox } = db;
+
+    const message = isUuid(params.id) ? await NotificationOutbox.findByPk(params.id) : null;
+    if (!message) {
+      return NextResponse.json(
+        { message: "Notifikasi tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    // Yang sudah terkirim atau sedang dikirim tidak boleh diantrekan lagi
+    if (![OUTBOX_STATUSES.DEAD, OUTBOX_STATUSES.PENDING].includes(message.status)) {
+      return NextResponse.json(
+        { message: "Hanya notifikasi yang gagal atau menunggu yang bisa dikirim ulang" },
+        { status: 409 }
+      );
+    }
+
+    const before = {
+      status: message.status,
+      attempts: message.attempts,
+      last_error: message.last_error,
+    };
+    await retryOutboxMessage(message);
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.NOTIFICATION_RETRY,
+      entityType: "notification",
+      entityId: message.id,
+      before,
+      after: { status: message.status, attempts: message.attempts },
+      request,
+    });
+
+    triggerOutboxDelivery(db);
+
+    return NextResponse.json({
+      message: "Notifikasi dimasukkan kembali ke antrean",
+      notification: message,
+    });
+  } catch (error) {
+    console.error("Error retrying notification:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_NOTIFICATIONS });
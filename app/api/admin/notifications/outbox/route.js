@@ -0,0 +1,86 @@
+import { NextResponse } from "next/server";
+import { Op } from "sequelize";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { parsePagination } from "@/lib/submission-query";
+import { OUTBOX_STATUSES } from "@/lib/notify/outbox";
+
+// Ringkasan status pengiriman (dari webhook) untuk periode ini
+const DELIVERY_SUMMARY_DAYS = 30;
+
+// Handle GET - List notification outbox rows, newest first
+// Query: page, pageSize, status (PENDING|PROCESSING|SENT|DEAD)
+export const GET = withAdminAuth(async function GET(request) {
+  try {
+    const { NotificationOutbox, NotificationLog, Submission } = await getVercelDatabase(
+      process.env.DATABASE_URL
+    );
+
+    const { searchParams } = new URL(request.url);
+    const { page, pageSize } = parsePagination(searchParams);
+
+    const where = {};
+    const status = searchParams.get("status");
+    if (status && status !== "ALL") {
+      if (!Object.values(OUTBOX_STATUSES).includes(status)) {
+        return NextResponse.json(
+          { message: `Status tidak dikenal: ${status}` },
+          { status: 400 }
+        );
+      }
+      where.status = status;
+    }
+
+    const { rows, count } = await NotificationOutbox.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Submission,
+          attributes: ["id", "tracking_code", "nama"],
+        },
+      ],
+      order: [
+        ["created_at", "DESC"],
+        ["id", "ASC"],
+      ],
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+    });
+
+    const statusRows = await NotificationOutbox.count({ group: ["status"] });
+    const statusCounts = Object.fromEntries(
+      statusRows.map((row) => [row.status, Number(row.count)])
+    );
+
+    const deliveryRows = await NotificationLog.count({
+      where: {
+        delivery_status: { [Op.ne]: null },
+        created_at: {
+          [Op.gte]: new Date(Date.now() - DELIVERY_SUMMARY_DAYS * 24 * 60 * 60 * 1000),
+        },
+      },
+      group: ["delivery_status"],
+    });
+    const deliveryCounts = Object.fromEntries(
+      deliveryRows.map((row) => [row.delivery_status, Number(row.count)])
+    );
+
+    const response = NextResponse.json({
+      data: rows,
+      total: count,
+      page,
+      pageSize,
+      statusCounts,
+      deliveryCounts,
+    });
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching notification outbox:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_NOTIFICATIONS });
@@ -0,0 +1,73 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { validateTemplateInput } from "@/lib/notify/templates";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle PATCH - Update a template (channel, event and service are fixed)
+export const PATCH = withAdminAuth(async function PATCH(request, { params, admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { NotificationTemplate } = db;
+
+    const body = await request.json();
+    const template = isUuid(params.id)
+      ? await NotificationTemplate.findByPk(params.id)
+      : null;
+    if (!template) {
+      return NextResponse.json(
+        { message: "Template tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    const { values, error } = validateTemplateInput(body, { partial: true });
+    if (error) {
+      return NextResponse.json({ message: error }, { status: 400 });
+    }
+
+    if (Object.keys(values).length === 0) {
+      return NextResponse.json(
+        { message: "Tidak ada perubahan yang dikirim" },
+        { status: 400 }
+      );
+    }
+
+    if (template.channel === "EMAIL" && values.subject === null) {
+      return NextResponse.json(
+        { message: "Subjek email wajib diisi" },
+        { status: 400 }
+      );
+    }
+
+    const before = {};
+    for (const key of Object.keys(values)) {
+      before[key] = template[key];
+    }
+
+    await template.update({ ...values, updated_by: admin.id });
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.NOTIFICATION_TEMPLATE_UPDATE,
+      entityType: "notification_template",
+      entityId: template.id,
+      before,
+      after: values,
+      request,
+    });
+
+    return NextResponse.json({
+      message: "Template berhasil diupdate",
+      template,
+    });
+  } catch (error) {
+    console.error("Error updating notification template:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_NOTIFICATIONS });
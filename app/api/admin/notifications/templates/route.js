@@ -0,0 +1,95 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { validateTemplateInput } from "@/lib/notify/templates";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle GET - List notification templates
+export const GET = withAdminAuth(async function GET() {
+  try {
+    const { NotificationTemplate } = await getVercelDatabase(process.env.DATABASE_URL);
+
+    const templates = await NotificationTemplate.findAll({
+      order: [
+        ["channel", "DESC"],
+        ["event", "ASC"],
+        ["service_code", "ASC"],
+      ],
+    });
+
+    const response = NextResponse.json(templates);
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching notification templates:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_NOTIFICATIONS });
+
+// Handle POST - Add a template (usually a service-specific one)
+export const POST = withAdminAuth(async function POST(request, { admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { NotificationTemplate, ServiceType } = db;
+
+    const body = await request.json();
+    const { values, error } = validateTemplateInput(body);
+    if (error) {
+      return NextResponse.json({ message: error }, { status: 400 });
+    }
+
+    if (values.service_code) {
+      const service = await ServiceType.findOne({ where: { code: values.service_code } });
+      if (!service) {
+        return NextResponse.json(
+          { message: "Layanan tidak ditemukan" },
+          { status: 400 }
+        );
+      }
+    }
+
+    // Dicek di sini karena unique index menganggap service_code null selalu berbeda
+    const existing = await NotificationTemplate.findOne({
+      where: {
+        channel: values.channel,
+        event: values.event,
+        service_code: values.service_code,
+      },
+    });
+    if (existing) {
+      return NextResponse.json(
+        { message: "Template untuk kanal, event, dan layanan ini sudah ada" },
+        { status: 409 }
+      );
+    }
+
+    const template = await NotificationTemplate.create({
+      ...values,
+      updated_by: admin.id,
+    });
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.NOTIFICATION_TEMPLATE_CREATE,
+      entityType: "notification_template",
+      entityId: template.id,
+      after: values,
+      request,
+    });
+
+    return NextResponse.json(
+      { message: "Template berhasil ditambahkan", template },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error creating notification template:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_NOTIFICATIONS });
@@ -0,0 +1,72 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import {
+  createPasswordResetToken,
+  getResetTokenTtlMinutes,
+  buildResetUrl,
+  sendPasswordResetEmail,
+} from "@/lib/auth/password-reset";
+import { findAdminByEmail } from "@/lib/auth/accounts";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Jawaban selalu sama agar tidak bisa dipakai untuk menebak email admin
+const GENERIC_MESSAGE =
+  "Jika email terdaftar, link reset password telah dikirim ke email tersebut";
+
+// Handle POST - Request a password reset link by email
+export async function POST(request) {
+  try {
+    const { email } = await request.json();
+
+    if (!email || typeof email !== "string") {
+      return NextResponse.json(
+        { message: "Email wajib diisi" },
+        { status: 400 }
+      );
+    }
+
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { Admin } = db;
+
+    const admin = await findAdminByEmail(Admin, email);
+
+    if (admin && admin.is_active) {
+      const reset = await createPasswordResetToken(db, admin, request);
+
+      if (reset) {
+        await recordAudit(db, {
+          actor: admin,
+          action: AUDIT_ACTIONS.PASSWORD_RESET_REQUEST,
+          entityType: "admin",
+          entityId: admin.id,
+          request,
+        });
+
+        const emailResult = await sendPasswordResetEmail(
+          admin,
+          buildResetUrl(reset.token),
+          getResetTokenTtlMinutes()
+        );
+
+        if (!emailResult.success) {
+          console.error(
+            `Failed to send password reset email to ${admin.username}:`,
+            emailResult.error
+          );
+        } else {
+          console.log(
+            `[${new Date().toISOString()}] Password reset link sent to ${admin.username}`
+          );
+        }
+      }
+    }
+
+    return NextResponse.json({ message: GENERIC_MESSAGE });
+  } catch (error) {
+    console.error("Error requesting password reset:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}
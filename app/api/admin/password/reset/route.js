@@ -0,0 +1,103 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { findValidResetToken } from "@/lib/auth/password-reset";
+import { hashPassword, validatePassword } from "@/lib/auth/accounts";
+import { revokeAllSessions } from "@/lib/auth/session";
+import { clearLoginFailures } from "@/lib/auth/throttle";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+const INVALID_LINK_MESSAGE =
+  "Link reset password tidak valid atau sudah kedaluwarsa, silakan minta link baru";
+
+// Handle GET - Check whether a reset link can still be used
+export async function GET(request) {
+  try {
+    const token = new URL(request.url).searchParams.get("token");
+
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const resetToken = await findValidResetToken(db, token);
+
+    if (!resetToken) {
+      return NextResponse.json(
+        { valid: false, message: INVALID_LINK_MESSAGE },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json({
+      valid: true,
+      email: resetToken.Admin.email,
+      expires_at: resetToken.expires_at,
+    });
+  } catch (error) {
+    console.error("Error checking password reset link:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}
+
+// Handle POST - Set a new password using a reset link
+export async function POST(request) {
+  try {
+    const { token, password } = await request.json();
+
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const resetToken = await findValidResetToken(db, token);
+
+    if (!resetToken) {
+      return NextResponse.json(
+        { message: INVALID_LINK_MESSAGE },
+        { status: 400 }
+      );
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return NextResponse.json({ message: passwordError }, { status: 400 });
+    }
+
+    const admin = resetToken.Admin;
+
+    // Tandai terpakai dulu agar link yang sama tidak bisa dipakai dua kali
+    const [updatedCount] = await db.PasswordResetToken.update(
+      { used_at: new Date() },
+      { where: { id: resetToken.id, used_at: null } }
+    );
+    if (updatedCount === 0) {
+      return NextResponse.json(
+        { message: INVALID_LINK_MESSAGE },
+        { status: 400 }
+      );
+    }
+
+    await admin.update({ password: await hashPassword(password) });
+
+    // Semua sesi lama dikeluarkan dan penguncian login dibuka
+    await revokeAllSessions(db, admin.id);
+    await clearLoginFailures(db, admin.email);
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.PASSWORD_RESET,
+      entityType: "admin",
+      entityId: admin.id,
+      request,
+    });
+
+    console.log(
+      `[${new Date().toISOString()}] Password of ${admin.username} reset via email link`
+    );
+
+    return NextResponse.json({
+      message: "Password berhasil direset, silakan login dengan password baru",
+    });
+  } catch (error) {
+    console.error("Error resetting password:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}
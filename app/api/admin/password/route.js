@@ -0,0 +1,96 @@
+import { NextResponse } from "next/server";
+import bcrypt from "bcryptjs";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { hashPassword, validatePassword } from "@/lib/auth/accounts";
+import { revokeAllSessions } from "@/lib/auth/session";
+import {
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  formatRetryAfter,
+} from "@/lib/auth/throttle";
+import { getClientIp } from "@/lib/client-info";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle POST - Change the logged-in admin's own password
+export const POST = withAdminAuth(async function POST(request, { admin, session }) {
+  try {
+    const { current_password, new_password } = await request.json();
+
+    if (!current_password || !new_password) {
+      return NextResponse.json(
+        { message: "Password lama dan password baru wajib diisi" },
+        { status: 400 }
+      );
+    }
+
+    // Tebakan password lama dihitung seperti login gagal, jadi sesi yang dicuri
+    // tidak bisa menebak tanpa batas (dan akunnya ikut terkunci)
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const ip = getClientIp(request);
+    const throttle = await checkLoginThrottle(db, { username: admin.email, ip });
+    if (!throttle.allowed) {
+      return NextResponse.json(
+        {
+          message: `Terlalu banyak percobaan. Coba lagi dalam ${formatRetryAfter(throttle.retryAfterSeconds)}`,
+        },
+        {
+          status: 429,
+          headers: { "Retry-After": String(throttle.retryAfterSeconds) },
+        }
+      );
+    }
+
+    const isPasswordValid = await bcrypt.compare(current_password, admin.password);
+    if (!isPasswordValid) {
+      const failure = await recordLoginFailure(db, { username: admin.email, ip });
+      return NextResponse.json(
+        {
+          message: failure.locked
+            ? `Terlalu banyak percobaan. Coba lagi dalam ${formatRetryAfter(failure.retryAfterSeconds)}`
+            : "Password lama salah",
+        },
+        { status: 400 }
+      );
+    }
+    await clearLoginFailures(db, admin.email);
+
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+      return NextResponse.json({ message: passwordError }, { status: 400 });
+    }
+
+    if (new_password === current_password) {
+      return NextResponse.json(
+        { message: "Password baru harus berbeda dari password lama" },
+        { status: 400 }
+      );
+    }
+
+    await admin.update({ password: await hashPassword(new_password) });
+
+    // Sesi di perangkat lain dikeluarkan, sesi saat ini tetap aktif
+    await revokeAllSessions(db, admin.id, { exceptSessionId: session.id });
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.PASSWORD_CHANGE,
+      entityType: "admin",
+      entityId: admin.id,
+      request,
+    });
+
+    console.log(`[${new Date().toISOString()}] Password changed by ${admin.username}`);
+
+    return NextResponse.json({
+      message: "Password berhasil diubah",
+    });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,75 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle PATCH - Rename or (de)activate a rejection reason
+export const PATCH = withAdminAuth(async function PATCH(request, { params, admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { RejectionReason } = db;
+
+    const body = await request.json();
+    const label = body.label?.trim();
+    const { is_active } = body;
+
+    if (body.label !== undefined && !label) {
+      return NextResponse.json(
+        { message: "Alasan penolakan wajib diisi" },
+        { status: 400 }
+      );
+    }
+
+    if (is_active !== undefined && typeof is_active !== "boolean") {
+      return NextResponse.json(
+        { message: "Nilai is_active harus boolean" },
+        { status: 400 }
+      );
+    }
+
+    const reason = isUuid(params.id) ? await RejectionReason.findByPk(params.id) : null;
+    if (!reason) {
+      return NextResponse.json(
+        { message: "Alasan penolakan tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    const before = { label: reason.label, is_active: reason.is_active };
+
+    // Alasan yang sudah dipakai tidak dihapus, cukup dinonaktifkan
+    const updates = {};
+    if (label) updates.label = label;
+    if (is_active !== undefined) updates.is_active = is_active;
+    await reason.update(updates);
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.REJECTION_REASON_UPDATE,
+      entityType: "rejection_reason",
+      entityId: reason.id,
+      before,
+      after: { label: reason.label, is_active: reason.is_active },
+      request,
+    });
+
+    return NextResponse.json({
+      message: "Alasan penolakan berhasil diupdate",
+      reason,
+    });
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return NextResponse.json(
+        { message: "Alasan penolakan sudah ada" },
+        { status: 409 }
+      );
+    }
+    console.error("Error updating rejection reason:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_REJECTION_REASONS });
@@ -0,0 +1,87 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { PERMISSIONS, hasPermission } from "@/lib/auth/roles";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle GET - List rejection reasons (active only, unless ?all=1 for managers)
+export const GET = withAdminAuth(async function GET(request, { admin }) {
+  try {
+    const { RejectionReason } = await getVercelDatabase(process.env.DATABASE_URL);
+
+    const { searchParams } = new URL(request.url);
+    const includeInactive =
+      searchParams.get("all") === "1" &&
+      hasPermission(admin.role, PERMISSIONS.MANAGE_REJECTION_REASONS);
+
+    const reasons = await RejectionReason.findAll({
+      where: includeInactive ? {} : { is_active: true },
+      order: [
+        ["sort_order", "ASC"],
+        ["label", "ASC"],
+      ],
+    });
+
+    const response = NextResponse.json(reasons);
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching rejection reasons:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.VIEW_SUBMISSIONS });
+
+// Handle POST - Add a rejection reason to the managed list
+export const POST = withAdminAuth(async function POST(request, { admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { RejectionReason } = db;
+
+    const body = await request.json();
+    const label = body.label?.trim();
+
+    if (!label) {
+      return NextResponse.json(
+        { message: "Alasan penolakan wajib diisi" },
+        { status: 400 }
+      );
+    }
+
+    const existing = await RejectionReason.findOne({ where: { label } });
+    if (existing) {
+      return NextResponse.json(
+        { message: "Alasan penolakan sudah ada" },
+        { status: 409 }
+      );
+    }
+
+    const maxOrder = (await RejectionReason.max("sort_order")) || 0;
+    const reason = await RejectionReason.create({
+      label,
+      sort_order: maxOrder + 1,
+    });
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.REJECTION_REASON_CREATE,
+      entityType: "rejection_reason",
+      entityId: reason.id,
+      after: { label: reason.label },
+      request,
+    });
+
+    return NextResponse.json(
+      { message: "Alasan penolakan berhasil ditambahkan", reason },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error creating rejection reason:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_REJECTION_REASONS });
@@ -0,0 +1,74 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { validateServiceTypeInput } from "@/lib/service-types";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle PATCH - Update a service (the code is fixed because submissions refer to it)
+export const PATCH = withAdminAuth(async function PATCH(request, { params, admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { ServiceType } = db;
+
+    const body = await request.json();
+    const service = isUuid(params.id) ? await ServiceType.findByPk(params.id) : null;
+    if (!service) {
+      return NextResponse.json(
+        { message: "Layanan tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    if (body.code !== undefined && body.code !== service.code) {
+      return NextResponse.json(
+        { message: "Kode layanan tidak dapat diubah karena dipakai oleh pengajuan" },
+        { status: 400 }
+      );
+    }
+
+    const { values, error } = validateServiceTypeInput(
+      { ...body, code: undefined },
+      { partial: true }
+    );
+    if (error) {
+      return NextResponse.json({ message: error }, { status: 400 });
+    }
+
+    if (Object.keys(values).length === 0) {
+      return NextResponse.json(
+        { message: "Tidak ada perubahan yang dikirim" },
+        { status: 400 }
+      );
+    }
+
+    const before = {};
+    for (const key of Object.keys(values)) {
+      before[key] = service[key];
+    }
+
+    await service.update(values);
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.SERVICE_UPDATE,
+      entityType: "service",
+      entityId: service.id,
+      before,
+      after: values,
+      request,
+    });
+
+    return NextResponse.json({
+      message: "Layanan berhasil diupdate",
+      service,
+    });
+  } catch (error) {
+    console.error("Error updating service type:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_SERVICES });
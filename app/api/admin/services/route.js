@@ -0,0 +1,78 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { validateServiceTypeInput } from "@/lib/service-types";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle GET - All services, including inactive ones
+export const GET = withAdminAuth(async function GET() {
+  try {
+    const { ServiceType } = await getVercelDatabase(process.env.DATABASE_URL);
+
+    const services = await ServiceType.findAll({
+      order: [
+        ["sort_order", "ASC"],
+        ["name", "ASC"],
+      ],
+    });
+
+    const response = NextResponse.json(services);
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching service types:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.VIEW_SUBMISSIONS });
+
+// Handle POST - Add a service to the catalog
+export const POST = withAdminAuth(async function POST(request, { admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { ServiceType } = db;
+
+    const body = await request.json();
+    const { values, error } = validateServiceTypeInput(body);
+    if (error) {
+      return NextResponse.json({ message: error }, { status: 400 });
+    }
+
+    const existing = await ServiceType.findOne({ where: { code: values.code } });
+    if (existing) {
+      return NextResponse.json(
+        { message: "Kode layanan sudah digunakan" },
+        { status: 409 }
+      );
+    }
+
+    const maxOrder = (await ServiceType.max("sort_order")) || 0;
+    const service = await ServiceType.create({
+      ...values,
+      sort_order: maxOrder + 1,
+    });
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.SERVICE_CREATE,
+      entityType: "service",
+      entityId: service.id,
+      after: values,
+      request,
+    });
+
+    return NextResponse.json(
+      { message: "Layanan berhasil ditambahkan", service },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error creating service type:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_SERVICES });
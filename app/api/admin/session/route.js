@@ -0,0 +1,21 @@
+import { NextResponse } from "next/server";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isTotpRequired } from "@/lib/auth/totp";
+
+// Handle GET - Return the admin behind the current session cookie
+export const GET = withAdminAuth(async function GET(request, { admin, session }) {
+  const response = NextResponse.json({
+    admin: {
+      id: admin.id,
+      username: admin.username,
+      email: admin.email,
+      role: admin.role,
+      totp_enabled: admin.totp_enabled,
+    },
+    totp_required: isTotpRequired(),
+    requires_2fa_enrollment: isTotpRequired() && !admin.totp_enabled,
+    expires_at: session.expires_at,
+  });
+  response.headers.set("Cache-Control", "no-store");
+  return response;
+}, { allowWithoutMfa: true });
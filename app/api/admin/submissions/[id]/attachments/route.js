@@ -0,0 +1,35 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { serializeAttachment } from "@/lib/attachments";
+
+// Handle GET - Documents uploaded with a submission
+export const GET = withAdminAuth(async function GET(request, { params }) {
+  try {
+    const { Attachment } = await getVercelDatabase(process.env.DATABASE_URL);
+
+    if (!isUuid(params.id)) {
+      return NextResponse.json(
+        { message: "Pengajuan tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    const attachments = await Attachment.findAll({
+      where: { submission_id: params.id },
+      order: [["created_at", "ASC"]],
+    });
+
+    const response = NextResponse.json(attachments.map(serializeAttachment));
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching submission attachments:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.VIEW_SUBMISSIONS });
@@ -0,0 +1,58 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { getStatusTimeline } from "@/lib/submission-history";
+import { describeFormData } from "@/lib/service-fields";
+
+// Handle GET - Status timeline of a submission, including who changed it
+export const GET = withAdminAuth(async function GET(request, { params }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { Submission, ServiceType } = db;
+
+    const submission = isUuid(params.id) ? await Submission.findByPk(params.id) : null;
+    if (!submission) {
+      return NextResponse.json(
+        { message: "Pengajuan tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    const timeline = await getStatusTimeline(db, submission);
+    const serviceType = await ServiceType.findOne({
+      where: { code: submission.jenis_layanan },
+    });
+
+    const response = NextResponse.json({
+      submission: {
+        id: submission.id,
+        tracking_code: submission.tracking_code,
+        nama: submission.nama,
+        jenis_layanan: submission.jenis_layanan,
+        service_name: serviceType ? serviceType.name : null,
+        form_answers: describeFormData(
+          serviceType ? serviceType.form_schema : [],
+          submission.form_data
+        ),
+        status: submission.status,
+        rejection_reason: submission.rejection_reason,
+        revision_items: submission.revision_items,
+        revision_note: submission.revision_note,
+        revision_requested_at: submission.revision_requested_at,
+        created_at: submission.created_at,
+        updated_at: submission.updated_at,
+      },
+      history: timeline,
+    });
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching submission history:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.VIEW_SUBMISSIONS });
@@ -0,0 +1,97 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+const MAX_NOTE_LENGTH = 2000;
+
+// Handle GET - Internal admin notes of a submission (never shown to citizens)
+export const GET = withAdminAuth(async function GET(request, { params }) {
+  try {
+    const { SubmissionNote } = await getVercelDatabase(process.env.DATABASE_URL);
+
+    if (!isUuid(params.id)) {
+      return NextResponse.json(
+        { message: "Pengajuan tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    const notes = await SubmissionNote.findAll({
+      where: { submission_id: params.id },
+      order: [["created_at", "DESC"]],
+    });
+
+    const response = NextResponse.json(notes);
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching submission notes:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.VIEW_SUBMISSIONS });
+
+// Handle POST - Add an internal note to a submission
+export const POST = withAdminAuth(async function POST(request, { params, admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { Submission, SubmissionNote } = db;
+
+    const body = await request.json();
+    const note = body.note?.trim();
+
+    if (!note) {
+      return NextResponse.json(
+        { message: "Catatan wajib diisi" },
+        { status: 400 }
+      );
+    }
+
+    if (note.length > MAX_NOTE_LENGTH) {
+      return NextResponse.json(
+        { message: `Catatan maksimal ${MAX_NOTE_LENGTH} karakter` },
+        { status: 400 }
+      );
+    }
+
+    const submission = isUuid(params.id) ? await Submission.findByPk(params.id) : null;
+    if (!submission) {
+      return NextResponse.json(
+        { message: "Pengajuan tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    const created = await SubmissionNote.create({
+      submission_id: submission.id,
+      admin_id: admin.id,
+      admin_username: admin.username,
+      note,
+    });
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.SUBMISSION_NOTE_ADD,
+      entityType: "submission",
+      entityId: submission.id,
+      after: { note_id: created.id },
+      request,
+    });
+
+    return NextResponse.json(
+      { message: "Catatan berhasil ditambahkan", note: created },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error adding submission note:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.VIEW_SUBMISSIONS });
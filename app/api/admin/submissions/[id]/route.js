@@ -0,0 +1,53 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { describeFormData } from "@/lib/service-fields";
+
+// Handle GET - Full submission record with its notification history
+export const GET = withAdminAuth(async function GET(request, { params }) {
+  try {
+    const { Submission, NotificationLog, ServiceType } = await getVercelDatabase(
+      process.env.DATABASE_URL
+    );
+
+    const submission = isUuid(params.id)
+      ? await Submission.findByPk(params.id, {
+          include: [{ model: NotificationLog }],
+          order: [[NotificationLog, "created_at", "DESC"]],
+        })
+      : null;
+    if (!submission) {
+      return NextResponse.json(
+        { message: "Pengajuan tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    const serviceType = await ServiceType.findOne({
+      where: { code: submission.jenis_layanan },
+    });
+
+    const { NotificationLogs, ...record } = submission.toJSON();
+    const response = NextResponse.json({
+      submission: {
+        ...record,
+        service_name: serviceType ? serviceType.name : null,
+        form_answers: describeFormData(
+          serviceType ? serviceType.form_schema : [],
+          submission.form_data
+        ),
+      },
+      notification_logs: NotificationLogs,
+    });
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching submission detail:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.VIEW_SUBMISSIONS });
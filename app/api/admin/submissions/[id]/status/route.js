@@ -1,7 +1,19 @@
 import { NextResponse } from "next/server";
 import { getVercelDatabase } from "@/lib/vercel-init-db";
-import { sendStatusUpdateNotification } from "@/lib/notify/sicuba";
-import { sendStatusUpdateEmail } from "@/lib/notify/email";
+import { enqueueStatusUpdate, triggerOutboxDelivery } from "@/lib/notify/outbox";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { canSetStatus } from "@/lib/auth/roles";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+import { recordStatusChange } from "@/lib/submission-history";
+import {
+  SUBMISSION_STATUSES,
+  getNextStatuses,
+  canTransition,
+  describeIllegalTransition,
+} from "@/lib/submission-workflow";
+import { REVISION_STATUS } from "@/lib/submission-revision";
+import { buildStatusUpdates } from "@/lib/submission-status";
 
 // Handle CORS preflight
 export async function OPTIONS() {
@@ -17,7 +29,7 @@ export async function OPTIONS() {
 }
 
 // Handle PATCH - Update submission status
-export async function PATCH(request, { params }) {
+export const PATCH = withAdminAuth(async function PATCH(request, { params, admin }) {
   console.log("🔍 PATCH request received for status update");
   console.log("🔍 Request method:", request.method);
   console.log("🔍 Request URL:", request.url);
@@ -25,104 +37,136 @@ export async function PATCH(request, { params }) {
 
   try {
     // Initialize database with all models
-    const { sequelize, Submission, NotificationLog } = await getVercelDatabase(process.env.DATABASE_URL);
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { sequelize, Submission } = db;
 
     const { id } = params;
     const body = await request.json();
     const { status } = body;
 
-    console.log("Updating submission:", id, "to status:", status);
+    console.log(
+      "Updating submission:",
+      id,
+      "to status:",
+      status,
+      "by admin:",
+      admin.username
+    );
 
     // Validation
-    if (
-      !status ||
-      !["PENGAJUAN_BARU", "DIPROSES", "SELESAI", "DITOLAK"].includes(status)
-    ) {
+    if (!status || !SUBMISSION_STATUSES.includes(status)) {
       return NextResponse.json(
         { message: "Status tidak valid" },
         { status: 400 }
       );
     }
 
-    // Find submission
-    const submission = await Submission.findByPk(id);
-    if (!submission) {
+    // Check role permission for the target status
+    if (!canSetStatus(admin.role, status)) {
       return NextResponse.json(
-        { message: "Pengajuan tidak ditemukan" },
-        { status: 404 }
+        { message: `Role Anda tidak diizinkan mengubah status ke ${status}` },
+        { status: 403 }
       );
     }
 
-    // Check if status is actually changing
-    if (submission.status === status) {
-      return NextResponse.json(
-        { message: "Status sudah sama" },
-        { status: 400 }
-      );
+    // Alasan penolakan / daftar kekurangan sesuai status tujuan
+    const { updates, error: updatesError } = await buildStatusUpdates(db, status, body);
+    if (updatesError) {
+      return NextResponse.json({ message: updatesError }, { status: 400 });
     }
 
-    // Update status
-    const oldStatus = submission.status;
-    await submission.update({ status });
-
-    console.log("Status updated successfully:", oldStatus, "->", status);
+    // Baris dikunci sampai commit, jadi dua admin yang mengubah pengajuan yang
+    // sama bersamaan tidak bisa sama-sama lolos cek transisi dari status lama
+    const result = await sequelize.transaction(async (transaction) => {
+      const submission = isUuid(id)
+        ? await Submission.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE })
+        : null;
+      if (!submission) {
+        return {
+          error: NextResponse.json(
+            { message: "Pengajuan tidak ditemukan" },
+            { status: 404 }
+          ),
+        };
+      }
+
+      // Check if status is actually changing
+      if (submission.status === status) {
+        return {
+          error: NextResponse.json(
+            { message: "Status sudah sama" },
+            { status: 400 }
+          ),
+        };
+      }
+
+      // Only transitions from the workflow table are allowed
+      if (!canTransition(submission.status, status)) {
+        return {
+          error: NextResponse.json(
+            {
+              message: describeIllegalTransition(submission.status, status),
+              current_status: submission.status,
+              allowed_next_statuses: getNextStatuses(submission.status),
+            },
+            { status: 409 }
+          ),
+        };
+      }
+
+      // Update status, record the transition and queue the notifications atomically
+      const oldStatus = submission.status;
+      const oldRejectionReason = submission.rejection_reason;
+      await submission.update(updates, { transaction });
+      await recordStatusChange(
+        db,
+        { submission, fromStatus: oldStatus, toStatus: status, admin },
+        { transaction }
+      );
+      await enqueueStatusUpdate(db, submission, status, { admin }, { transaction });
 
-    // Send notifications
-    const notificationPromises = [];
-
-    // Send WhatsApp notification
-    const waResult = await sendStatusUpdateNotification(submission, status);
-    notificationPromises.push(
-      NotificationLog.create({
-        submission_id: submission.id,
-        channel: "WHATSAPP",
-        send_status: waResult.success ? "SUCCESS" : "FAILED",
-        payload: {
-          to: submission.no_wa,
-          status: status,
-          result: waResult,
-        },
-      })
-    );
+      return { submission, oldStatus, oldRejectionReason };
+    });
 
-    // Send email notification if email exists
-    console.log(
-      "📧 Checking email notification for submission:",
-      submission.id
-    );
-    console.log("📧 Submission email:", submission.email);
-
-    if (submission.email) {
-      console.log("📧 Sending email notification to:", submission.email);
-      const emailResult = await sendStatusUpdateEmail(submission, status);
-      console.log("📧 Email result:", emailResult);
-
-      notificationPromises.push(
-        NotificationLog.create({
-          submission_id: submission.id,
-          channel: "EMAIL",
-          send_status: emailResult.success ? "SUCCESS" : "FAILED",
-          payload: {
-            to: submission.email,
-            status: status,
-            result: emailResult,
-          },
-        })
-      );
-    } else {
-      console.log("📧 No email address found for submission:", submission.id);
+    if (result.error) {
+      return result.error;
     }
+    const { submission, oldStatus, oldRejectionReason } = result;
 
-    // Wait for all notification logs to be created
-    await Promise.all(notificationPromises);
+    console.log("Status updated successfully:", oldStatus, "->", status);
 
-    console.log("All notifications processed successfully");
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.SUBMISSION_STATUS_CHANGE,
+      entityType: "submission",
+      entityId: submission.id,
+      before: { status: oldStatus, rejection_reason: oldRejectionReason },
+      after: {
+        status,
+        rejection_reason: submission.rejection_reason,
+        ...(status === REVISION_STATUS && {
+          revision_items: submission.revision_items,
+          revision_note: submission.revision_note,
+        }),
+      },
+      request,
+    });
+
+    // WhatsApp and email are delivered from the outbox
+    triggerOutboxDelivery(db);
 
     return NextResponse.json({
       message: "Status berhasil diupdate",
       old_status: oldStatus,
       new_status: status,
+      rejection_reason: submission.rejection_reason,
+      revision_items: submission.revision_items,
       submission_id: submission.id,
+      changed_by: {
+        id: admin.id,
+        username: admin.username,
+        role: admin.role,
+      },
     });
   } catch (error) {
     console.error("Error updating submission status:", error);
@@ -135,7 +179,7 @@ export async function PATCH(request, { params }) {
       { status: 500 }
     );
   }
-}
+});
 
 // Handle GET - Not allowed
 export async function GET() {
@@ -0,0 +1,156 @@
+import { NextResponse } from "next/server";
+import { Op } from "sequelize";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { canSetStatus } from "@/lib/auth/roles";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+import { recordStatusChange } from "@/lib/submission-history";
+import {
+  SUBMISSION_STATUSES,
+  canTransition,
+  describeIllegalTransition,
+} from "@/lib/submission-workflow";
+import { REVISION_STATUS } from "@/lib/submission-revision";
+import { buildStatusUpdates } from "@/lib/submission-status";
+import { enqueueStatusUpdate, triggerOutboxDelivery } from "@/lib/notify/outbox";
+import { isUuid } from "@/lib/uuid";
+
+const MAX_BULK_ITEMS = 100;
+
+// Handle POST - Move many submissions to one status in a single transaction
+// Body: { ids, status, rejection_reason_id?, rejection_reason?, revision_items?, revision_note? }
+export const POST = withAdminAuth(async function POST(request, { admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { sequelize, Submission } = db;
+
+    const body = await request.json();
+    const { status } = body;
+    const ids = Array.isArray(body.ids)
+      ? [...new Set(body.ids.filter((id) => typeof id === "string" && id))]
+      : [];
+
+    if (ids.length === 0) {
+      return NextResponse.json(
+        { message: "Pilih minimal satu pengajuan" },
+        { status: 400 }
+      );
+    }
+    if (ids.length > MAX_BULK_ITEMS) {
+      return NextResponse.json(
+        { message: `Maksimal ${MAX_BULK_ITEMS} pengajuan sekaligus` },
+        { status: 400 }
+      );
+    }
+
+    if (!status || !SUBMISSION_STATUSES.includes(status)) {
+      return NextResponse.json({ message: "Status tidak valid" }, { status: 400 });
+    }
+
+    if (!canSetStatus(admin.role, status)) {
+      return NextResponse.json(
+        { message: `Role Anda tidak diizinkan mengubah status ke ${status}` },
+        { status: 403 }
+      );
+    }
+
+    const { updates, error: updatesError } = await buildStatusUpdates(db, status, body);
+    if (updatesError) {
+      return NextResponse.json({ message: updatesError }, { status: 400 });
+    }
+
+    // Pengajuan yang tidak bisa dipindahkan dilewati dan dilaporkan; sisanya
+    // diubah bersama dalam satu transaksi
+    const changed = [];
+    const results = await sequelize.transaction(async (transaction) => {
+      const submissions = await Submission.findAll({
+        where: { id: { [Op.in]: ids.filter(isUuid) } },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      const byId = new Map(submissions.map((submission) => [submission.id, submission]));
+
+      const itemResults = [];
+      for (const id of ids) {
+        if (!isUuid(id)) {
+          itemResults.push({ id, success: false, message: "ID pengajuan tidak valid" });
+          continue;
+        }
+        const submission = byId.get(id);
+        if (!submission) {
+          itemResults.push({ id, success: false, message: "Pengajuan tidak ditemukan" });
+          continue;
+        }
+
+        const oldStatus = submission.status;
+        const base = { id, tracking_code: submission.tracking_code };
+        if (oldStatus === status) {
+          itemResults.push({ ...base, success: false, message: "Status sudah sama" });
+          continue;
+        }
+        if (!canTransition(oldStatus, status)) {
+          itemResults.push({
+            ...base,
+            success: false,
+            message: describeIllegalTransition(oldStatus, status),
+          });
+          continue;
+        }
+
+        const oldRejectionReason = submission.rejection_reason;
+        await submission.update(updates, { transaction });
+        await recordStatusChange(
+          db,
+          { submission, fromStatus: oldStatus, toStatus: status, admin },
+          { transaction }
+        );
+        await enqueueStatusUpdate(db, submission, status, { admin }, { transaction });
+        changed.push({ submission, oldStatus, oldRejectionReason });
+        itemResults.push({ ...base, success: true, old_status: oldStatus, new_status: status });
+      }
+
+      return itemResults;
+    });
+
+    console.log(
+      `[${new Date().toISOString()}] Bulk status ${status} by ${admin.username}: ${changed.length}/${ids.length} updated`
+    );
+
+    for (const { submission, oldStatus, oldRejectionReason } of changed) {
+      await recordAudit(db, {
+        actor: admin,
+        action: AUDIT_ACTIONS.SUBMISSION_STATUS_CHANGE,
+        entityType: "submission",
+        entityId: submission.id,
+        before: { status: oldStatus, rejection_reason: oldRejectionReason },
+        after: {
+          status,
+          rejection_reason: submission.rejection_reason,
+          ...(status === REVISION_STATUS && {
+            revision_items: submission.revision_items,
+            revision_note: submission.revision_note,
+          }),
+          bulk: true,
+        },
+        request,
+      });
+    }
+
+    // Notifikasi sudah masuk outbox bersama perubahan status; response tidak
+    // menunggu provider
+    triggerOutboxDelivery(db);
+
+    return NextResponse.json({
+      message: `${changed.length} dari ${ids.length} pengajuan berhasil diupdate`,
+      updated: changed.length,
+      failed: ids.length - changed.length,
+      results,
+    });
+  } catch (error) {
+    console.error("Error updating submission statuses:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+});
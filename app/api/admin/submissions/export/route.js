@@ -0,0 +1,85 @@
+import { NextResponse } from "next/server";
+import { Readable } from "stream";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+import {
+  parseSort,
+  parseSubmissionFilters,
+  buildSubmissionWhere,
+} from "@/lib/submission-query";
+import {
+  EXPORT_FORMATS,
+  getNikMode,
+  createExportStream,
+} from "@/lib/submission-export";
+
+// Handle GET - Stream matching submissions as CSV or XLSX
+// Query: format (csv|xlsx) plus the filters and sort of GET /api/admin/submissions
+export const GET = withAdminAuth(async function GET(request, { admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { sequelize, Submission, ServiceType } = db;
+
+    const { searchParams } = new URL(request.url);
+    const format = searchParams.get("format") || "csv";
+    if (!EXPORT_FORMATS[format]) {
+      return NextResponse.json(
+        { message: "Format ekspor harus csv atau xlsx" },
+        { status: 400 }
+      );
+    }
+
+    const { filters, error } = parseSubmissionFilters(searchParams);
+    if (error) {
+      return NextResponse.json({ message: error }, { status: 400 });
+    }
+
+    const where = buildSubmissionWhere(filters, sequelize);
+    const rowCount = await Submission.count({ where });
+    const serviceTypes = await ServiceType.findAll({ attributes: ["code", "name"] });
+    const nikMode = getNikMode();
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.SUBMISSION_EXPORT,
+      entityType: "submission",
+      after: {
+        format,
+        rows: rowCount,
+        nik_mode: nikMode,
+        filters: Object.fromEntries(searchParams),
+      },
+      request,
+    });
+
+    const stream = createExportStream(
+      format,
+      db,
+      { where, order: parseSort(searchParams) },
+      {
+        serviceNames: Object.fromEntries(
+          serviceTypes.map((service) => [service.code, service.name])
+        ),
+        nikMode,
+      }
+    );
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    return new NextResponse(Readable.toWeb(stream), {
+      headers: {
+        "Content-Type": EXPORT_FORMATS[format].contentType,
+        "Content-Disposition": `attachment; filename="pengajuan-${stamp}.${EXPORT_FORMATS[format].extension}"`,
+        "Cache-Control": "no-store",
+        "X-Content-Type-Options": "nosniff",
+      },
+    });
+  } catch (error) {
+    console.error("Error exporting submissions:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.EXPORT_SUBMISSIONS });
@@ -1,41 +1,50 @@
 import { NextResponse } from "next/server";
 import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import {
+  parsePagination,
+  parseSort,
+  parseSubmissionFilters,
+  buildSubmissionWhere,
+} from "@/lib/submission-query";
+
+/**
+ * Mark a response as never cacheable (browser, Vercel CDN, proxies)
+ * @param {NextResponse} response - Response to update
+ * @returns {NextResponse} Same response
+ */
+function withNoCacheHeaders(response) {
+  response.headers.set(
+    "Cache-Control",
+    "no-cache, no-store, must-revalidate, private, max-age=0"
+  );
+  response.headers.set("Pragma", "no-cache");
+  response.headers.set("Expires", "0");
+  response.headers.set("Surrogate-Control", "no-store");
+  response.headers.set("CDN-Cache-Control", "no-cache");
+  response.headers.set("Vercel-CDN-Cache-Control", "no-cache");
+  return response;
+}
 
-export async function GET(request) {
+// Handle GET - One page of submissions with sorting, filters and search
+// Query: page, pageSize, sort, order (asc|desc), status, service, from, to, q
+export const GET = withAdminAuth(async function GET(request) {
   try {
-    // Initialize database with all models
     const { sequelize, Submission } = await getVercelDatabase(process.env.DATABASE_URL);
 
-    // In a real application, you would verify admin authentication here
-    // For workshop purposes, we'll skip authentication
-
-    // Parse cache-busting query parameters
-    const url = new URL(request.url);
-    const queryTimestamp = url.searchParams.get("t");
-    const queryRandom = url.searchParams.get("r");
-    const queryForce = url.searchParams.get("force");
-    const queryCacheBuster = url.searchParams.get("cb");
-
-    // Force fresh data dengan multiple strategies
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substring(7);
-    const forceRefresh = Date.now();
-
-    console.log(
-      `[${new Date().toISOString()}] Fetching submissions with force refresh: ${timestamp}-${random}-${forceRefresh}`
-    );
-    console.log(
-      `[${new Date().toISOString()}] Query params: t=${queryTimestamp}, r=${queryRandom}, force=${queryForce}, cb=${queryCacheBuster}`
-    );
-
-    // Force fresh query dengan random order strategy
-    const randomOrder = Math.random() > 0.5 ? "ASC" : "DESC";
-    console.log(
-      `[${new Date().toISOString()}] Using random order: ${randomOrder}`
-    );
+    const { searchParams } = new URL(request.url);
+    const { page, pageSize } = parsePagination(searchParams);
+    const { filters, error } = parseSubmissionFilters(searchParams);
+    if (error) {
+      return withNoCacheHeaders(NextResponse.json({ message: error }, { status: 400 }));
+    }
 
-    const submissions = await Submission.findAll({
-      order: [["created_at", randomOrder]], // Random order untuk force fresh query
+    const { rows, count } = await Submission.findAndCountAll({
+      where: buildSubmissionWhere(filters, sequelize),
+      order: parseSort(searchParams),
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
       attributes: [
         "id",
         "tracking_code",
@@ -45,77 +54,30 @@ export async function GET(request) {
         "created_at",
         "updated_at",
       ],
-      // Force fresh data
-      raw: false,
-      // Add random parameter to force fresh query
-      logging: console.log,
     });
 
-    console.log(
-      `[${new Date().toISOString()}] Found ${submissions.length} submissions`
-    );
-    if (submissions.length > 0) {
-      console.log(
-        `[${new Date().toISOString()}] Latest submission: ${
-          submissions[0].tracking_code
-        } (${submissions[0].status})`
-      );
-    }
-
-    // Vercel-specific no-cache headers
-    const response = NextResponse.json(submissions);
-
-    // Ultra-aggressive cache control
-    response.headers.set(
-      "Cache-Control",
-      "no-cache, no-store, must-revalidate, private, max-age=0, s-maxage=0, stale-while-revalidate=0"
+    // Jumlah per status dari seluruh data (untuk kartu statistik dan grafik)
+    const statusRows = await Submission.count({ group: ["status"] });
+    const statusCounts = Object.fromEntries(
+      statusRows.map((row) => [row.status, Number(row.count)])
     );
-    response.headers.set("Pragma", "no-cache");
-    response.headers.set("Expires", "0");
-    response.headers.set("Clear-Site-Data", '"cache"');
-
-    // Vercel-specific headers
-    response.headers.set("Surrogate-Control", "no-store");
-    response.headers.set("CDN-Cache-Control", "no-cache");
-    response.headers.set("Vercel-CDN-Cache-Control", "no-cache");
-    response.headers.set("X-Vercel-Cache", "MISS");
 
-    // Force fresh response dengan dynamic values dan query params
-    response.headers.set("Last-Modified", new Date().toUTCString());
-    response.headers.set(
-      "ETag",
-      `"${timestamp}-${random}-${forceRefresh}-${queryTimestamp}-${queryRandom}"`
+    return withNoCacheHeaders(
+      NextResponse.json({
+        data: rows,
+        total: count,
+        page,
+        pageSize,
+        statusCounts,
+      })
     );
-    response.headers.set("X-Response-Time", `${Date.now()}`);
-    response.headers.set(
-      "X-Cache-Buster",
-      `${timestamp}-${random}-${queryCacheBuster}`
-    );
-    response.headers.set("X-Force-Refresh", "true");
-    response.headers.set(
-      "X-Query-Params",
-      `${queryTimestamp}-${queryRandom}-${queryForce}`
-    );
-
-    return response;
   } catch (error) {
     console.error("Error fetching submissions:", error);
-
-    const errorResponse = NextResponse.json(
-      { message: "Terjadi kesalahan internal server" },
-      { status: 500 }
-    );
-
-    // Same headers for errors
-    errorResponse.headers.set(
-      "Cache-Control",
-      "no-cache, no-store, must-revalidate, private"
+    return withNoCacheHeaders(
+      NextResponse.json(
+        { message: "Terjadi kesalahan internal server" },
+        { status: 500 }
+      )
     );
-    errorResponse.headers.set("Pragma", "no-cache");
-    errorResponse.headers.set("Expires", "0");
-    errorResponse.headers.set("Surrogate-Control", "no-store");
-    errorResponse.headers.set("CDN-Cache-Control", "no-cache");
-
-    return errorResponse;
   }
-}
+}, { permission: PERMISSIONS.VIEW_SUBMISSIONS });
@@ -0,0 +1,80 @@
+import { NextResponse } from "next/server";
+import { Op } from "sequelize";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import {
+  buildSearchConditions,
+  describeSearchMatch,
+} from "@/lib/submission-query";
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Handle GET - Quick lookup at the counter by name, tracking code, NIK or phone
+// Query: q (search text), limit (default 10, max 50)
+export const GET = withAdminAuth(async function GET(request) {
+  try {
+    const { sequelize, Submission } = await getVercelDatabase(process.env.DATABASE_URL);
+
+    const { searchParams } = new URL(request.url);
+    const q = (searchParams.get("q") || "").trim();
+    const limit = Math.min(
+      Math.max(parseInt(searchParams.get("limit"), 10) || DEFAULT_LIMIT, 1),
+      MAX_LIMIT
+    );
+
+    if (q.length < MIN_QUERY_LENGTH) {
+      return NextResponse.json(
+        { message: `Kata kunci minimal ${MIN_QUERY_LENGTH} karakter` },
+        { status: 400 }
+      );
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+      return NextResponse.json(
+        { message: `Kata kunci maksimal ${MAX_QUERY_LENGTH} karakter` },
+        { status: 400 }
+      );
+    }
+
+    const submissions = await Submission.findAll({
+      where: { [Op.or]: buildSearchConditions(q, sequelize) },
+      order: [["created_at", "DESC"]],
+      limit,
+      attributes: [
+        "id",
+        "tracking_code",
+        "nama",
+        "nik",
+        "no_wa",
+        "jenis_layanan",
+        "status",
+        "created_at",
+      ],
+    });
+
+    // NIK is only used to explain the match and is not sent back
+    const response = NextResponse.json({
+      data: submissions.map((submission) => ({
+        id: submission.id,
+        tracking_code: submission.tracking_code,
+        nama: submission.nama,
+        no_wa: submission.no_wa,
+        jenis_layanan: submission.jenis_layanan,
+        status: submission.status,
+        created_at: submission.created_at,
+        matched_on: describeSearchMatch(submission, q),
+      })),
+    });
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error searching submissions:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.VIEW_SUBMISSIONS });
@@ -0,0 +1,69 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import {
+  hashPassword,
+  validatePassword,
+  generateTemporaryPassword,
+} from "@/lib/auth/accounts";
+import { revokeAllSessions } from "@/lib/auth/session";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle POST - Reset another admin's password
+export const POST = withAdminAuth(async function POST(request, { params, admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { Admin } = db;
+
+    const { id } = params;
+    const body = await request.json().catch(() => ({}));
+
+    const target = isUuid(id) ? await Admin.findByPk(id) : null;
+    if (!target) {
+      return NextResponse.json(
+        { message: "Admin tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    // Tanpa password baru, sistem membuat password sementara
+    const temporaryPassword = body.password ? null : generateTemporaryPassword();
+    const password = body.password || temporaryPassword;
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return NextResponse.json({ message: passwordError }, { status: 400 });
+    }
+
+    await target.update({ password: await hashPassword(password) });
+
+    // Paksa login ulang dengan password baru
+    await revokeAllSessions(db, target.id);
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.ADMIN_PASSWORD_RESET,
+      entityType: "admin",
+      entityId: target.id,
+      after: { temporary_password_generated: Boolean(temporaryPassword) },
+      request,
+    });
+
+    console.log(
+      `[${new Date().toISOString()}] Password of ${target.username} reset by ${admin.username}`
+    );
+
+    return NextResponse.json({
+      message: "Password berhasil direset",
+      temporary_password: temporaryPassword,
+    });
+  } catch (error) {
+    console.error("Error resetting admin password:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_ADMINS });
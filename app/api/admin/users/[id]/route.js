@@ -0,0 +1,118 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { isUuid } from "@/lib/uuid";
+import { PERMISSIONS, ROLES } from "@/lib/auth/roles";
+import { serializeAdmin } from "@/lib/auth/accounts";
+import { revokeAllSessions } from "@/lib/auth/session";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle PATCH - Change role, activate/deactivate, or reset 2FA of an admin account
+export const PATCH = withAdminAuth(async function PATCH(request, { params, admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { Admin } = db;
+
+    const { id } = params;
+    const body = await request.json();
+    const { role, is_active, reset_totp } = body;
+
+    // Validation
+    if (role === undefined && is_active === undefined && !reset_totp) {
+      return NextResponse.json(
+        { message: "Tidak ada perubahan yang dikirim" },
+        { status: 400 }
+      );
+    }
+
+    if (role !== undefined && !Object.values(ROLES).includes(role)) {
+      return NextResponse.json(
+        { message: "Role tidak valid" },
+        { status: 400 }
+      );
+    }
+
+    if (is_active !== undefined && typeof is_active !== "boolean") {
+      return NextResponse.json(
+        { message: "Nilai is_active harus boolean" },
+        { status: 400 }
+      );
+    }
+
+    const target = isUuid(id) ? await Admin.findByPk(id) : null;
+    if (!target) {
+      return NextResponse.json(
+        { message: "Admin tidak ditemukan" },
+        { status: 404 }
+      );
+    }
+
+    // Superadmin tidak boleh mengunci dirinya sendiri
+    if (target.id === admin.id) {
+      if (is_active === false || (role && role !== ROLES.SUPERADMIN)) {
+        return NextResponse.json(
+          { message: "Anda tidak dapat menonaktifkan atau menurunkan role akun sendiri" },
+          { status: 400 }
+        );
+      }
+    }
+
+    const before = {
+      role: target.role,
+      is_active: target.is_active,
+      totp_enabled: target.totp_enabled,
+    };
+
+    const updates = {};
+    if (role !== undefined) updates.role = role;
+    if (is_active !== undefined) updates.is_active = is_active;
+
+    // Untuk admin yang kehilangan perangkat authenticator dan kode pemulihan
+    if (reset_totp) {
+      Object.assign(updates, {
+        totp_enabled: false,
+        totp_secret: null,
+        totp_pending_secret: null,
+        totp_last_used_step: null,
+        totp_recovery_codes: null,
+      });
+    }
+
+    await target.update(updates);
+
+    // Akun yang dinonaktifkan atau di-reset 2FA-nya langsung keluar dari semua sesi
+    if (is_active === false || reset_totp) {
+      await revokeAllSessions(db, target.id);
+    }
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.ADMIN_UPDATE,
+      entityType: "admin",
+      entityId: target.id,
+      before,
+      after: {
+        role: target.role,
+        is_active: target.is_active,
+        totp_enabled: target.totp_enabled,
+      },
+      request,
+    });
+
+    console.log(
+      `[${new Date().toISOString()}] Admin ${target.username} updated by ${admin.username}:`,
+      { role, is_active, reset_totp: Boolean(reset_totp) }
+    );
+
+    return NextResponse.json({
+      message: "Admin berhasil diupdate",
+      admin: serializeAdmin(target),
+    });
+  } catch (error) {
+    console.error("Error updating admin user:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_ADMINS });
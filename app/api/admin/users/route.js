@@ -0,0 +1,128 @@
+import { NextResponse } from "next/server";
+import { Op } from "sequelize";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { PERMISSIONS, ROLES } from "@/lib/auth/roles";
+import {
+  hashPassword,
+  validatePassword,
+  generateTemporaryPassword,
+  normalizeEmail,
+  emailMatches,
+  serializeAdmin,
+} from "@/lib/auth/accounts";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+
+// Handle GET - List admin accounts
+export const GET = withAdminAuth(async function GET() {
+  try {
+    const { Admin } = await getVercelDatabase(process.env.DATABASE_URL);
+
+    const admins = await Admin.findAll({
+      order: [["created_at", "ASC"]],
+    });
+
+    const response = NextResponse.json(admins.map(serializeAdmin));
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching admin users:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_ADMINS });
+
+// Handle POST - Create a new admin account
+export const POST = withAdminAuth(async function POST(request, { admin }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { Admin } = db;
+
+    const body = await request.json();
+    const username = body.username?.trim();
+    const email = body.email ? normalizeEmail(body.email) : "";
+    const role = body.role || ROLES.FRONT_DESK;
+
+    // Validation
+    if (!username || !email) {
+      return NextResponse.json(
+        { message: "Username dan email wajib diisi" },
+        { status: 400 }
+      );
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return NextResponse.json(
+        { message: "Format email tidak valid" },
+        { status: 400 }
+      );
+    }
+
+    if (!Object.values(ROLES).includes(role)) {
+      return NextResponse.json(
+        { message: "Role tidak valid" },
+        { status: 400 }
+      );
+    }
+
+    // Password boleh dikosongkan, sistem akan membuat password sementara
+    const temporaryPassword = body.password ? null : generateTemporaryPassword();
+    const password = body.password || temporaryPassword;
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return NextResponse.json({ message: passwordError }, { status: 400 });
+    }
+
+    const existing = await Admin.findOne({
+      where: { [Op.or]: [{ username }, emailMatches(email)] },
+    });
+    if (existing) {
+      return NextResponse.json(
+        { message: "Username atau email sudah terdaftar" },
+        { status: 409 }
+      );
+    }
+
+    const newAdmin = await Admin.create({
+      username,
+      email,
+      password: await hashPassword(password),
+      role,
+    });
+
+    await recordAudit(db, {
+      actor: admin,
+      action: AUDIT_ACTIONS.ADMIN_CREATE,
+      entityType: "admin",
+      entityId: newAdmin.id,
+      after: {
+        username: newAdmin.username,
+        email: newAdmin.email,
+        role: newAdmin.role,
+      },
+      request,
+    });
+
+    console.log(
+      `[${new Date().toISOString()}] Admin ${newAdmin.username} created by ${admin.username}`
+    );
+
+    return NextResponse.json(
+      {
+        message: "Admin berhasil dibuat",
+        admin: serializeAdmin(newAdmin),
+        temporary_password: temporaryPassword,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error creating admin user:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.MANAGE_ADMINS });
@@ -0,0 +1,17 @@
+import { NextResponse } from "next/server";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import {
+  SUBMISSION_STATUSES,
+  getTransitionTable,
+} from "@/lib/submission-workflow";
+
+// Handle GET - Active status transition table, so the dashboard only offers legal next states
+export const GET = withAdminAuth(async function GET() {
+  const response = NextResponse.json({
+    statuses: SUBMISSION_STATUSES,
+    transitions: getTransitionTable(),
+  });
+  response.headers.set("Cache-Control", "no-store");
+  return response;
+}, { permission: PERMISSIONS.VIEW_SUBMISSIONS });
@@ -0,0 +1,45 @@
+import crypto from "crypto";
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { processOutbox } from "@/lib/notify/outbox";
+
+/**
+ * Check the cron secret sent by Vercel Cron (or an external scheduler)
+ * Vercel mengirim header "Authorization: Bearer <CRON_SECRET>".
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True if the secret matches
+ */
+function isAuthorizedCronRequest(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(request.headers.get("authorization") || "");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Handle GET - Deliver due notifications from the outbox
+export async function GET(request) {
+  if (!isAuthorizedCronRequest(request)) {
+    return NextResponse.json({ message: "Tidak diizinkan" }, { status: 401 });
+  }
+
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const summary = await processOutbox(db);
+
+    console.log(
+      `[${new Date().toISOString()}] Notification outbox: ${summary.sent} sent, ${summary.retrying} retrying, ${summary.dead} dead`
+    );
+
+    const response = NextResponse.json(summary);
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error processing notification outbox:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}
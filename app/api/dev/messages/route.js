@@ -0,0 +1,59 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+
+const MAX_MESSAGES = 100;
+
+// Pesan mock berisi data pemohon, jadi route ini tidak ada di production
+const isDisabled = () => process.env.NODE_ENV === "production";
+
+// Handle GET - Latest messages recorded by the mock provider
+// Query: tracking_code (optional)
+export async function GET(request) {
+  if (isDisabled()) {
+    return NextResponse.json({ message: "Not found" }, { status: 404 });
+  }
+
+  try {
+    const { MockMessage } = await getVercelDatabase(process.env.DATABASE_URL);
+
+    const { searchParams } = new URL(request.url);
+    const where = {};
+    const trackingCode = searchParams.get("tracking_code")?.trim();
+    if (trackingCode) where.tracking_code = trackingCode;
+
+    const messages = await MockMessage.findAll({
+      where,
+      order: [["created_at", "DESC"]],
+      limit: MAX_MESSAGES,
+    });
+
+    const response = NextResponse.json({ data: messages });
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching mock messages:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}
+
+// Handle DELETE - Clear all recorded mock messages
+export async function DELETE() {
+  if (isDisabled()) {
+    return NextResponse.json({ message: "Not found" }, { status: 404 });
+  }
+
+  try {
+    const { MockMessage } = await getVercelDatabase(process.env.DATABASE_URL);
+    const deleted = await MockMessage.destroy({ where: {} });
+    return NextResponse.json({ message: `${deleted} pesan dihapus` });
+  } catch (error) {
+    console.error("Error clearing mock messages:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}
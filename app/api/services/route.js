@@ -0,0 +1,28 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { serializePublicServiceType } from "@/lib/service-types";
+
+// Handle GET - Active services for the public submission form
+export async function GET() {
+  try {
+    const { ServiceType } = await getVercelDatabase(process.env.DATABASE_URL);
+
+    const services = await ServiceType.findAll({
+      where: { is_active: true },
+      order: [
+        ["sort_order", "ASC"],
+        ["name", "ASC"],
+      ],
+    });
+
+    const response = NextResponse.json(services.map(serializePublicServiceType));
+    response.headers.set("Cache-Control", "no-store");
+    return response;
+  } catch (error) {
+    console.error("Error fetching services:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,331 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { normalizePhoneNumber } from "@/lib/phone";
+import { enqueueStatusUpdate, triggerOutboxDelivery } from "@/lib/notify/outbox";
+import {
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  formatRetryAfter,
+  THROTTLE_TARGETS,
+} from "@/lib/auth/throttle";
+import { getClientIp } from "@/lib/client-info";
+import { recordAudit, AUDIT_ACTIONS } from "@/lib/audit";
+import { recordStatusChange } from "@/lib/submission-history";
+import { validateFormData } from "@/lib/service-fields";
+import {
+  checkRequestSize,
+  prepareAttachments,
+  storeAttachments,
+  removeAttachmentFiles,
+} from "@/lib/attachments";
+import {
+  REVISION_STATUS,
+  RESUBMITTED_STATUS,
+  verifyNikLast4,
+  getRevisionThrottleKey,
+} from "@/lib/submission-revision";
+
+const MAX_CITIZEN_NOTE_LENGTH = 1000;
+
+/**
+ * Find the submission for the revision page and check the NIK digits
+ * Tebakan NIK yang salah dihitung seperti login gagal (lib/auth/throttle),
+ * tetapi di scope REVISION sendiri agar tidak ikut mengunci login admin.
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Request} request - Incoming request
+ * @param {string} trackingCode - Tracking code from the URL
+ * @param {string} nikLast4 - Last 4 NIK digits typed by the citizen
+ * @returns {Promise<Object>} { submission } or { response } with the error
+ */
+async function findSubmissionForRevision(db, request, trackingCode, nikLast4) {
+  if (!nikLast4 || !/^\d{4}$/.test(nikLast4)) {
+    return {
+      response: NextResponse.json(
+        { message: "4 digit terakhir NIK wajib diisi dan harus berupa angka" },
+        { status: 400 }
+      ),
+    };
+  }
+
+  const throttleKey = getRevisionThrottleKey(trackingCode);
+  const ip = getClientIp(request);
+
+  const target = THROTTLE_TARGETS.REVISION;
+  const throttle = await checkLoginThrottle(db, { username: throttleKey, ip, target });
+  if (!throttle.allowed) {
+    return {
+      response: NextResponse.json(
+        {
+          message: `Terlalu banyak percobaan. Coba lagi dalam ${formatRetryAfter(throttle.retryAfterSeconds)}`,
+        },
+        {
+          status: 429,
+          headers: { "Retry-After": String(throttle.retryAfterSeconds) },
+        }
+      ),
+    };
+  }
+
+  const submission = await db.Submission.findOne({
+    where: { tracking_code: trackingCode },
+  });
+
+  if (!submission || !verifyNikLast4(submission, nikLast4)) {
+    await recordLoginFailure(db, { username: throttleKey, ip, target });
+    return {
+      response: NextResponse.json(
+        { message: "Kode tracking atau 4 digit terakhir NIK tidak sesuai" },
+        { status: 403 }
+      ),
+    };
+  }
+
+  await clearLoginFailures(db, throttleKey, target);
+
+  if (submission.status !== REVISION_STATUS) {
+    return {
+      response: NextResponse.json(
+        { message: "Pengajuan ini tidak sedang menunggu kelengkapan" },
+        { status: 409 }
+      ),
+    };
+  }
+
+  return { submission };
+}
+
+// Handle GET - What the admin asked for, plus the data the citizen may correct
+export async function GET(request, { params }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { ServiceType, Attachment } = db;
+
+    const { searchParams } = new URL(request.url);
+    const { submission, response } = await findSubmissionForRevision(
+      db,
+      request,
+      params.tracking_code.trim(),
+      searchParams.get("last4_nik")
+    );
+    if (response) {
+      return response;
+    }
+
+    const serviceType = await ServiceType.findOne({
+      where: { code: submission.jenis_layanan },
+    });
+    const attachments = await Attachment.findAll({
+      where: { submission_id: submission.id },
+      attributes: ["original_name", "created_at"],
+      order: [["created_at", "ASC"]],
+    });
+
+    const result = NextResponse.json({
+      tracking_code: submission.tracking_code,
+      nama: submission.nama,
+      email: submission.email,
+      no_wa: submission.no_wa,
+      jenis_layanan: submission.jenis_layanan,
+      service_name: serviceType ? serviceType.name : submission.jenis_layanan,
+      form_fields: serviceType ? serviceType.form_schema || [] : [],
+      form_data: submission.form_data || {},
+      revision_items: submission.revision_items || [],
+      revision_note: submission.revision_note,
+      revision_requested_at: submission.revision_requested_at,
+      attachments,
+    });
+    result.headers.set("Cache-Control", "no-store");
+    return result;
+  } catch (error) {
+    console.error("Error fetching revision request:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}
+
+// Handle POST - Citizen sends corrections and documents (multipart/form-data)
+export async function POST(request, { params }) {
+  try {
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { sequelize, Submission, ServiceType, SubmissionNote } = db;
+
+    // Body dari publik: jenis dan ukurannya dicek sebelum dibaca ke memori
+    const contentType = request.headers.get("content-type") || "";
+    if (!contentType.includes("multipart/form-data")) {
+      return NextResponse.json(
+        { message: "Kelengkapan harus dikirim sebagai multipart/form-data" },
+        { status: 400 }
+      );
+    }
+    const sizeError = checkRequestSize(request);
+    if (sizeError) {
+      return NextResponse.json({ message: sizeError }, { status: 413 });
+    }
+
+    const formData = await request.formData();
+    const { submission: found, response } = await findSubmissionForRevision(
+      db,
+      request,
+      params.tracking_code.trim(),
+      formData.get("last4_nik")
+    );
+    if (response) {
+      return response;
+    }
+
+    const nama = String(formData.get("nama") || "").trim();
+    const email = String(formData.get("email") || "").trim();
+    const noWa = String(formData.get("no_wa") || "").trim();
+    const citizenNote = String(formData.get("note") || "").trim();
+
+    if (!nama || !email || !noWa) {
+      return NextResponse.json(
+        { message: "Nama, email, dan nomor WhatsApp wajib diisi" },
+        { status: 400 }
+      );
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return NextResponse.json(
+        { message: "Format email tidak valid" },
+        { status: 400 }
+      );
+    }
+
+    if (citizenNote.length > MAX_CITIZEN_NOTE_LENGTH) {
+      return NextResponse.json(
+        { message: `Keterangan maksimal ${MAX_CITIZEN_NOTE_LENGTH} karakter` },
+        { status: 400 }
+      );
+    }
+
+    // Extra fields are validated against the current schema of the service
+    let submittedFields = {};
+    try {
+      submittedFields = JSON.parse(formData.get("form_data") || "{}");
+    } catch (error) {
+      submittedFields = {};
+    }
+    const serviceType = await ServiceType.findOne({
+      where: { code: found.jenis_layanan },
+    });
+    const { values: extraValues, errors: formErrors } = validateFormData(
+      serviceType ? serviceType.form_schema : [],
+      submittedFields
+    );
+    if (Object.keys(formErrors).length > 0) {
+      return NextResponse.json(
+        { message: Object.values(formErrors)[0], errors: formErrors },
+        { status: 400 }
+      );
+    }
+
+    const { attachments, error: attachmentError } = await prepareAttachments(
+      formData.getAll("attachments")
+    );
+    if (attachmentError) {
+      return NextResponse.json({ message: attachmentError }, { status: 400 });
+    }
+
+    const updates = {
+      status: RESUBMITTED_STATUS,
+      nama,
+      email,
+      no_wa: normalizePhoneNumber(noWa),
+      form_data: Object.keys(extraValues).length > 0 ? extraValues : null,
+    };
+
+    // Save corrections, documents and the transition back to review together.
+    // Baris dikunci dan statusnya dicek ulang, supaya perubahan status oleh
+    // admin di saat yang sama tidak tertimpa kiriman pemohon. Files written
+    // before a rollback are deleted again.
+    let storedAttachments = [];
+    const result = await sequelize.transaction(async (transaction) => {
+      const submission = await Submission.findByPk(found.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!submission || submission.status !== REVISION_STATUS) {
+        return {
+          error: NextResponse.json(
+            { message: "Pengajuan ini tidak sedang menunggu kelengkapan" },
+            { status: 409 }
+          ),
+        };
+      }
+
+      const before = {
+        status: submission.status,
+        nama: submission.nama,
+        email: submission.email,
+        no_wa: submission.no_wa,
+        form_data: submission.form_data,
+      };
+      await submission.update(updates, { transaction });
+      await recordStatusChange(
+        db,
+        { submission, fromStatus: REVISION_STATUS, toStatus: RESUBMITTED_STATUS },
+        { transaction }
+      );
+      storedAttachments = await storeAttachments(db, submission, attachments, {
+        transaction,
+      });
+
+      if (citizenNote) {
+        await SubmissionNote.create(
+          {
+            submission_id: submission.id,
+            admin_id: null,
+            admin_username: "Pemohon",
+            note: citizenNote,
+          },
+          { transaction }
+        );
+      }
+
+      await enqueueStatusUpdate(db, submission, RESUBMITTED_STATUS, {}, { transaction });
+
+      return { submission, before };
+    }).catch(async (error) => {
+      await removeAttachmentFiles(storedAttachments);
+      throw error;
+    });
+
+    if (result.error) {
+      return result.error;
+    }
+    const { submission, before } = result;
+
+    console.log(
+      `[${new Date().toISOString()}] Revision submitted for ${submission.tracking_code}`
+    );
+
+    await recordAudit(db, {
+      actorLabel: "Pemohon",
+      action: AUDIT_ACTIONS.SUBMISSION_REVISION_SUBMIT,
+      entityType: "submission",
+      entityId: submission.id,
+      before,
+      after: { ...updates, attachments: attachments.length },
+      request,
+    });
+
+    // Confirm to the citizen that the submission is back in review
+    triggerOutboxDelivery(db);
+
+    return NextResponse.json({
+      success: true,
+      message: "Kelengkapan berhasil dikirim. Pengajuan Anda akan diperiksa kembali.",
+      status: RESUBMITTED_STATUS,
+    });
+  } catch (error) {
+    console.error("Error submitting revision:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}
@@ -1,10 +1,12 @@
 import { NextResponse } from "next/server";
 import { getVercelDatabase } from "@/lib/vercel-init-db";
+import { getStatusTimeline, toPublicTimeline } from "@/lib/submission-history";
 
 export async function GET(request, { params }) {
   try {
     // Initialize database with all models
-    const { sequelize, Submission } = await getVercelDatabase(process.env.DATABASE_URL);
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { Submission } = db;
 
     const { tracking_code } = params;
     const { searchParams } = new URL(request.url);
@@ -46,6 +48,9 @@ export async function GET(request, { params }) {
       );
     }
 
+    // Timeline for citizens only shows statuses and dates, not who changed them
+    const timeline = await getStatusTimeline(db, submission);
+
     // Return submission data (excluding sensitive info)
     const submissionData = {
       id: submission.id,
@@ -53,8 +58,16 @@ export async function GET(request, { params }) {
       nama: submission.nama,
       jenis_layanan: submission.jenis_layanan,
       status: submission.status,
+      rejection_reason:
+        submission.status === "DITOLAK" ? submission.rejection_reason : null,
+      // Yang perlu dilengkapi pemohon, hanya selama status PERLU_KELENGKAPAN
+      revision_items:
+        submission.status === "PERLU_KELENGKAPAN" ? submission.revision_items : null,
+      revision_note:
+        submission.status === "PERLU_KELENGKAPAN" ? submission.revision_note : null,
       created_at: submission.created_at,
       updated_at: submission.updated_at,
+      history: toPublicTimeline(timeline),
     };
 
     return NextResponse.json(submissionData);
@@ -1,16 +1,67 @@
 import { NextResponse } from "next/server";
 import { getVercelDatabase } from "@/lib/vercel-init-db";
 import { normalizePhoneNumber } from "@/lib/phone";
-import { sendInitialSubmissionNotification } from "@/lib/notify/sicuba";
+import { enqueueSubmissionCreated, triggerOutboxDelivery } from "@/lib/notify/outbox";
+import { withAdminAuth } from "@/lib/auth/guard";
+import { PERMISSIONS } from "@/lib/auth/roles";
+import { recordStatusChange } from "@/lib/submission-history";
+import { findActiveServiceType } from "@/lib/service-types";
+import { validateFormData } from "@/lib/service-fields";
+import {
+  checkRequestSize,
+  prepareAttachments,
+  storeAttachments,
+  removeAttachmentFiles,
+} from "@/lib/attachments";
 
-export async function GET(request) {
+/**
+ * Read the submission fields from a JSON or multipart/form-data request
+ * Multipart dipakai saat pemohon melampirkan dokumen (field "attachments").
+ * Body multipart yang lebih besar dari total batas lampiran ditolak sebelum
+ * dibaca.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object>} { body, files, error }
+ */
+async function parseSubmissionRequest(request) {
+  const contentType = request.headers.get("content-type") || "";
+  if (!contentType.includes("multipart/form-data")) {
+    return { body: await request.json(), files: [], error: null };
+  }
+
+  const sizeError = checkRequestSize(request);
+  if (sizeError) {
+    return { body: null, files: [], error: sizeError };
+  }
+
+  const formData = await request.formData();
+  let extraFields = {};
+  try {
+    extraFields = JSON.parse(formData.get("form_data") || "{}");
+  } catch (error) {
+    extraFields = {};
+  }
+
+  return {
+    body: {
+      nama: formData.get("nama"),
+      nik: formData.get("nik"),
+      email: formData.get("email"),
+      no_wa: formData.get("no_wa"),
+      jenis_layanan: formData.get("jenis_layanan"),
+      consent: formData.get("consent") === "true",
+      form_data: extraFields,
+    },
+    files: formData.getAll("attachments"),
+    error: null,
+  };
+}
+
+// Handle GET - List submissions (admin only, same data as /api/admin/submissions)
+export const GET = withAdminAuth(async function GET(request) {
   try {
     // Initialize database with all models
     const { sequelize, Submission } = await getVercelDatabase(process.env.DATABASE_URL);
 
-    // In a real application, you would verify admin authentication here
-    // For workshop purposes, we'll skip authentication
-
     // Parse cache-busting query parameters
     const url = new URL(request.url);
     const queryTimestamp = url.searchParams.get("t");
@@ -120,14 +171,18 @@ export async function GET(request) {
 
     return errorResponse;
   }
-}
+}, { permission: PERMISSIONS.VIEW_SUBMISSIONS });
 
 export async function POST(request) {
   try {
     // Initialize database with all models
-    const { sequelize, Submission, NotificationLog } = await getVercelDatabase(process.env.DATABASE_URL);
+    const db = await getVercelDatabase(process.env.DATABASE_URL);
+    const { sequelize, Submission } = db;
 
-    const body = await request.json();
+    const { body, files, error: requestError } = await parseSubmissionRequest(request);
+    if (requestError) {
+      return NextResponse.json({ message: requestError }, { status: 413 });
+    }
 
     // Validate required fields
     const { nama, nik, email, no_wa, jenis_layanan, consent } = body;
@@ -139,6 +194,36 @@ export async function POST(request) {
       );
     }
 
+    // jenis_layanan must be the code of an active service in the catalog
+    const serviceType = await findActiveServiceType(db, jenis_layanan);
+    if (!serviceType) {
+      return NextResponse.json(
+        { message: "Jenis layanan tidak valid atau tidak tersedia" },
+        { status: 400 }
+      );
+    }
+
+    // Extra fields declared by the service
+    const { values: formData, errors: formErrors } = validateFormData(
+      serviceType.form_schema,
+      body.form_data
+    );
+    if (Object.keys(formErrors).length > 0) {
+      return NextResponse.json(
+        {
+          message: Object.values(formErrors)[0],
+          errors: formErrors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Validate uploaded documents before anything is written
+    const { attachments, error: attachmentError } = await prepareAttachments(files);
+    if (attachmentError) {
+      return NextResponse.json({ message: attachmentError }, { status: 400 });
+    }
+
     // Generate tracking code
     const timestamp = Date.now();
     const random = Math.random().toString(36).substring(2, 8).toUpperCase();
@@ -147,40 +232,48 @@ export async function POST(request) {
     // Normalize phone number to +62 format
     const normalizedPhone = normalizePhoneNumber(no_wa);
 
-    // Create submission
-    const submission = await Submission.create({
-      tracking_code,
-      nama,
-      nik,
-      jenis_layanan,
-      email,
-      no_wa: normalizedPhone,
-      consent,
-      status: "PENGAJUAN_BARU",
+    // Create submission together with the first status history entry and
+    // its attachments. Files written before a rollback are deleted again.
+    let storedAttachments = [];
+    const submission = await sequelize.transaction(async (transaction) => {
+      const created = await Submission.create(
+        {
+          tracking_code,
+          nama,
+          nik,
+          jenis_layanan,
+          email,
+          no_wa: normalizedPhone,
+          consent,
+          form_data: Object.keys(formData).length > 0 ? formData : null,
+          status: "PENGAJUAN_BARU",
+        },
+        { transaction }
+      );
+
+      await recordStatusChange(
+        db,
+        { submission: created, fromStatus: null, toStatus: "PENGAJUAN_BARU" },
+        { transaction }
+      );
+
+      storedAttachments = await storeAttachments(db, created, attachments, { transaction });
+
+      await enqueueSubmissionCreated(db, created, { transaction });
+
+      return created;
+    }).catch(async (error) => {
+      await removeAttachmentFiles(storedAttachments);
+      throw error;
     });
 
     console.log(
       `[${new Date().toISOString()}] Created submission: ${tracking_code}`
     );
 
-    // Send initial WhatsApp notification
-    try {
-      const waResult = await sendInitialSubmissionNotification(submission);
-      await NotificationLog.create({
-        submission_id: submission.id,
-        channel: "WHATSAPP",
-        send_status: waResult.success ? "SUCCESS" : "FAILED",
-        payload: {
-          to: submission.no_wa,
-          status: "PENGAJUAN_BARU",
-          result: waResult,
-        },
-      });
-      console.log(`[${new Date().toISOString()}] Initial WhatsApp notification sent:`, waResult.success ? "SUCCESS" : "FAILED");
-    } catch (notificationError) {
-      console.error("Error sending initial WhatsApp notification:", notificationError);
-      // Don't fail the submission creation if notification fails
-    }
+    // Initial WhatsApp notification is delivered from the outbox; a failed
+    // send is retried there and never fails the submission
+    triggerOutboxDelivery(db);
 
     return NextResponse.json(
       {
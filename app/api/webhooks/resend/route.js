@@ -0,0 +1,40 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import {
+  verifyResendSignature,
+  parseResendEvent,
+  applyDeliveryUpdate,
+} from "@/lib/notify/webhooks";
+
+// Handle POST - Resend email event (sent, delivered, opened, bounced, ...)
+export async function POST(request) {
+  try {
+    // Tanda tangan dihitung dari body mentah, jadi jangan request.json()
+    const rawBody = await request.text();
+
+    if (!verifyResendSignature(rawBody, request.headers)) {
+      return NextResponse.json({ message: "Tanda tangan tidak valid" }, { status: 401 });
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch (error) {
+      return NextResponse.json({ message: "Body bukan JSON" }, { status: 400 });
+    }
+
+    const update = parseResendEvent(event);
+    if (update) {
+      const db = await getVercelDatabase(process.env.DATABASE_URL);
+      await applyDeliveryUpdate(db, "resend", update);
+    }
+
+    return NextResponse.json({ received: true });
+  } catch (error) {
+    console.error("Error handling Resend webhook:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}
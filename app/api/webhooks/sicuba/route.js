@@ -0,0 +1,39 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import {
+  verifySicubaSecret,
+  parseSicubaEvents,
+  applyDeliveryUpdate,
+} from "@/lib/notify/webhooks";
+
+// Handle POST - SiCuba message status update (one event or an array)
+export async function POST(request) {
+  try {
+    if (!verifySicubaSecret(request)) {
+      return NextResponse.json({ message: "Token webhook tidak valid" }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ message: "Body bukan JSON" }, { status: 400 });
+    }
+
+    const updates = parseSicubaEvents(body);
+    if (updates.length > 0) {
+      const db = await getVercelDatabase(process.env.DATABASE_URL);
+      for (const update of updates) {
+        await applyDeliveryUpdate(db, "sicuba", update);
+      }
+    }
+
+    return NextResponse.json({ received: updates.length });
+  } catch (error) {
+    console.error("Error handling SiCuba webhook:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}
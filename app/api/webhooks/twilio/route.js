@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server";
+import { getVercelDatabase } from "@/lib/vercel-init-db";
+import {
+  verifyTwilioSignature,
+  parseTwilioCallback,
+  applyDeliveryUpdate,
+} from "@/lib/notify/webhooks";
+
+// Handle POST - Twilio message status callback (form-encoded)
+export async function POST(request) {
+  try {
+    const params = Object.fromEntries(new URLSearchParams(await request.text()));
+
+    if (!verifyTwilioSignature(request.headers.get("x-twilio-signature"), params)) {
+      return NextResponse.json({ message: "Tanda tangan tidak valid" }, { status: 401 });
+    }
+
+    // Status antara (queued, sending) tidak dicatat
+    const update = parseTwilioCallback(params);
+    if (update) {
+      const db = await getVercelDatabase(process.env.DATABASE_URL);
+      await applyDeliveryUpdate(db, "twilio", update);
+    }
+
+    return NextResponse.json({ received: true });
+  } catch (error) {
+    console.error("Error handling Twilio webhook:", error);
+    return NextResponse.json(
+      { message: "Terjadi kesalahan internal server" },
+      { status: 500 }
+    );
+  }
+}
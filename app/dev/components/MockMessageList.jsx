@@ -0,0 +1,146 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { Card, Input, Button, Tag, Empty, Popconfirm, Spin, message } from "antd";
+import { CHANNELS } from "@/lib/notify/channels";
+
+const EVENT_LABELS = {
+  submission_created: "Pengajuan diterima",
+  status_update: "Update status",
+  password_reset: "Reset password admin",
+};
+
+export default function MockMessageList() {
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [trackingCode, setTrackingCode] = useState("");
+
+  const fetchMessages = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (trackingCode) params.set("tracking_code", trackingCode);
+      const response = await fetch(`/api/dev/messages?${params}`, {
+        cache: "no-store",
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setMessages(data.data);
+      } else {
+        message.error(data.message || "Gagal memuat pesan");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    } finally {
+      setLoading(false);
+    }
+  }, [trackingCode]);
+
+  useEffect(() => {
+    fetchMessages();
+  }, [fetchMessages]);
+
+  const handleClear = async () => {
+    try {
+      const response = await fetch("/api/dev/messages", { method: "DELETE" });
+      const data = await response.json();
+      if (response.ok) {
+        message.success(data.message);
+        setMessages([]);
+      } else {
+        message.error(data.message || "Gagal menghapus pesan");
+      }
+    } catch (error) {
+      message.error("Terjadi kesalahan jaringan");
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-4xl mx-auto px-4 py-4 sm:py-6">
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+            Pesan Mock (Development)
+          </h1>
+          <p className="text-sm sm:text-base text-gray-600 mt-1">
+            WhatsApp dan email yang &quot;dikirim&quot; oleh provider mock. Halaman ini
+            tidak tersedia di production.
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto px-4 py-4 sm:py-8 space-y-4">
+        <div className="flex flex-col sm:flex-row gap-2">
+          <Input.Search
+            allowClear
+            placeholder="Filter kode tracking"
+            onSearch={(value) => setTrackingCode(value.trim())}
+          />
+          <Button onClick={fetchMessages} loading={loading}>
+            Refresh
+          </Button>
+          <Popconfirm title="Hapus semua pesan mock?" onConfirm={handleClear}>
+            <Button danger>Hapus Semua</Button>
+          </Popconfirm>
+        </div>
+
+        <Spin spinning={loading}>
+          {messages.length === 0 ? (
+            <Card>
+              <Empty description="Belum ada pesan. Pastikan WHATSAPP_PROVIDER=mock atau EMAIL_PROVIDER=mock." />
+            </Card>
+          ) : (
+            <div className="space-y-4">
+              {messages.map((item) => (
+                <Card
+                  key={item.id}
+                  size="small"
+                  title={
+                    <div className="flex flex-wrap items-center gap-2">
+                      <Tag color={item.channel === "EMAIL" ? "blue" : "green"}>
+                        {CHANNELS[item.channel]?.label || item.channel}
+                      </Tag>
+                      <span className="font-normal">{item.recipient}</span>
+                    </div>
+                  }
+                  extra={
+                    <span className="text-xs text-gray-500">
+                      {new Date(item.created_at).toLocaleString("id-ID")}
+                    </span>
+                  }
+                >
+                  <div className="text-xs text-gray-500 mb-2">
+                    {EVENT_LABELS[item.event] || item.event}
+                    {item.tracking_code && (
+                      <>
+                        {" "}&middot; <span className="font-mono">{item.tracking_code}</span>
+                      </>
+                    )}
+                  </div>
+                  {item.channel === "EMAIL" ? (
+                    <div>
+                      <div className="font-semibold mb-2">{item.subject}</div>
+                      {/* sandbox tanpa izin: HTML email tidak bisa menjalankan script */}
+                      <iframe
+                        title={item.subject || item.id}
+                        sandbox=""
+                        srcDoc={item.body}
+                        className="w-full border rounded bg-white"
+                        style={{ height: 480 }}
+                      />
+                    </div>
+                  ) : (
+                    <div className="bg-green-50 border border-green-200 rounded-lg p-3 text-sm whitespace-pre-wrap break-words">
+                      {item.body}
+                    </div>
+                  )}
+                </Card>
+              ))}
+            </div>
+          )}
+        </Spin>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+import { notFound } from "next/navigation";
+import MockMessageList from "../components/MockMessageList";
+
+// Hanya untuk development: pesan dari provider mock (WHATSAPP_PROVIDER=mock /
+// EMAIL_PROVIDER=mock)
+export default function DevMessagesPage() {
+  if (process.env.NODE_ENV === "production") {
+    notFound();
+  }
+
+  return <MockMessageList />;
+}
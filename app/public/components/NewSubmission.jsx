@@ -1,7 +1,9 @@
 "use client";
 
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import { useRouter } from "next/navigation";
+import { validateFormData } from "@/lib/service-fields";
+import ServiceFields from "./ServiceFields";
 
 // Phone number formatting function
 const formatPhoneNumber = (phone) => {
@@ -27,6 +29,11 @@ const formatPhoneNumber = (phone) => {
   return `+62${cleaned}`;
 };
 
+// Sama dengan batas default di lib/attachments.js; server tetap memvalidasi ulang
+const ACCEPTED_FILE_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+const MAX_FILE_SIZE_MB = 5;
+const MAX_FILES = 5;
+
 export default function NewSubmission() {
   const router = useRouter();
   const [formData, setFormData] = useState({
@@ -39,6 +46,42 @@ export default function NewSubmission() {
   });
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [services, setServices] = useState([]);
+  const [servicesLoading, setServicesLoading] = useState(true);
+  const [extraData, setExtraData] = useState({}); // Answers to the selected service's fields
+  const [extraErrors, setExtraErrors] = useState({});
+  const [files, setFiles] = useState([]); // Documents to attach
+
+  useEffect(() => {
+    // Daftar layanan diambil dari katalog yang dikelola admin
+    const fetchServices = async () => {
+      try {
+        const response = await fetch("/api/services");
+        const data = await response.json();
+        if (response.ok) {
+          setServices(data);
+        } else {
+          setErrors((prev) => ({
+            ...prev,
+            jenis_layanan: data.message || "Gagal memuat daftar layanan",
+          }));
+        }
+      } catch (error) {
+        setErrors((prev) => ({
+          ...prev,
+          jenis_layanan: "Gagal memuat daftar layanan",
+        }));
+      } finally {
+        setServicesLoading(false);
+      }
+    };
+
+    fetchServices();
+  }, []);
+
+  const selectedService = services.find(
+    (service) => service.code === formData.jenis_layanan
+  );
 
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -50,6 +93,42 @@ export default function NewSubmission() {
     if (errors[name]) {
       setErrors((prev) => ({ ...prev, [name]: "" }));
     }
+    // Each service has its own extra fields
+    if (name === "jenis_layanan") {
+      setExtraData({});
+      setExtraErrors({});
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selected = Array.from(e.target.files || []);
+    let fileError = "";
+
+    if (selected.length > MAX_FILES) {
+      fileError = `Maksimal ${MAX_FILES} lampiran`;
+    } else {
+      const invalid = selected.find(
+        (file) =>
+          !ACCEPTED_FILE_TYPES.includes(file.type) ||
+          file.size > MAX_FILE_SIZE_MB * 1024 * 1024
+      );
+      if (invalid) {
+        fileError = `${invalid.name}: hanya PDF, JPG, atau PNG maksimal ${MAX_FILE_SIZE_MB} MB`;
+      }
+    }
+
+    setFiles(fileError ? [] : selected);
+    setErrors((prev) => ({ ...prev, attachments: fileError }));
+    if (fileError) {
+      e.target.value = "";
+    }
+  };
+
+  const handleExtraChange = (name, value) => {
+    setExtraData((prev) => ({ ...prev, [name]: value }));
+    if (extraErrors[name]) {
+      setExtraErrors((prev) => ({ ...prev, [name]: "" }));
+    }
   };
 
   const validateForm = () => {
@@ -83,8 +162,17 @@ export default function NewSubmission() {
       newErrors.consent = "Anda harus menyetujui pemberian notifikasi";
     }
 
+    const { errors: fieldErrors } = validateFormData(
+      selectedService?.form_fields,
+      extraData
+    );
+
     setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+    setExtraErrors(fieldErrors);
+    return (
+      Object.keys(newErrors).length === 0 &&
+      Object.keys(fieldErrors).length === 0
+    );
   };
 
   const handleSubmit = async (e) => {
@@ -95,18 +183,21 @@ export default function NewSubmission() {
     setIsSubmitting(true);
 
     try {
+      // Sent as multipart so documents can be attached
+      const payload = new FormData();
+      payload.append("nama", formData.nama);
+      payload.append("nik", formData.nik);
+      payload.append("email", formData.email);
       // Format phone number to +62 format before sending
-      const formattedData = {
-        ...formData,
-        no_wa: formatPhoneNumber(formData.no_wa),
-      };
+      payload.append("no_wa", formatPhoneNumber(formData.no_wa));
+      payload.append("jenis_layanan", formData.jenis_layanan);
+      payload.append("consent", String(formData.consent));
+      payload.append("form_data", JSON.stringify(extraData));
+      files.forEach((file) => payload.append("attachments", file));
 
       const response = await fetch("/api/submissions", {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(formattedData),
+        body: payload,
       });
 
       const result = await response.json();
@@ -115,6 +206,9 @@ export default function NewSubmission() {
         // Redirect to success page with tracking code
         router.push(`/public/success?tracking_code=${result.tracking_code}`);
       } else {
+        if (result.errors) {
+          setExtraErrors(result.errors);
+        }
         setErrors({
           submit: result.message || "Terjadi kesalahan saat mengirim pengajuan",
         });
@@ -247,19 +341,81 @@ export default function NewSubmission() {
               errors.jenis_layanan ? "border-red-500" : "border-gray-300"
             }`}
           >
-            <option value="">Pilih jenis layanan</option>
-            <option value="KTP">Pembuatan KTP</option>
-            <option value="KK">Pembuatan Kartu Keluarga</option>
-            <option value="AKTA">Pembuatan Akta Kelahiran</option>
-            <option value="SKCK">Pembuatan SKCK</option>
-            <option value="SURAT_PINDAH">Surat Pindah</option>
-            <option value="SURAT_KETERANGAN">Surat Keterangan</option>
+            <option value="">
+              {servicesLoading ? "Memuat layanan..." : "Pilih jenis layanan"}
+            </option>
+            {services.map((service) => (
+              <option key={service.code} value={service.code}>
+                {service.name}
+              </option>
+            ))}
           </select>
+          {selectedService && (
+            <div className="mt-2 bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm text-gray-700">
+              {selectedService.description && (
+                <p className="mb-2">{selectedService.description}</p>
+              )}
+              {selectedService.requirements.length > 0 && (
+                <>
+                  <p className="font-medium">Persyaratan:</p>
+                  <ul className="list-disc pl-5 mb-2">
+                    {selectedService.requirements.map((item) => (
+                      <li key={item}>{item}</li>
+                    ))}
+                  </ul>
+                </>
+              )}
+              <p className="text-gray-600">
+                Estimasi penyelesaian: {selectedService.sla_days} hari kerja
+              </p>
+            </div>
+          )}
           {errors.jenis_layanan && (
             <p className="mt-1 text-sm text-red-600">{errors.jenis_layanan}</p>
           )}
         </div>
 
+        {/* Field tambahan sesuai layanan */}
+        <ServiceFields
+          fields={selectedService?.form_fields}
+          values={extraData}
+          errors={extraErrors}
+          onChange={handleExtraChange}
+        />
+
+        {/* Lampiran */}
+        <div>
+          <label
+            htmlFor="attachments"
+            className="block text-sm font-medium text-gray-700 mb-2"
+          >
+            Dokumen Pendukung
+          </label>
+          <input
+            type="file"
+            id="attachments"
+            name="attachments"
+            multiple
+            accept=".pdf,.jpg,.jpeg,.png"
+            onChange={handleFileChange}
+            className="w-full text-sm text-gray-700"
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Scan KK, KTP lama, atau surat pengantar RT/RW. PDF, JPG, atau PNG,
+            maksimal {MAX_FILE_SIZE_MB} MB per file, {MAX_FILES} file.
+          </p>
+          {files.length > 0 && (
+            <ul className="mt-2 text-sm text-gray-700 list-disc pl-5">
+              {files.map((file) => (
+                <li key={file.name}>{file.name}</li>
+              ))}
+            </ul>
+          )}
+          {errors.attachments && (
+            <p className="mt-1 text-sm text-red-600">{errors.attachments}</p>
+          )}
+        </div>
+
         {/* Consent */}
         <div className="flex items-start">
           <div className="flex items-center h-5">
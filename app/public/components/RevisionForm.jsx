@@ -0,0 +1,366 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSearchParams } from "next/navigation";
+import { validateFormData } from "@/lib/service-fields";
+import ServiceFields from "./ServiceFields";
+
+const inputClassName = (hasError) =>
+  `w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black ${
+    hasError ? "border-red-500" : "border-gray-300"
+  }`;
+
+export default function RevisionForm() {
+  const searchParams = useSearchParams();
+  const [access, setAccess] = useState({ tracking_code: "", last4_nik: "" });
+  const [request, setRequest] = useState(null); // Revision request loaded after the NIK check
+  const [formData, setFormData] = useState({ nama: "", email: "", no_wa: "", note: "" });
+  const [extraData, setExtraData] = useState({});
+  const [extraErrors, setExtraErrors] = useState({});
+  const [files, setFiles] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [done, setDone] = useState(null); // Success message after sending
+
+  useEffect(() => {
+    // Pre-fill tracking code from the link in the notification
+    const trackingCode = searchParams.get("tracking_code");
+    if (trackingCode) {
+      setAccess((prev) => ({ ...prev, tracking_code: trackingCode }));
+    }
+  }, [searchParams]);
+
+  const handleAccessChange = (e) => {
+    const { name, value } = e.target;
+    setAccess((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  const handleExtraChange = (name, value) => {
+    setExtraData((prev) => ({ ...prev, [name]: value }));
+    if (extraErrors[name]) {
+      setExtraErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!access.tracking_code.trim()) {
+      newErrors.tracking_code = "Kode tracking wajib diisi";
+    }
+    if (!/^\d{4}$/.test(access.last4_nik)) {
+      newErrors.last4_nik = "Masukkan 4 digit terakhir NIK";
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setIsLoading(true);
+    try {
+      const response = await fetch(
+        `/api/submissions/${encodeURIComponent(access.tracking_code.trim())}/revision?last4_nik=${access.last4_nik}`,
+        { cache: "no-store" }
+      );
+      const result = await response.json();
+
+      if (response.ok) {
+        setRequest(result);
+        setFormData({
+          nama: result.nama,
+          email: result.email,
+          no_wa: result.no_wa,
+          note: "",
+        });
+        setExtraData(result.form_data || {});
+      } else {
+        setErrors({ access: result.message || "Data tidak ditemukan" });
+      }
+    } catch (error) {
+      setErrors({ access: "Terjadi kesalahan jaringan" });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!formData.nama.trim()) newErrors.nama = "Nama wajib diisi";
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+      newErrors.email = "Format email tidak valid";
+    }
+    if (!formData.no_wa.trim()) newErrors.no_wa = "Nomor WhatsApp wajib diisi";
+    const { errors: fieldErrors } = validateFormData(request.form_fields, extraData);
+
+    setErrors(newErrors);
+    setExtraErrors(fieldErrors);
+    if (Object.keys(newErrors).length > 0 || Object.keys(fieldErrors).length > 0) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const payload = new FormData();
+      payload.append("last4_nik", access.last4_nik);
+      payload.append("nama", formData.nama);
+      payload.append("email", formData.email);
+      payload.append("no_wa", formData.no_wa);
+      payload.append("note", formData.note);
+      payload.append("form_data", JSON.stringify(extraData));
+      files.forEach((file) => payload.append("attachments", file));
+
+      const response = await fetch(
+        `/api/submissions/${encodeURIComponent(request.tracking_code)}/revision`,
+        { method: "POST", body: payload }
+      );
+      const result = await response.json();
+
+      if (response.ok) {
+        setDone(result.message);
+      } else {
+        if (result.errors) {
+          setExtraErrors(result.errors);
+        }
+        setErrors({ submit: result.message || "Gagal mengirim kelengkapan" });
+      }
+    } catch (error) {
+      setErrors({ submit: "Terjadi kesalahan jaringan" });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (done) {
+    return (
+      <div className="text-center py-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">
+          Kelengkapan Terkirim
+        </h2>
+        <p className="text-gray-600 mb-6">{done}</p>
+        <a
+          href={`/public?tab=status&tracking_code=${encodeURIComponent(request.tracking_code)}`}
+          className="inline-block bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg"
+        >
+          Cek Status Pengajuan
+        </a>
+      </div>
+    );
+  }
+
+  if (!request) {
+    return (
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">
+          Lengkapi Pengajuan
+        </h2>
+        <p className="text-sm text-gray-600 mb-6">
+          Masukkan kode tracking dan 4 digit terakhir NIK untuk melihat apa saja
+          yang perlu dilengkapi.
+        </p>
+
+        <form onSubmit={handleOpen} className="space-y-6">
+          <div>
+            <label
+              htmlFor="tracking_code"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Kode Tracking *
+            </label>
+            <input
+              type="text"
+              id="tracking_code"
+              name="tracking_code"
+              value={access.tracking_code}
+              onChange={handleAccessChange}
+              className={inputClassName(errors.tracking_code)}
+              placeholder="Masukkan kode tracking"
+            />
+            {errors.tracking_code && (
+              <p className="mt-1 text-sm text-red-600">{errors.tracking_code}</p>
+            )}
+          </div>
+
+          <div>
+            <label
+              htmlFor="last4_nik"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              4 Digit Terakhir NIK *
+            </label>
+            <input
+              type="text"
+              id="last4_nik"
+              name="last4_nik"
+              value={access.last4_nik}
+              onChange={handleAccessChange}
+              maxLength={4}
+              className={inputClassName(errors.last4_nik)}
+              placeholder="xxxx"
+            />
+            {errors.last4_nik && (
+              <p className="mt-1 text-sm text-red-600">{errors.last4_nik}</p>
+            )}
+          </div>
+
+          {errors.access && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+              <p className="text-sm text-red-600">{errors.access}</p>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200"
+          >
+            {isLoading ? "Memuat..." : "Lanjut"}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">
+        Lengkapi Pengajuan
+      </h2>
+      <p className="text-sm text-gray-600 mb-6">
+        {request.service_name} &middot;{" "}
+        <span className="font-mono">{request.tracking_code}</span>
+      </p>
+
+      <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-6">
+        <p className="text-sm font-medium text-orange-800">
+          Yang Perlu Dilengkapi
+        </p>
+        <ul className="list-disc pl-5 text-base text-orange-700">
+          {request.revision_items.map((item) => (
+            <li key={item}>{item}</li>
+          ))}
+        </ul>
+        {request.revision_note && (
+          <p className="text-sm text-orange-700 mt-2">{request.revision_note}</p>
+        )}
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div>
+          <label htmlFor="nama" className="block text-sm font-medium text-gray-700 mb-2">
+            Nama Lengkap *
+          </label>
+          <input
+            type="text"
+            id="nama"
+            name="nama"
+            value={formData.nama}
+            onChange={handleChange}
+            className={inputClassName(errors.nama)}
+          />
+          {errors.nama && <p className="mt-1 text-sm text-red-600">{errors.nama}</p>}
+        </div>
+
+        <div>
+          <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
+            Email *
+          </label>
+          <input
+            type="email"
+            id="email"
+            name="email"
+            value={formData.email}
+            onChange={handleChange}
+            className={inputClassName(errors.email)}
+          />
+          {errors.email && <p className="mt-1 text-sm text-red-600">{errors.email}</p>}
+        </div>
+
+        <div>
+          <label htmlFor="no_wa" className="block text-sm font-medium text-gray-700 mb-2">
+            Nomor WhatsApp *
+          </label>
+          <input
+            type="tel"
+            id="no_wa"
+            name="no_wa"
+            value={formData.no_wa}
+            onChange={handleChange}
+            className={inputClassName(errors.no_wa)}
+          />
+          {errors.no_wa && <p className="mt-1 text-sm text-red-600">{errors.no_wa}</p>}
+        </div>
+
+        <ServiceFields
+          fields={request.form_fields}
+          values={extraData}
+          errors={extraErrors}
+          onChange={handleExtraChange}
+        />
+
+        <div>
+          <label htmlFor="attachments" className="block text-sm font-medium text-gray-700 mb-2">
+            Tambah Dokumen
+          </label>
+          {request.attachments.length > 0 && (
+            <p className="text-xs text-gray-500 mb-2">
+              Sudah diunggah:{" "}
+              {request.attachments.map((file) => file.original_name).join(", ")}
+            </p>
+          )}
+          <input
+            type="file"
+            id="attachments"
+            multiple
+            accept=".pdf,.jpg,.jpeg,.png"
+            onChange={(e) => setFiles(Array.from(e.target.files || []))}
+            className="w-full text-sm text-gray-700"
+          />
+          <p className="mt-1 text-xs text-gray-500">PDF, JPG, atau PNG.</p>
+        </div>
+
+        <div>
+          <label htmlFor="note" className="block text-sm font-medium text-gray-700 mb-2">
+            Keterangan untuk Petugas
+          </label>
+          <textarea
+            id="note"
+            name="note"
+            rows={3}
+            maxLength={1000}
+            value={formData.note}
+            onChange={handleChange}
+            className={inputClassName(false)}
+            placeholder="Opsional"
+          />
+        </div>
+
+        {errors.submit && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+            <p className="text-sm text-red-600">{errors.submit}</p>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-semibold py-3 px-6 rounded-lg transition duration-200"
+        >
+          {isSubmitting ? "Mengirim..." : "Kirim Kelengkapan"}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+"use client";
+
+// Renders the extra fields a service declares in its form_schema
+export default function ServiceFields({ fields, values, errors, onChange }) {
+  if (!fields || fields.length === 0) {
+    return null;
+  }
+
+  const inputClassName = (name) =>
+    `w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-black ${
+      errors[name] ? "border-red-500" : "border-gray-300"
+    }`;
+
+  const renderInput = (field) => {
+    const id = `form_data_${field.name}`;
+    const value = values[field.name] ?? "";
+    const handleChange = (e) => onChange(field.name, e.target.value);
+
+    switch (field.type) {
+      case "textarea":
+        return (
+          <textarea
+            id={id}
+            value={value}
+            onChange={handleChange}
+            rows={3}
+            maxLength={field.maxLength}
+            className={inputClassName(field.name)}
+          />
+        );
+      case "select":
+        return (
+          <select
+            id={id}
+            value={value}
+            onChange={handleChange}
+            className={inputClassName(field.name)}
+          >
+            <option value="">Pilih {field.label.toLowerCase()}</option>
+            {field.options.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        );
+      default:
+        return (
+          <input
+            type={field.type}
+            id={id}
+            value={value}
+            onChange={handleChange}
+            min={field.min}
+            max={field.max}
+            maxLength={field.maxLength}
+            className={inputClassName(field.name)}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="space-y-6 border-l-4 border-blue-200 pl-4">
+      {fields.map((field) => (
+        <div key={field.name}>
+          <label
+            htmlFor={`form_data_${field.name}`}
+            className="block text-sm font-medium text-gray-700 mb-2"
+          >
+            {field.label}
+            {field.required ? " *" : ""}
+          </label>
+          {renderInput(field)}
+          {field.help && (
+            <p className="mt-1 text-xs text-gray-500">{field.help}</p>
+          )}
+          {errors[field.name] && (
+            <p className="mt-1 text-sm text-red-600">{errors[field.name]}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -2,6 +2,7 @@
 
 import { useState, useEffect } from "react";
 import { useSearchParams } from "next/navigation";
+import { getStatusText } from "@/lib/submission-workflow";
 
 export default function StatusCheck() {
   const searchParams = useSearchParams();
@@ -94,6 +95,8 @@ export default function StatusCheck() {
         return "bg-yellow-100 text-yellow-800";
       case "DIPROSES":
         return "bg-blue-100 text-blue-800";
+      case "PERLU_KELENGKAPAN":
+        return "bg-orange-100 text-orange-800";
       case "SELESAI":
         return "bg-green-100 text-green-800";
       case "DITOLAK":
@@ -103,21 +106,6 @@ export default function StatusCheck() {
     }
   };
 
-  const getStatusText = (status) => {
-    switch (status) {
-      case "PENGAJUAN_BARU":
-        return "Pengajuan Baru";
-      case "DIPROSES":
-        return "Sedang Diproses";
-      case "SELESAI":
-        return "Selesai";
-      case "DITOLAK":
-        return "Ditolak";
-      default:
-        return status;
-    }
-  };
-
   return (
     <div>
       <h2 className="text-xl font-semibold text-gray-900 mb-6">
@@ -247,6 +235,43 @@ export default function StatusCheck() {
               </p>
             </div>
 
+            {statusData.rejection_reason && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                <p className="text-sm font-medium text-red-800">
+                  Alasan Penolakan
+                </p>
+                <p className="text-base text-red-700">
+                  {statusData.rejection_reason}
+                </p>
+              </div>
+            )}
+
+            {statusData.status === "PERLU_KELENGKAPAN" && (
+              <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
+                <p className="text-sm font-medium text-orange-800">
+                  Yang Perlu Dilengkapi
+                </p>
+                <ul className="list-disc pl-5 text-base text-orange-700">
+                  {(statusData.revision_items || []).map((item) => (
+                    <li key={item}>{item}</li>
+                  ))}
+                </ul>
+                {statusData.revision_note && (
+                  <p className="text-sm text-orange-700 mt-2">
+                    {statusData.revision_note}
+                  </p>
+                )}
+                <a
+                  href={`/public/revision?tracking_code=${encodeURIComponent(
+                    statusData.tracking_code
+                  )}`}
+                  className="inline-block mt-3 bg-orange-600 hover:bg-orange-700 text-white font-semibold py-2 px-4 rounded-lg text-sm"
+                >
+                  Lengkapi Pengajuan
+                </a>
+              </div>
+            )}
+
             {statusData.updatedAt !== statusData.createdAt && (
               <div>
                 <p className="text-sm font-medium text-gray-500">
@@ -263,6 +288,38 @@ export default function StatusCheck() {
                 </p>
               </div>
             )}
+
+            {/* Status Timeline */}
+            {statusData.history && statusData.history.length > 0 && (
+              <div>
+                <p className="text-sm font-medium text-gray-500 mb-3">
+                  Riwayat Status
+                </p>
+                <ol className="relative border-l border-gray-300 ml-2 space-y-4">
+                  {statusData.history.map((entry, index) => (
+                    <li key={`${entry.status}-${index}`} className="ml-4">
+                      <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-blue-600"></span>
+                      <span
+                        className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(
+                          entry.status
+                        )}`}
+                      >
+                        {getStatusText(entry.status)}
+                      </span>
+                      <p className="text-sm text-gray-600 mt-1">
+                        {new Date(entry.changed_at).toLocaleDateString("id-ID", {
+                          year: "numeric",
+                          month: "long",
+                          day: "numeric",
+                          hour: "2-digit",
+                          minute: "2-digit",
+                        })}
+                      </p>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,36 @@
+"use client";
+
+import RevisionForm from "../components/RevisionForm";
+
+export default function RevisionPage() {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-white shadow-sm border-b">
+        <div className="max-w-4xl mx-auto px-4 py-4 sm:py-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+                Layanan Masyarakat
+              </h1>
+              <p className="text-sm sm:text-base text-gray-600 mt-1">
+                Kelengkapan Data dan Dokumen Pengajuan
+              </p>
+            </div>
+            <a
+              href="/public?tab=status"
+              className="text-blue-600 hover:text-blue-800 font-medium text-sm sm:text-base"
+            >
+              ← Cek Status
+            </a>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto px-4 py-4 sm:py-8">
+        <div className="bg-white rounded-lg shadow-sm border p-4 sm:p-6">
+          <RevisionForm />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,233 @@
+/**
+ * Submission attachments (scan KK, KTP lama, surat pengantar RT/RW, ...)
+ * Isi file disimpan lewat storage backend (lib/storage), metadata-nya di
+ * tabel attachments.
+ */
+
+const crypto = require("crypto");
+const { getStorage } = require("./storage");
+
+// Tipe file yang diterima beserta signature (magic bytes) dan ekstensinya
+const ALLOWED_ATTACHMENT_TYPES = {
+  "application/pdf": { extension: "pdf", signatures: [[0x25, 0x50, 0x44, 0x46]] },
+  "image/jpeg": { extension: "jpg", signatures: [[0xff, 0xd8, 0xff]] },
+  "image/png": {
+    extension: "png",
+    signatures: [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  },
+};
+
+/**
+ * Get upload limits from the environment
+ * @returns {Object} { maxBytes, maxFiles }
+ */
+function getAttachmentLimits() {
+  const maxSizeMb = parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB || "5");
+  const maxFiles = parseInt(process.env.ATTACHMENT_MAX_FILES || "5", 10);
+  return {
+    maxBytes: (Number.isFinite(maxSizeMb) && maxSizeMb > 0 ? maxSizeMb : 5) * 1024 * 1024,
+    maxFiles: Number.isNaN(maxFiles) || maxFiles <= 0 ? 5 : maxFiles,
+  };
+}
+
+// Ruang untuk field teks dan batas multipart di luar isi file
+const FORM_OVERHEAD_BYTES = 1024 * 1024;
+
+/**
+ * Largest multipart request body accepted for a submission or a revision
+ * Dicek dari header Content-Length sebelum request.formData() membaca seluruh
+ * body ke memori.
+ * @returns {number} Maximum request size in bytes
+ */
+function getMaxRequestBytes() {
+  const { maxBytes, maxFiles } = getAttachmentLimits();
+  return maxBytes * maxFiles + FORM_OVERHEAD_BYTES;
+}
+
+/**
+ * Check the Content-Length of a multipart request against getMaxRequestBytes
+ * Request tanpa Content-Length juga ditolak karena ukurannya tidak diketahui.
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Error message, or null if the size is acceptable
+ */
+function checkRequestSize(request) {
+  const contentLength = Number(request.headers.get("content-length"));
+  const maxRequestBytes = getMaxRequestBytes();
+  if (!contentLength || contentLength > maxRequestBytes) {
+    return `Total ukuran lampiran maksimal ${Math.floor(maxRequestBytes / 1024 / 1024)} MB`;
+  }
+  return null;
+}
+
+/**
+ * Check that the file contents match the declared MIME type
+ * @param {Buffer} data - File contents
+ * @param {string} mimeType - Declared MIME type
+ * @returns {boolean} True if a known signature matches
+ */
+function matchesSignature(data, mimeType) {
+  const type = ALLOWED_ATTACHMENT_TYPES[mimeType];
+  return type.signatures.some((signature) =>
+    signature.every((byte, index) => data[index] === byte)
+  );
+}
+
+/**
+ * Keep only a safe display name (no path, no control characters)
+ * @param {string} name - Original file name from the browser
+ * @returns {string} Sanitized name
+ */
+function sanitizeFileName(name) {
+  const base = String(name || "lampiran").split(/[\\/]/).pop();
+  const cleaned = base.replace(/[\x00-\x1f\x7f"]/g, "").trim();
+  return (cleaned || "lampiran").slice(0, 200);
+}
+
+/**
+ * Validate uploaded files and read them into memory
+ * @param {Array<File>} files - Files from request.formData()
+ * @returns {Promise<Object>} { attachments, error } where attachments are
+ *   { original_name, mime_type, size_bytes, data } ready for storeAttachments
+ */
+async function prepareAttachments(files) {
+  const { maxBytes, maxFiles } = getAttachmentLimits();
+  const uploads = (files || []).filter((file) => file && typeof file === "object" && file.size > 0);
+
+  if (uploads.length > maxFiles) {
+    return { attachments: [], error: `Maksimal ${maxFiles} lampiran` };
+  }
+
+  const attachments = [];
+  for (const file of uploads) {
+    const name = sanitizeFileName(file.name);
+
+    if (!ALLOWED_ATTACHMENT_TYPES[file.type]) {
+      return {
+        attachments: [],
+        error: `${name}: hanya file PDF, JPG, atau PNG yang diterima`,
+      };
+    }
+
+    if (file.size > maxBytes) {
+      return {
+        attachments: [],
+        error: `${name}: ukuran file maksimal ${Math.round(maxBytes / 1024 / 1024)} MB`,
+      };
+    }
+
+    const data = Buffer.from(await file.arrayBuffer());
+    if (!matchesSignature(data, file.type)) {
+      return {
+        attachments: [],
+        error: `${name}: isi file tidak sesuai dengan tipenya`,
+      };
+    }
+
+    attachments.push({
+      original_name: name,
+      mime_type: file.type,
+      size_bytes: data.length,
+      data,
+    });
+  }
+
+  return { attachments, error: null };
+}
+
+/**
+ * Write prepared attachments to storage and create their records
+ * Jika salah satu gagal, file yang sudah ditulis dihapus lagi dan error
+ * dilempar ulang supaya transaksi pemanggil di-rollback.
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} submission - Submission the files belong to
+ * @param {Array} attachments - Result of prepareAttachments
+ * @param {Object} [options] - Sequelize options, e.g. { transaction }
+ * @returns {Promise<Array>} Created Attachment records
+ */
+async function storeAttachments(db, submission, attachments, options = {}) {
+  const storage = getStorage();
+  const writtenKeys = [];
+  const records = [];
+
+  try {
+    for (const attachment of attachments) {
+      const extension = ALLOWED_ATTACHMENT_TYPES[attachment.mime_type].extension;
+      const storageKey = `submissions/${submission.id}/${crypto.randomUUID()}.${extension}`;
+
+      await storage.put(storageKey, attachment.data, {
+        contentType: attachment.mime_type,
+      });
+      writtenKeys.push(storageKey);
+
+      records.push(
+        await db.Attachment.create(
+          {
+            submission_id: submission.id,
+            original_name: attachment.original_name,
+            mime_type: attachment.mime_type,
+            size_bytes: attachment.size_bytes,
+            storage_driver: storage.name,
+            storage_key: storageKey,
+          },
+          options
+        )
+      );
+    }
+  } catch (error) {
+    await removeStoredFiles(storage, writtenKeys);
+    throw error;
+  }
+
+  return records;
+}
+
+/**
+ * Delete files from storage, logging instead of throwing on failure
+ * @param {Object} storage - Storage backend
+ * @param {Array<string>} keys - Storage keys to delete
+ */
+async function removeStoredFiles(storage, keys) {
+  for (const key of keys) {
+    await storage.remove(key).catch((removeError) => {
+      console.error(`Failed to clean up attachment ${key}:`, removeError.message);
+    });
+  }
+}
+
+/**
+ * Delete the files of attachment records whose transaction was rolled back
+ * storeAttachments menulis file di dalam transaksi pemanggil; bila langkah
+ * sesudahnya gagal, record-nya ikut di-rollback tetapi file tetap ada.
+ * @param {Array<Object>} records - Result of storeAttachments
+ */
+async function removeAttachmentFiles(records) {
+  for (const record of records || []) {
+    await removeStoredFiles(getStorage(record.storage_driver), [record.storage_key]);
+  }
+}
+
+/**
+ * Attachment metadata for admin screens
+ * @param {Object} attachment - Attachment model instance
+ * @returns {Object} Attachment fields without the storage key
+ */
+function serializeAttachment(attachment) {
+  return {
+    id: attachment.id,
+    original_name: attachment.original_name,
+    mime_type: attachment.mime_type,
+    size_bytes: attachment.size_bytes,
+    created_at: attachment.created_at,
+  };
+}
+
+module.exports = {
+  ALLOWED_ATTACHMENT_TYPES,
+  getAttachmentLimits,
+  getMaxRequestBytes,
+  checkRequestSize,
+  prepareAttachments,
+  storeAttachments,
+  removeAttachmentFiles,
+  serializeAttachment,
+};
@@ -0,0 +1,121 @@
+/**
+ * Audit trail of admin actions
+ * Setiap tindakan penting (login, ubah status, ekspor, kelola admin) dicatat
+ * ke tabel audit_logs beserta pelaku, nilai sebelum/sesudah, IP dan user agent.
+ */
+
+const { getClientIp, getUserAgent } = require("./client-info");
+
+const AUDIT_ACTIONS = {
+  LOGIN_SUCCESS: "auth.login",
+  LOGIN_FAILED: "auth.login_failed",
+  LOGIN_2FA_FAILED: "auth.2fa_failed",
+  LOGOUT: "auth.logout",
+  PASSWORD_CHANGE: "auth.password_change",
+  PASSWORD_RESET_REQUEST: "auth.password_reset_request",
+  PASSWORD_RESET: "auth.password_reset",
+  TOTP_ENABLE: "auth.2fa_enable",
+  TOTP_DISABLE: "auth.2fa_disable",
+  SUBMISSION_STATUS_CHANGE: "submission.status_change",
+  SUBMISSION_EXPORT: "submission.export",
+  SUBMISSION_NOTE_ADD: "submission.note_add",
+  SUBMISSION_REVISION_SUBMIT: "submission.revision_submit",
+  REJECTION_REASON_CREATE: "rejection_reason.create",
+  REJECTION_REASON_UPDATE: "rejection_reason.update",
+  SERVICE_CREATE: "service.create",
+  SERVICE_UPDATE: "service.update",
+  ADMIN_CREATE: "admin.create",
+  ADMIN_UPDATE: "admin.update",
+  ADMIN_PASSWORD_RESET: "admin.password_reset",
+  LOCKOUT_CLEAR: "admin.lockout_clear",
+  NOTIFICATION_RETRY: "notification.retry",
+  NOTIFICATION_TEMPLATE_CREATE: "notification_template.create",
+  NOTIFICATION_TEMPLATE_UPDATE: "notification_template.update",
+};
+
+const AUDIT_ACTION_LABELS = {
+  [AUDIT_ACTIONS.LOGIN_SUCCESS]: "Login berhasil",
+  [AUDIT_ACTIONS.LOGIN_FAILED]: "Login gagal",
+  [AUDIT_ACTIONS.LOGIN_2FA_FAILED]: "Kode 2FA salah",
+  [AUDIT_ACTIONS.LOGOUT]: "Logout",
+  [AUDIT_ACTIONS.PASSWORD_CHANGE]: "Ubah password",
+  [AUDIT_ACTIONS.PASSWORD_RESET_REQUEST]: "Minta reset password",
+  [AUDIT_ACTIONS.PASSWORD_RESET]: "Reset password via email",
+  [AUDIT_ACTIONS.TOTP_ENABLE]: "Aktifkan 2FA",
+  [AUDIT_ACTIONS.TOTP_DISABLE]: "Nonaktifkan 2FA",
+  [AUDIT_ACTIONS.SUBMISSION_STATUS_CHANGE]: "Ubah status pengajuan",
+  [AUDIT_ACTIONS.SUBMISSION_EXPORT]: "Ekspor pengajuan",
+  [AUDIT_ACTIONS.SUBMISSION_NOTE_ADD]: "Tambah catatan internal",
+  [AUDIT_ACTIONS.SUBMISSION_REVISION_SUBMIT]: "Kelengkapan dikirim pemohon",
+  [AUDIT_ACTIONS.REJECTION_REASON_CREATE]: "Tambah alasan penolakan",
+  [AUDIT_ACTIONS.REJECTION_REASON_UPDATE]: "Ubah alasan penolakan",
+  [AUDIT_ACTIONS.SERVICE_CREATE]: "Tambah layanan",
+  [AUDIT_ACTIONS.SERVICE_UPDATE]: "Ubah layanan",
+  [AUDIT_ACTIONS.ADMIN_CREATE]: "Tambah admin",
+  [AUDIT_ACTIONS.ADMIN_UPDATE]: "Ubah admin",
+  [AUDIT_ACTIONS.ADMIN_PASSWORD_RESET]: "Reset password admin",
+  [AUDIT_ACTIONS.LOCKOUT_CLEAR]: "Buka kunci login",
+  [AUDIT_ACTIONS.NOTIFICATION_RETRY]: "Kirim ulang notifikasi",
+  [AUDIT_ACTIONS.NOTIFICATION_TEMPLATE_CREATE]: "Tambah template notifikasi",
+  [AUDIT_ACTIONS.NOTIFICATION_TEMPLATE_UPDATE]: "Ubah template notifikasi",
+};
+
+/**
+ * Record an audit log entry
+ * Gagal mencatat audit tidak boleh menggagalkan tindakan utamanya, jadi error
+ * hanya ditulis ke log server.
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} entry - Audit entry
+ * @param {Object} [entry.actor] - Admin who performed the action
+ * @param {string} [entry.actorLabel] - Actor name when there is no admin
+ *   record (e.g. the username typed in a failed login)
+ * @param {string} entry.action - Action from AUDIT_ACTIONS
+ * @param {string} [entry.entityType] - Affected entity type (e.g. "submission")
+ * @param {string} [entry.entityId] - Affected entity ID
+ * @param {Object} [entry.before] - Values before the change
+ * @param {Object} [entry.after] - Values after the change
+ * @param {Request} [entry.request] - Incoming request (for IP and user agent)
+ * @param {Object} [options] - Sequelize options, e.g. { transaction }
+ * @returns {Promise<Object|null>} Created AuditLog, or null on failure
+ */
+async function recordAudit(
+  db,
+  { actor = null, actorLabel = null, action, entityType = null, entityId = null, before = null, after = null, request = null },
+  options = {}
+) {
+  try {
+    return await db.AuditLog.create(
+      {
+        actor_id: actor ? actor.id : null,
+        actor_username: actor ? actor.username : actorLabel,
+        action,
+        entity_type: entityType,
+        entity_id: entityId ? String(entityId) : null,
+        before,
+        after,
+        ip_address: request ? getClientIp(request) : null,
+        user_agent: request ? getUserAgent(request) : null,
+      },
+      options
+    );
+  } catch (error) {
+    console.error(`Failed to record audit log (${action}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get human-readable audit action name
+ * @param {string} action - Action code
+ * @returns {string} Human-readable action
+ */
+function getAuditActionText(action) {
+  return AUDIT_ACTION_LABELS[action] || action;
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ACTION_LABELS,
+  recordAudit,
+  getAuditActionText,
+};
@@ -0,0 +1,113 @@
+/**
+ * Helpers for admin account management
+ */
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { Sequelize } = require("sequelize");
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a plain-text password with bcrypt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Bcrypt hash
+ */
+async function hashPassword(password) {
+  return await bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Validate a new password against the minimum policy
+ * @param {string} password - Plain-text password
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePassword(password) {
+  if (!password || typeof password !== "string") {
+    return "Password wajib diisi";
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password minimal ${MIN_PASSWORD_LENGTH} karakter`;
+  }
+
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return "Password harus mengandung huruf dan angka";
+  }
+
+  return null;
+}
+
+/**
+ * Generate a random temporary password for new or reset accounts
+ * @returns {string} Temporary password
+ */
+function generateTemporaryPassword() {
+  // Base64url tanpa karakter yang membingungkan, ditambah angka agar lolos validasi
+  const random = crypto.randomBytes(9).toString("base64url").replace(/[-_]/g, "x");
+  return `${random}${crypto.randomInt(10, 99)}`;
+}
+
+/**
+ * Normalize an email address the way it is stored
+ * @param {string} email - Email typed by the user
+ * @returns {string} Trimmed, lowercased email
+ */
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+/**
+ * Where clause matching an admin email regardless of letter case
+ * Akun lama bisa tersimpan dengan huruf besar, jadi kolomnya ikut di-lowercase.
+ * @param {string} email - Email typed by the user
+ * @returns {Object} Sequelize where condition
+ */
+function emailMatches(email) {
+  return Sequelize.where(
+    Sequelize.fn("lower", Sequelize.col("email")),
+    normalizeEmail(email)
+  );
+}
+
+/**
+ * Find an admin by email, ignoring letter case
+ * Dipakai login dan lupa password supaya keduanya mencocokkan email dengan
+ * cara yang sama.
+ * @param {Object} Admin - Admin model
+ * @param {string} email - Email typed by the user
+ * @returns {Promise<Object|null>} Admin, or null if not found
+ */
+async function findAdminByEmail(Admin, email) {
+  return await Admin.findOne({ where: emailMatches(email) });
+}
+
+/**
+ * Convert an Admin instance into a response-safe object (without password)
+ * @param {Object} admin - Admin model instance
+ * @returns {Object} Public admin fields
+ */
+function serializeAdmin(admin) {
+  return {
+    id: admin.id,
+    username: admin.username,
+    email: admin.email,
+    role: admin.role,
+    is_active: admin.is_active,
+    totp_enabled: admin.totp_enabled,
+    created_at: admin.created_at,
+    updated_at: admin.updated_at,
+  };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  validatePassword,
+  generateTemporaryPassword,
+  normalizeEmail,
+  emailMatches,
+  findAdminByEmail,
+  serializeAdmin,
+};
@@ -0,0 +1,72 @@
+/**
+ * Authentication guard for /api/admin/* route handlers
+ */
+
+const { NextResponse } = require("next/server");
+const { getVercelDatabase } = require("../vercel-init-db");
+const { getSessionFromRequest } = require("./session");
+const { hasPermission } = require("./roles");
+const { isTotpRequired } = require("./totp");
+
+/**
+ * Wrap an admin route handler so it only runs for a logged-in admin.
+ * The acting admin and session are passed to the handler through the
+ * second argument, next to the route params.
+ * @param {Function} handler - Route handler (request, { params, admin, session })
+ * @param {Object} [options] - Guard options
+ * @param {string} [options.permission] - Permission the admin's role must have
+ * @param {boolean} [options.allowWithoutMfa] - Let admins who still have to
+ *   enroll in two-factor authentication through (enrollment routes only)
+ * @returns {Function} Guarded route handler
+ */
+function withAdminAuth(handler, { permission, allowWithoutMfa = false } = {}) {
+  return async function guardedHandler(request, context = {}) {
+    let current;
+
+    try {
+      const db = await getVercelDatabase(process.env.DATABASE_URL);
+      current = await getSessionFromRequest(db, request);
+    } catch (error) {
+      console.error("Error verifying admin session:", error);
+      return NextResponse.json(
+        { message: "Terjadi kesalahan internal server" },
+        { status: 500 }
+      );
+    }
+
+    if (!current) {
+      return NextResponse.json(
+        { message: "Sesi tidak valid atau sudah berakhir, silakan login kembali" },
+        { status: 401 }
+      );
+    }
+
+    // Saat 2FA diwajibkan, admin yang belum mendaftar hanya boleh ke halaman enrollment
+    if (isTotpRequired() && !current.admin.totp_enabled && !allowWithoutMfa) {
+      return NextResponse.json(
+        {
+          message: "Aktifkan autentikasi dua faktor terlebih dahulu",
+          code: "MFA_ENROLLMENT_REQUIRED",
+        },
+        { status: 403 }
+      );
+    }
+
+    if (permission && !hasPermission(current.admin.role, permission)) {
+      return NextResponse.json(
+        { message: "Anda tidak memiliki akses untuk tindakan ini" },
+        { status: 403 }
+      );
+    }
+
+    return handler(request, {
+      ...context,
+      admin: current.admin,
+      session: current.session,
+    });
+  };
+}
+
+module.exports = {
+  withAdminAuth,
+};
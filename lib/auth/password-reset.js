@@ -0,0 +1,128 @@
+/**
+ * One-time password reset links for the "lupa password" flow
+ * Hanya hash token yang disimpan; token asli hanya ada di link email.
+ */
+
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { hashToken } = require("./session");
+const { getClientIp } = require("../client-info");
+const { NOTIFICATION_EVENTS } = require("../notify/channels");
+const { dispatchNotification } = require("../notify/dispatcher");
+const { buildPasswordResetEmail } = require("../notify/messages");
+
+// Jeda minimum antar permintaan reset untuk akun yang sama
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Get reset link lifetime in minutes
+ * @returns {number} Lifetime in minutes
+ */
+function getResetTokenTtlMinutes() {
+  const minutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || "30", 10);
+  return Number.isNaN(minutes) || minutes <= 0 ? 30 : minutes;
+}
+
+/**
+ * Create a reset token for an admin, invalidating any older unused ones
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} admin - Admin model instance
+ * @param {Request} request - Incoming "forgot password" request
+ * @returns {Promise<Object|null>} Raw token and expiry, or null if a link was
+ *   requested too recently
+ */
+async function createPasswordResetToken(db, admin, request) {
+  const { PasswordResetToken } = db;
+
+  const recent = await PasswordResetToken.findOne({
+    where: {
+      admin_id: admin.id,
+      used_at: null,
+      created_at: { [Op.gt]: new Date(Date.now() - RESEND_COOLDOWN_MS) },
+    },
+  });
+  if (recent) {
+    return null;
+  }
+
+  // Hanya link terbaru yang berlaku
+  await PasswordResetToken.update(
+    { used_at: new Date() },
+    { where: { admin_id: admin.id, used_at: null } }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + getResetTokenTtlMinutes() * 60 * 1000);
+
+  await PasswordResetToken.create({
+    admin_id: admin.id,
+    token_hash: hashToken(token),
+    expires_at: expiresAt,
+    ip_address: getClientIp(request),
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Find the unused, unexpired reset token matching a raw token
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {string} token - Raw token from the reset link
+ * @returns {Promise<Object|null>} Reset token with its Admin, or null
+ */
+async function findValidResetToken(db, token) {
+  const { PasswordResetToken, Admin } = db;
+
+  if (!token || typeof token !== "string") {
+    return null;
+  }
+
+  const resetToken = await PasswordResetToken.findOne({
+    where: {
+      token_hash: hashToken(token),
+      used_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+    include: [{ model: Admin }],
+  });
+
+  if (!resetToken || !resetToken.Admin || !resetToken.Admin.is_active) {
+    return null;
+  }
+
+  return resetToken;
+}
+
+/**
+ * Build the public URL of the reset page for a token
+ * @param {string} token - Raw reset token
+ * @returns {string} Reset link
+ */
+function buildResetUrl(token) {
+  return `${process.env.APP_BASE_URL}/admin/reset-password?token=${token}`;
+}
+
+/**
+ * Send a password reset link to an admin
+ * Lewat dispatcher seperti notifikasi lain, jadi EMAIL_PROVIDER=mock juga
+ * berlaku dan email-nya muncul di /dev/messages.
+ * @param {Object} admin - Admin object (username, email)
+ * @param {string} resetUrl - One-time reset link
+ * @param {number} expiresInMinutes - Link lifetime in minutes
+ * @returns {Promise<Object>} Result of sending email
+ */
+async function sendPasswordResetEmail(admin, resetUrl, expiresInMinutes) {
+  return await dispatchNotification("EMAIL", {
+    event: NOTIFICATION_EVENTS.PASSWORD_RESET,
+    to: admin.email,
+    content: buildPasswordResetEmail(admin, resetUrl, expiresInMinutes),
+  });
+}
+
+module.exports = {
+  getResetTokenTtlMinutes,
+  createPasswordResetToken,
+  findValidResetToken,
+  buildResetUrl,
+  sendPasswordResetEmail,
+};
@@ -0,0 +1,86 @@
+/**
+ * Roles and permissions for admin accounts
+ * Dipakai di server (route handler) dan di client (dashboard) supaya aturan
+ * yang ditampilkan di UI sama dengan yang ditegakkan oleh API.
+ */
+
+const ROLES = {
+  FRONT_DESK: "FRONT_DESK",
+  VERIFIER: "VERIFIER",
+  SUPERADMIN: "SUPERADMIN",
+};
+
+const ROLE_LABELS = {
+  FRONT_DESK: "Petugas Loket",
+  VERIFIER: "Verifikator",
+  SUPERADMIN: "Superadmin",
+};
+
+const PERMISSIONS = {
+  VIEW_SUBMISSIONS: "submissions:view",
+  EXPORT_SUBMISSIONS: "submissions:export",
+  SET_STATUS_PENGAJUAN_BARU: "submissions:status:PENGAJUAN_BARU",
+  SET_STATUS_DIPROSES: "submissions:status:DIPROSES",
+  SET_STATUS_PERLU_KELENGKAPAN: "submissions:status:PERLU_KELENGKAPAN",
+  SET_STATUS_SELESAI: "submissions:status:SELESAI",
+  SET_STATUS_DITOLAK: "submissions:status:DITOLAK",
+  MANAGE_ADMINS: "admins:manage",
+  VIEW_AUDIT_LOG: "audit:view",
+  MANAGE_REJECTION_REASONS: "rejection-reasons:manage",
+  MANAGE_SERVICES: "services:manage",
+  MANAGE_NOTIFICATIONS: "notifications:manage",
+};
+
+const ROLE_PERMISSIONS = {
+  // Petugas loket hanya boleh memindahkan pengajuan ke DIPROSES
+  FRONT_DESK: [PERMISSIONS.VIEW_SUBMISSIONS, PERMISSIONS.SET_STATUS_DIPROSES],
+  // Verifikator boleh menyetujui (SELESAI), menolak (DITOLAK), atau meminta
+  // kelengkapan
+  VERIFIER: [
+    PERMISSIONS.VIEW_SUBMISSIONS,
+    PERMISSIONS.SET_STATUS_PERLU_KELENGKAPAN,
+    PERMISSIONS.SET_STATUS_SELESAI,
+    PERMISSIONS.SET_STATUS_DITOLAK,
+  ],
+  // Superadmin boleh semuanya, termasuk mengelola admin lain
+  SUPERADMIN: Object.values(PERMISSIONS),
+};
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - Admin role
+ * @param {string} permission - Permission from PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Check whether a role may move a submission to a status
+ * @param {string} role - Admin role
+ * @param {string} status - Target submission status
+ * @returns {boolean} True if allowed
+ */
+function canSetStatus(role, status) {
+  return hasPermission(role, `submissions:status:${status}`);
+}
+
+/**
+ * Get human-readable role name
+ * @param {string} role - Role code
+ * @returns {string} Human-readable role
+ */
+function getRoleText(role) {
+  return ROLE_LABELS[role] || role;
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  canSetStatus,
+  getRoleText,
+};
@@ -0,0 +1,188 @@
+/**
+ * Server-side admin sessions
+ * Sesi disimpan di tabel admin_sessions, browser hanya menyimpan token acak
+ * di cookie HttpOnly sehingga tidak bisa dibaca atau dipalsukan dari JavaScript.
+ */
+
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { getClientIp, getUserAgent } = require("../client-info");
+
+const SESSION_COOKIE_NAME = "admin_session";
+
+// Sesi setengah jadi (password benar, kode 2FA belum dimasukkan)
+const MFA_PENDING_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Get session lifetime in milliseconds
+ * @returns {number} Session lifetime
+ */
+function getSessionTtlMs() {
+  const hours = parseInt(process.env.ADMIN_SESSION_TTL_HOURS || "8", 10);
+  return (Number.isNaN(hours) || hours <= 0 ? 8 : hours) * 60 * 60 * 1000;
+}
+
+/**
+ * Hash a session token before it is stored or looked up
+ * @param {string} token - Raw session token from the cookie
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Create a new session for an admin
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} admin - Admin model instance
+ * @param {Request} request - Incoming login request
+ * @param {Object} [options] - Session options
+ * @param {boolean} [options.mfaPending] - Create a short-lived session that
+ *   only allows the two-factor verification step
+ * @returns {Promise<Object>} Raw token and the created session
+ */
+async function createSession(db, admin, request, { mfaPending = false } = {}) {
+  const { AdminSession } = db;
+
+  // Buang sesi yang sudah kedaluwarsa agar tabel tidak terus membesar
+  await AdminSession.destroy({
+    where: { expires_at: { [Op.lt]: new Date() } },
+  });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const session = await AdminSession.create({
+    admin_id: admin.id,
+    token_hash: hashToken(token),
+    expires_at: new Date(
+      Date.now() + (mfaPending ? MFA_PENDING_TTL_MS : getSessionTtlMs())
+    ),
+    mfa_pending: mfaPending,
+    ip_address: getClientIp(request),
+    user_agent: getUserAgent(request),
+  });
+
+  return { token, session };
+}
+
+/**
+ * Resolve the active session and admin for a request
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Request} request - Incoming request carrying the session cookie
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.mfaPending] - Look up a session that is still
+ *   waiting for its two-factor code instead of a fully logged-in one
+ * @returns {Promise<Object|null>} Session and admin, or null if not logged in
+ */
+async function getSessionFromRequest(db, request, { mfaPending = false } = {}) {
+  const { AdminSession, Admin } = db;
+
+  const token = request.cookies.get(SESSION_COOKIE_NAME)?.value;
+  if (!token) {
+    return null;
+  }
+
+  const session = await AdminSession.findOne({
+    where: {
+      token_hash: hashToken(token),
+      revoked_at: null,
+      mfa_pending: mfaPending,
+      expires_at: { [Op.gt]: new Date() },
+    },
+    include: [{ model: Admin }],
+  });
+
+  if (!session || !session.Admin || !session.Admin.is_active) {
+    return null;
+  }
+
+  return { session, admin: session.Admin };
+}
+
+/**
+ * Revoke the session attached to a request
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Request} request - Incoming request carrying the session cookie
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+async function revokeSession(db, request) {
+  const { AdminSession } = db;
+
+  const token = request.cookies.get(SESSION_COOKIE_NAME)?.value;
+  if (!token) {
+    return false;
+  }
+
+  const [updatedCount] = await AdminSession.update(
+    { revoked_at: new Date() },
+    { where: { token_hash: hashToken(token), revoked_at: null } }
+  );
+
+  return updatedCount > 0;
+}
+
+/**
+ * Revoke every active session of an admin, e.g. after deactivation or a
+ * password reset
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {string} adminId - Admin ID
+ * @param {Object} [options] - Revoke options
+ * @param {string} [options.exceptSessionId] - Keep this session logged in
+ *   (the one that just changed its own password)
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+async function revokeAllSessions(db, adminId, { exceptSessionId = null } = {}) {
+  const { AdminSession } = db;
+
+  const where = { admin_id: adminId, revoked_at: null };
+  if (exceptSessionId) {
+    where.id = { [Op.ne]: exceptSessionId };
+  }
+
+  const [updatedCount] = await AdminSession.update(
+    { revoked_at: new Date() },
+    { where }
+  );
+
+  return updatedCount;
+}
+
+/**
+ * Set the session cookie on a response
+ * @param {NextResponse} response - Outgoing response
+ * @param {string} token - Raw session token
+ * @param {Date} expiresAt - Session expiry
+ */
+function setSessionCookie(response, token, expiresAt) {
+  response.cookies.set(SESSION_COOKIE_NAME, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    path: "/",
+    expires: expiresAt,
+  });
+}
+
+/**
+ * Remove the session cookie from the browser
+ * @param {NextResponse} response - Outgoing response
+ */
+function clearSessionCookie(response) {
+  response.cookies.set(SESSION_COOKIE_NAME, "", {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    path: "/",
+    maxAge: 0,
+  });
+}
+
+module.exports = {
+  SESSION_COOKIE_NAME,
+  hashToken,
+  createSession,
+  getSessionFromRequest,
+  revokeSession,
+  revokeAllSessions,
+  setSessionCookie,
+  clearSessionCookie,
+};
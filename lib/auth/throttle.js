@@ -0,0 +1,304 @@
+/**
+ * Login brute-force protection
+ * Percobaan login gagal dicatat per akun dan per IP di tabel login_throttles,
+ * sehingga batasan tetap berlaku walaupun request ditangani instance
+ * serverless yang berbeda. Tebakan NIK di halaman kelengkapan memakai scope
+ * sendiri (THROTTLE_TARGETS.REVISION), jadi pemohon di IP/NAT yang sama tidak
+ * bisa mengunci login admin.
+ */
+
+const crypto = require("crypto");
+const { Op, QueryTypes } = require("sequelize");
+
+const SCOPES = {
+  ACCOUNT: "ACCOUNT",
+  IP: "IP",
+  REVISION: "REVISION",
+  REVISION_IP: "REVISION_IP",
+};
+
+// Pasangan scope (per kunci dan per IP) untuk tiap jenis percobaan
+const THROTTLE_TARGETS = {
+  LOGIN: { account: SCOPES.ACCOUNT, ip: SCOPES.IP },
+  REVISION: { account: SCOPES.REVISION, ip: SCOPES.REVISION_IP },
+};
+
+/**
+ * Read an integer setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+function getIntSetting(name, fallback) {
+  const value = parseInt(process.env[name] || "", 10);
+  return Number.isNaN(value) || value <= 0 ? fallback : value;
+}
+
+/**
+ * Get the current throttle policy
+ * @returns {Object} Failure limits and lockout duration
+ */
+function getPolicy() {
+  const lockoutMinutes = getIntSetting("LOGIN_LOCKOUT_MINUTES", 15);
+  return {
+    maxAccountFailures: getIntSetting("LOGIN_MAX_FAILURES", 5),
+    maxIpFailures: getIntSetting("LOGIN_IP_MAX_FAILURES", 20),
+    lockoutMs: lockoutMinutes * 60 * 1000,
+  };
+}
+
+/**
+ * Delay required before the next attempt after a number of failures.
+ * Doubles on every failure: 1s, 2s, 4s, ... capped at 30s.
+ * @param {number} failedCount - Consecutive failed attempts
+ * @returns {number} Delay in milliseconds
+ */
+function getProgressiveDelayMs(failedCount) {
+  if (failedCount <= 0) return 0;
+  return Math.min(1000 * 2 ** (failedCount - 1), 30000);
+}
+
+/**
+ * Normalize the account key so "Admin@X" and "admin@x " share a counter
+ * @param {string} username - Submitted username/email
+ * @returns {string} Throttle key
+ */
+function normalizeAccountKey(username) {
+  return String(username).trim().toLowerCase();
+}
+
+/**
+ * Check whether a throttle row has gone stale and should start from zero
+ * @param {Object} row - LoginThrottle instance
+ * @param {Date} now - Current time
+ * @param {number} windowMs - Failure counting window
+ * @returns {boolean} True if the counter should be reset
+ */
+function isStale(row, now, windowMs) {
+  if (row.locked_until) {
+    return row.locked_until <= now;
+  }
+  return !row.last_failed_at || now - row.last_failed_at > windowMs;
+}
+
+/**
+ * Find the throttle rows that apply to a login attempt
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} params - Attempt identifiers
+ * @param {string} params.username - Submitted username/email
+ * @param {string|null} params.ip - Client IP address
+ * @param {Object} params.scopes - Entry of THROTTLE_TARGETS
+ * @returns {Promise<Array<Object>>} Matching LoginThrottle rows
+ */
+async function findThrottleRows(db, { username, ip, scopes }) {
+  const { LoginThrottle } = db;
+
+  const keys = [{ scope: scopes.account, throttle_key: normalizeAccountKey(username) }];
+  if (ip) {
+    keys.push({ scope: scopes.ip, throttle_key: ip });
+  }
+
+  const rows = await Promise.all(keys.map((where) => LoginThrottle.findOne({ where })));
+  return rows.filter(Boolean);
+}
+
+/**
+ * Check whether a login attempt may proceed to the password check
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} params - Attempt identifiers
+ * @param {string} params.username - Submitted username/email
+ * @param {string|null} params.ip - Client IP address
+ * @param {Object} [params.target] - Entry of THROTTLE_TARGETS (default LOGIN)
+ * @returns {Promise<Object>} { allowed, reason, retryAfterSeconds }
+ */
+async function checkLoginThrottle(db, { username, ip, target = THROTTLE_TARGETS.LOGIN }) {
+  const { lockoutMs } = getPolicy();
+  const now = new Date();
+  const rows = await findThrottleRows(db, { username, ip, scopes: target });
+
+  for (const row of rows) {
+    if (row.locked_until && row.locked_until > now) {
+      return {
+        allowed: false,
+        reason: "LOCKED",
+        retryAfterSeconds: Math.ceil((row.locked_until - now) / 1000),
+      };
+    }
+
+    // Jeda bertahap hanya untuk akun, agar satu NAT kantor tidak saling memperlambat
+    if (row.scope === target.account && !isStale(row, now, lockoutMs)) {
+      const nextAllowedAt =
+        row.last_failed_at.getTime() + getProgressiveDelayMs(row.failed_count);
+      if (nextAllowedAt > now.getTime()) {
+        return {
+          allowed: false,
+          reason: "TOO_FAST",
+          retryAfterSeconds: Math.ceil((nextAllowedAt - now.getTime()) / 1000),
+        };
+      }
+    }
+  }
+
+  return { allowed: true, reason: null, retryAfterSeconds: 0 };
+}
+
+/**
+ * Register one failed attempt for a scope/key, locking it when the limit is hit
+ * Penghitung dinaikkan dalam satu statement (INSERT ... ON CONFLICT), jadi
+ * tebakan yang dikirim bersamaan tetap terhitung semua dan baris baru untuk
+ * key yang sama tidak bentrok. Aturan "stale" sama dengan isStale().
+ * @param {Object} sequelize - Sequelize instance
+ * @param {string} scope - Value of SCOPES
+ * @param {string} key - Account key or IP address
+ * @param {number} maxFailures - Failures before lockout
+ * @returns {Promise<Object>} Updated row ({ failed_count, locked_until, ... })
+ */
+async function registerFailure(sequelize, scope, key, maxFailures) {
+  const { lockoutMs } = getPolicy();
+  const now = new Date();
+
+  const stale = `(
+    (login_throttles.locked_until IS NOT NULL AND login_throttles.locked_until <= :now)
+    OR (login_throttles.locked_until IS NULL
+      AND (login_throttles.last_failed_at IS NULL OR login_throttles.last_failed_at < :windowStart))
+  )`;
+  const nextCount = `CASE WHEN ${stale} THEN 1 ELSE login_throttles.failed_count + 1 END`;
+
+  const [row] = await sequelize.query(
+    `INSERT INTO login_throttles
+       (id, scope, throttle_key, failed_count, last_failed_at, locked_until, created_at, updated_at)
+     VALUES
+       (:id, :scope, :key, 1, :now, CASE WHEN 1 >= :maxFailures THEN CAST(:lockedUntil AS TIMESTAMPTZ) END, :now, :now)
+     ON CONFLICT (scope, throttle_key) DO UPDATE SET
+       failed_count = ${nextCount},
+       locked_until = CASE
+         WHEN ${nextCount} >= :maxFailures THEN CAST(:lockedUntil AS TIMESTAMPTZ)
+         WHEN ${stale} THEN NULL
+         ELSE login_throttles.locked_until
+       END,
+       last_failed_at = :now,
+       updated_at = :now
+     RETURNING *`,
+    {
+      replacements: {
+        id: crypto.randomUUID(),
+        scope,
+        key,
+        now,
+        windowStart: new Date(now.getTime() - lockoutMs),
+        maxFailures,
+        lockedUntil: new Date(now.getTime() + lockoutMs),
+      },
+      type: QueryTypes.SELECT,
+    }
+  );
+
+  return row;
+}
+
+/**
+ * Record a failed login attempt for both the account and the client IP
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} params - Attempt identifiers
+ * @param {string} params.username - Submitted username/email
+ * @param {string|null} params.ip - Client IP address
+ * @param {Object} [params.target] - Entry of THROTTLE_TARGETS (default LOGIN)
+ * @returns {Promise<Object>} { locked, retryAfterSeconds } after this failure
+ */
+async function recordLoginFailure(db, { username, ip, target = THROTTLE_TARGETS.LOGIN }) {
+  const { sequelize } = db;
+  const { maxAccountFailures, maxIpFailures } = getPolicy();
+
+  const updates = [
+    registerFailure(
+      sequelize,
+      target.account,
+      normalizeAccountKey(username),
+      maxAccountFailures
+    ),
+  ];
+  if (ip) {
+    updates.push(registerFailure(sequelize, target.ip, ip, maxIpFailures));
+  }
+
+  const rows = await Promise.all(updates);
+  const lockedRow = rows.find((row) => row.locked_until);
+
+  return {
+    locked: Boolean(lockedRow),
+    retryAfterSeconds: lockedRow
+      ? Math.ceil((new Date(lockedRow.locked_until) - Date.now()) / 1000)
+      : 0,
+  };
+}
+
+/**
+ * Clear the account counter after a successful login
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {string} username - Submitted username/email
+ * @param {Object} [target] - Entry of THROTTLE_TARGETS (default LOGIN)
+ */
+async function clearLoginFailures(db, username, target = THROTTLE_TARGETS.LOGIN) {
+  const { LoginThrottle } = db;
+
+  await LoginThrottle.destroy({
+    where: { scope: target.account, throttle_key: normalizeAccountKey(username) },
+  });
+}
+
+/**
+ * List admin login counters that are currently locked or still counting failures
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @returns {Promise<Array<Object>>} Active throttle entries
+ */
+async function listActiveThrottles(db) {
+  const { LoginThrottle } = db;
+  const { lockoutMs } = getPolicy();
+  const now = new Date();
+
+  const rows = await LoginThrottle.findAll({
+    where: {
+      scope: { [Op.in]: [SCOPES.ACCOUNT, SCOPES.IP] },
+      [Op.or]: [
+        { locked_until: { [Op.gt]: now } },
+        {
+          locked_until: null,
+          last_failed_at: { [Op.gt]: new Date(now.getTime() - lockoutMs) },
+        },
+      ],
+    },
+    order: [["last_failed_at", "DESC"]],
+  });
+
+  return rows.map((row) => ({
+    id: row.id,
+    scope: row.scope,
+    throttle_key: row.throttle_key,
+    failed_count: row.failed_count,
+    last_failed_at: row.last_failed_at,
+    locked_until: row.locked_until,
+    is_locked: Boolean(row.locked_until && row.locked_until > now),
+  }));
+}
+
+/**
+ * Format a retry delay for login error messages
+ * @param {number} seconds - Seconds until the next attempt is allowed
+ * @returns {string} Human-readable duration
+ */
+function formatRetryAfter(seconds) {
+  if (seconds < 60) {
+    return `${seconds} detik`;
+  }
+  return `${Math.ceil(seconds / 60)} menit`;
+}
+
+module.exports = {
+  SCOPES,
+  THROTTLE_TARGETS,
+  checkLoginThrottle,
+  recordLoginFailure,
+  clearLoginFailures,
+  listActiveThrottles,
+  formatRetryAfter,
+};
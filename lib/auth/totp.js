@@ -0,0 +1,252 @@
+/**
+ * TOTP two-factor authentication (RFC 6238) for admin accounts
+ * Kompatibel dengan Google Authenticator, Microsoft Authenticator, dll.
+ */
+
+const crypto = require("crypto");
+const { Sequelize } = require("sequelize");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Check whether every admin must use two-factor authentication
+ * @returns {boolean} True if ADMIN_2FA_REQUIRED is enabled
+ */
+function isTotpRequired() {
+  return process.env.ADMIN_2FA_REQUIRED === "true";
+}
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case-insensitive, padding optional)
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret (160 bit)
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+function generateTotpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the admin
+ * @param {number|null} lastUsedStep - Step of the last accepted code, to block replay
+ * @returns {number|null} Matched time step, or null if invalid
+ */
+function verifyTotpCode(secret, code, lastUsedStep = null) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateTotpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI shown as a QR code to authenticator apps
+ * @param {Object} params - URI parameters
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Admin email or username
+ * @param {string} [params.issuer] - Issuer shown in the app
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri({ secret, accountName, issuer = "Layanan Publik" }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+}
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Plain recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code).replace(/[\s-]/g, "").toLowerCase();
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+/**
+ * Generate one-time recovery codes
+ * @returns {Object} Plain codes (shown once) and their hashes (stored)
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Consume a recovery code if it matches one of the stored hashes
+ * @param {Array<string>} storedHashes - Remaining recovery code hashes
+ * @param {string} code - Code entered by the admin
+ * @returns {Array<string>|null} Remaining hashes, or null if the code is invalid
+ */
+function consumeRecoveryCode(storedHashes, code) {
+  const hash = hashRecoveryCode(code);
+  const hashes = Array.isArray(storedHashes) ? storedHashes : [];
+  if (!hashes.includes(hash)) {
+    return null;
+  }
+  return hashes.filter((stored) => stored !== hash);
+}
+
+/**
+ * Verify a TOTP or recovery code and mark it as used
+ * Penulisan bersyarat pada nilai lama: dari dua request bersamaan dengan kode
+ * yang sama, hanya satu yang mengubah baris, yang lain dianggap gagal.
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} admin - Admin with totp_secret and totp_recovery_codes
+ * @param {string} code - Code entered by the admin
+ * @returns {Promise<Object|null>} { method, recoveryCodesRemaining }, or null
+ *   if the code is invalid or was used by another request first
+ */
+async function consumeSecondFactor(db, admin, code) {
+  const { Admin } = db;
+
+  const step = verifyTotpCode(admin.totp_secret, code, admin.totp_last_used_step);
+  if (step !== null) {
+    const [updatedCount] = await Admin.update(
+      { totp_last_used_step: step },
+      { where: { id: admin.id, totp_last_used_step: admin.totp_last_used_step } }
+    );
+    return updatedCount > 0
+      ? { method: "totp", recoveryCodesRemaining: null }
+      : null;
+  }
+
+  const remaining = consumeRecoveryCode(admin.totp_recovery_codes, code);
+  if (!remaining) {
+    return null;
+  }
+
+  // Kolom JSON tidak punya operator "=", jadi dibandingkan sebagai teks
+  const [updatedCount] = await Admin.update(
+    { totp_recovery_codes: remaining },
+    {
+      where: {
+        id: admin.id,
+        [Sequelize.Op.and]: Sequelize.where(
+          Sequelize.cast(Sequelize.col("totp_recovery_codes"), "text"),
+          JSON.stringify(admin.totp_recovery_codes)
+        ),
+      },
+    }
+  );
+  return updatedCount > 0
+    ? { method: "recovery_code", recoveryCodesRemaining: remaining.length }
+    : null;
+}
+
+module.exports = {
+  isTotpRequired,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotpCode,
+  verifyTotpCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  consumeSecondFactor,
+};
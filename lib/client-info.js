@@ -0,0 +1,32 @@
+/**
+ * Helpers for reading client information from incoming requests
+ */
+
+/**
+ * Get the client IP address, honoring the proxy headers set by Vercel
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Client IP address
+ */
+function getClientIp(request) {
+  const forwardedFor = request.headers.get("x-forwarded-for");
+  if (forwardedFor) {
+    return forwardedFor.split(",")[0].trim();
+  }
+
+  return request.headers.get("x-real-ip") || request.ip || null;
+}
+
+/**
+ * Get the client user agent, truncated to fit the database column
+ * @param {Request} request - Incoming request
+ * @returns {string|null} User agent string
+ */
+function getUserAgent(request) {
+  const userAgent = request.headers.get("user-agent");
+  return userAgent ? userAgent.substring(0, 512) : null;
+}
+
+module.exports = {
+  getClientIp,
+  getUserAgent,
+};
@@ -0,0 +1,65 @@
+/**
+ * Notification channels and events
+ * Kanal menentukan ke mana pesan dikirim (nomor WA, email, ...); provider
+ * menentukan lewat layanan apa. Provider apa pun untuk sebuah kanal harus
+ * memenuhi bentuk di bawah ini supaya bisa dipilih lewat konfigurasi.
+ *
+ * Provider: {
+ *   name: string,              // mis. "sicuba"
+ *   channel: string,           // salah satu CHANNELS
+ *   events: Array<string>,     // NOTIFICATION_EVENTS yang bisa dikirim
+ *   send(message): Promise<{ success, messageId?, status?, error? }>
+ * }
+ * message: { event, to, submission, status, content }
+ * content: { subject, body } yang sudah dirender dari template (messages.js)
+ */
+
+const NOTIFICATION_EVENTS = {
+  SUBMISSION_CREATED: "submission_created",
+  STATUS_UPDATE: "status_update",
+  // Email ke admin, tanpa pengajuan (message.submission kosong)
+  PASSWORD_RESET: "password_reset",
+};
+
+const CHANNELS = {
+  WHATSAPP: {
+    label: "WhatsApp",
+    providerEnv: "WHATSAPP_PROVIDER",
+    defaultProvider: "sicuba",
+    getRecipient: (submission) => submission.no_wa,
+  },
+  EMAIL: {
+    label: "Email",
+    providerEnv: "EMAIL_PROVIDER",
+    defaultProvider: "resend",
+    getRecipient: (submission) => submission.email,
+  },
+};
+
+// Status pengiriman yang dilaporkan webhook provider
+const DELIVERY_STATUSES = ["SENT", "DELIVERED", "READ", "FAILED", "BOUNCED"];
+
+const DELIVERY_STATUS_LABELS = {
+  SENT: "Terkirim ke provider",
+  DELIVERED: "Diterima",
+  READ: "Dibaca",
+  FAILED: "Gagal Terkirim",
+  BOUNCED: "Ditolak Server Email",
+};
+
+/**
+ * Build the public status page link for a submission
+ * @param {string} trackingCode - Submission tracking code
+ * @returns {string} Absolute URL
+ */
+function buildTrackingUrl(trackingCode) {
+  return `${process.env.APP_BASE_URL}/public?tab=status&tracking_code=${trackingCode}`;
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  CHANNELS,
+  DELIVERY_STATUSES,
+  DELIVERY_STATUS_LABELS,
+  buildTrackingUrl,
+};
@@ -0,0 +1,137 @@
+/**
+ * Notification dispatcher
+ * Satu pintu untuk mengirim notifikasi. Provider tiap kanal dipilih lewat env
+ * (WHATSAPP_PROVIDER=sicuba|twilio|mock, EMAIL_PROVIDER=resend|mock) dan
+ * dimuat saat pertama dipakai, jadi kredensial provider yang tidak dipakai
+ * tidak perlu diisi. Kanal atau provider baru cukup didaftarkan di sini.
+ */
+
+const { CHANNELS } = require("./channels");
+const { renderDefaultContent } = require("./messages");
+
+// channel -> provider name -> loader
+const providerLoaders = {
+  WHATSAPP: {
+    sicuba: () => require("./sicuba").sicubaProvider,
+    twilio: () => require("./twilio").twilioProvider,
+    mock: () => require("./mock").createMockProvider("WHATSAPP"),
+  },
+  EMAIL: {
+    resend: () => require("./email").resendProvider,
+    mock: () => require("./mock").createMockProvider("EMAIL"),
+  },
+};
+
+const loadedProviders = new Map();
+
+/**
+ * Register a provider for a channel
+ * @param {string} channel - Key of CHANNELS
+ * @param {string} name - Provider name used in the channel's env variable
+ * @param {Function} loader - Returns the provider object (see channels.js)
+ */
+function registerProvider(channel, name, loader) {
+  if (!CHANNELS[channel]) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  providerLoaders[channel] = { ...providerLoaders[channel], [name]: loader };
+  loadedProviders.delete(`${channel}:${name}`);
+}
+
+/**
+ * Get the configured provider name of a channel
+ * @param {string} channel - Key of CHANNELS
+ * @returns {string} Provider name
+ */
+function getProviderName(channel) {
+  const { providerEnv, defaultProvider } = CHANNELS[channel];
+  return (process.env[providerEnv] || defaultProvider).toLowerCase();
+}
+
+/**
+ * Get the configured provider of a channel
+ * @param {string} channel - Key of CHANNELS
+ * @returns {Object} Provider object
+ */
+function getProvider(channel) {
+  if (!CHANNELS[channel]) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+
+  const name = getProviderName(channel);
+  const key = `${channel}:${name}`;
+  if (!loadedProviders.has(key)) {
+    const loader = providerLoaders[channel]?.[name];
+    if (!loader) {
+      throw new Error(
+        `Unknown ${CHANNELS[channel].providerEnv} "${name}". Available: ${Object.keys(
+          providerLoaders[channel] || {}
+        ).join(", ")}`
+      );
+    }
+    loadedProviders.set(key, loader());
+  }
+  return loadedProviders.get(key);
+}
+
+/**
+ * List the channels that should receive an event for a submission
+ * Kanal dilewati bila pemohon tidak punya alamatnya (mis. tanpa email) atau
+ * provider-nya tidak mengirim event tersebut. Dipanggil di dalam transaksi
+ * pengajuan, jadi tidak boleh melempar error: bila provider salah
+ * dikonfigurasi, kanal tetap diikutkan dan error-nya tercatat di baris outbox
+ * saat pesan dikirim.
+ * @param {Object} submission - Submission object
+ * @param {string} event - Key value of NOTIFICATION_EVENTS
+ * @returns {Array<Object>} [{ channel, to }]
+ */
+function getRecipients(submission, event) {
+  return Object.entries(CHANNELS)
+    .map(([channel, definition]) => ({ channel, to: definition.getRecipient(submission) }))
+    .filter(({ channel, to }) => {
+      if (!to) return false;
+      try {
+        return getProvider(channel).events.includes(event);
+      } catch (error) {
+        console.error(`Notification provider for ${channel} is not usable:`, error.message);
+        return true;
+      }
+    });
+}
+
+/**
+ * Send one notification through the configured provider of its channel
+ * Error dari provider dikembalikan sebagai { success: false } seperti hasil
+ * provider lainnya. Tanpa message.content, isi dirender dari template bawaan.
+ * @param {string} channel - Key of CHANNELS
+ * @param {Object} message - { event, to, submission, status, content? }
+ * @returns {Promise<Object>} { success, provider, messageId?, status?, error? }
+ */
+async function dispatchNotification(channel, message) {
+  let provider;
+  try {
+    provider = getProvider(channel);
+    if (!provider.events.includes(message.event)) {
+      return {
+        success: false,
+        provider: provider.name,
+        error: `Provider ${provider.name} does not send ${message.event}`,
+      };
+    }
+    const content =
+      message.content || renderDefaultContent({ channel, ...message });
+    const result = await provider.send({ ...message, content });
+    return { ...result, provider: provider.name };
+  } catch (error) {
+    console.error(`Error dispatching ${channel} notification:`, error);
+    return { success: false, provider: provider?.name || null, error: error.message };
+  }
+}
+
+module.exports = {
+  registerProvider,
+  getProviderName,
+  getProvider,
+  getRecipients,
+  dispatchNotification,
+};
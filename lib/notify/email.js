@@ -1,4 +1,6 @@
 const { Resend } = require("resend");
+const { NOTIFICATION_EVENTS } = require("./channels");
+const { renderDefaultContent } = require("./messages");
 
 // Initialize Resend client with SSL configuration
 const resend = new Resend(process.env.RESEND_API_KEY, {
@@ -70,60 +72,12 @@ async function sendStatusUpdateEmail(submission, newStatus) {
     };
   }
 
-  const statusText = getStatusText(newStatus);
-  const trackingUrl = `${process.env.APP_BASE_URL}/public?tab=status&tracking_code=${submission.tracking_code}`;
-
-  const subject = `Update Status Pengajuan - ${submission.tracking_code}`;
-
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <title>Update Status Pengajuan</title>
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background: #0ea5e9; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-        .content { background: #f9fafb; padding: 20px; border-radius: 0 0 8px 8px; }
-        .status { background: #e0f2fe; padding: 15px; border-radius: 8px; margin: 20px 0; }
-        .button { display: inline-block; background: #0ea5e9; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
-        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="header">
-          <h1>Update Status Pengajuan</h1>
-        </div>
-        <div class="content">
-          <p>Halo <strong>${submission.nama}</strong>,</p>
-          
-          <p>Status pengajuan layanan Anda telah diperbarui:</p>
-          
-          <div class="status">
-            <strong>Kode Tracking:</strong> ${submission.tracking_code}<br>
-            <strong>Jenis Layanan:</strong> ${submission.jenis_layanan}<br>
-            <strong>Status Baru:</strong> ${statusText}
-          </div>
-          
-          <p>Anda dapat mengecek status terbaru dengan mengklik tombol di bawah ini:</p>
-          
-          <a href="${trackingUrl}" class="button">Cek Status Pengajuan</a>
-          
-          <p>Atau kunjungi link berikut:</p>
-          <p><a href="${trackingUrl}">${trackingUrl}</a></p>
-          
-          <p>Terima kasih telah menggunakan layanan kami.</p>
-        </div>
-        <div class="footer">
-          <p>Email ini dikirim otomatis oleh sistem Layanan Publik Mobile</p>
-          <p>Jangan balas email ini karena tidak akan diproses</p>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
+  const { subject, body: html } = renderDefaultContent({
+    channel: "EMAIL",
+    event: NOTIFICATION_EVENTS.STATUS_UPDATE,
+    submission,
+    status: newStatus,
+  });
 
   return await sendEmail({
     to: submission.email,
@@ -132,27 +86,19 @@ async function sendStatusUpdateEmail(submission, newStatus) {
   });
 }
 
-/**
- * Get human-readable status text
- * @param {string} status - Status code
- * @returns {string} Human-readable status
- */
-function getStatusText(status) {
-  switch (status) {
-    case "PENGAJUAN_BARU":
-      return "Pengajuan Baru";
-    case "DIPROSES":
-      return "Sedang Diproses";
-    case "SELESAI":
-      return "Selesai";
-    case "DITOLAK":
-      return "Ditolak";
-    default:
-      return status;
-  }
-}
+// Email provider for lib/notify/dispatcher (EMAIL_PROVIDER=resend)
+// Pengajuan baru hanya dikabarkan lewat WhatsApp
+const resendProvider = {
+  name: "resend",
+  channel: "EMAIL",
+  events: [NOTIFICATION_EVENTS.STATUS_UPDATE, NOTIFICATION_EVENTS.PASSWORD_RESET],
+  async send({ to, content }) {
+    return await sendEmail({ to, subject: content.subject, html: content.body });
+  },
+};
 
 module.exports = {
+  resendProvider,
   sendEmail,
   sendStatusUpdateEmail,
 };
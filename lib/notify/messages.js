@@ -0,0 +1,171 @@
+/**
+ * Notification message content
+ * Teks WhatsApp dan email yang dikirim ke pemohon, dirender dari template di
+ * tabel notification_templates (lihat templates.js). Template khusus layanan
+ * dipakai lebih dulu, lalu template umum, lalu template bawaan.
+ * Dipisah dari provider supaya bisa dipakai ulang tanpa memuat klien
+ * Twilio/Resend. Email reset password admin juga disusun di sini.
+ */
+
+const { Op } = require("sequelize");
+const { buildRevisionUrl } = require("../submission-revision");
+const { getStatusText } = require("../submission-workflow");
+const { buildTrackingUrl } = require("./channels");
+const { renderTemplate, getDefaultTemplate, escapeHtml } = require("./templates");
+
+/**
+ * Build the template variables of a submission
+ * @param {Object} submission - Submission object
+ * @param {string} [status] - Status being announced (defaults to the current one)
+ * @param {string} [serviceName] - Display name of the service
+ * @returns {Object} Variables for renderTemplate
+ */
+function buildTemplateVariables(submission, status = submission.status, serviceName = null) {
+  const needsRevision = status === "PERLU_KELENGKAPAN";
+  return {
+    nama: submission.nama,
+    tracking_code: submission.tracking_code,
+    jenis_layanan: submission.jenis_layanan,
+    layanan: serviceName || submission.jenis_layanan,
+    status: getStatusText(status),
+    tracking_url: buildTrackingUrl(submission.tracking_code),
+    rejection_reason: status === "DITOLAK" ? submission.rejection_reason || null : null,
+    revision_items: needsRevision ? submission.revision_items || [] : null,
+    revision_note: needsRevision ? submission.revision_note || null : null,
+    revision_url: needsRevision ? buildRevisionUrl(submission.tracking_code) : null,
+  };
+}
+
+/**
+ * Render a template for a channel
+ * @param {string} channel - Key of CHANNELS
+ * @param {Object} template - { subject, body, id? }
+ * @param {Object} variables - Result of buildTemplateVariables
+ * @returns {Object} { subject, body, template_id }
+ */
+function renderContent(channel, template, variables) {
+  return {
+    subject: template.subject ? renderTemplate(template.subject, variables) : null,
+    body: renderTemplate(template.body, variables, { html: channel === "EMAIL" }),
+    template_id: template.id || null,
+  };
+}
+
+/**
+ * Find the active template for a notification
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} target - { channel, event, serviceCode }
+ * @returns {Promise<Object|null>} NotificationTemplate, service-specific first
+ */
+async function findTemplate(db, { channel, event, serviceCode }) {
+  const templates = await db.NotificationTemplate.findAll({
+    where: {
+      channel,
+      event,
+      is_active: true,
+      service_code: { [Op.or]: [serviceCode, null] },
+    },
+  });
+  return (
+    templates.find((template) => template.service_code === serviceCode) ||
+    templates.find((template) => template.service_code === null) ||
+    null
+  );
+}
+
+/**
+ * Render a notification from the stored templates
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} message - { channel, event, submission, status }
+ * @returns {Promise<Object>} { subject, body, template_id }
+ */
+async function renderNotificationContent(db, { channel, event, submission, status }) {
+  const [template, service] = await Promise.all([
+    findTemplate(db, { channel, event, serviceCode: submission.jenis_layanan }),
+    db.ServiceType.findOne({ where: { code: submission.jenis_layanan } }),
+  ]);
+
+  return renderContent(
+    channel,
+    template || getDefaultTemplate(channel, event),
+    buildTemplateVariables(submission, status, service?.name)
+  );
+}
+
+/**
+ * Render a notification from the built-in template (no database needed)
+ * @param {Object} message - { channel, event, submission, status }
+ * @returns {Object} { subject, body, template_id }
+ */
+function renderDefaultContent({ channel, event, submission, status }) {
+  const template = getDefaultTemplate(channel, event);
+  if (!template) {
+    throw new Error(`No ${channel} template for ${event}`);
+  }
+  return renderContent(channel, template, buildTemplateVariables(submission, status));
+}
+
+/**
+ * Build the password reset email for an admin
+ * Bukan notifikasi pengajuan, jadi tidak memakai template yang bisa diubah admin.
+ * @param {Object} admin - Admin object (username, email)
+ * @param {string} resetUrl - One-time reset link
+ * @param {number} expiresInMinutes - Link lifetime in minutes
+ * @returns {Object} { subject, body }
+ */
+function buildPasswordResetEmail(admin, resetUrl, expiresInMinutes) {
+  const subject = "Reset Password Admin - Layanan Publik";
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Reset Password</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #0ea5e9; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { background: #f9fafb; padding: 20px; border-radius: 0 0 8px 8px; }
+        .button { display: inline-block; background: #0ea5e9; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Reset Password</h1>
+        </div>
+        <div class="content">
+          <p>Halo <strong>${escapeHtml(admin.username)}</strong>,</p>
+          
+          <p>Kami menerima permintaan untuk mereset password akun admin Anda. Klik tombol di bawah ini untuk membuat password baru:</p>
+          
+          <a href="${resetUrl}" class="button">Reset Password</a>
+          
+          <p>Atau kunjungi link berikut:</p>
+          <p><a href="${resetUrl}">${resetUrl}</a></p>
+          
+          <p>Link ini hanya dapat digunakan sekali dan berlaku selama ${expiresInMinutes} menit.</p>
+          
+          <p>Jika Anda tidak meminta reset password, abaikan email ini. Password Anda tidak akan berubah.</p>
+        </div>
+        <div class="footer">
+          <p>Email ini dikirim otomatis oleh sistem Layanan Publik Mobile</p>
+          <p>Jangan balas email ini karena tidak akan diproses</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return { subject, body: html };
+}
+
+module.exports = {
+  buildTemplateVariables,
+  findTemplate,
+  renderNotificationContent,
+  renderDefaultContent,
+  buildPasswordResetEmail,
+};
@@ -0,0 +1,52 @@
+/**
+ * Mock notification provider
+ * Untuk development tanpa token SiCuba/Resend: pesan yang sudah dirender dari
+ * template notifikasi disimpan ke tabel mock_messages dan selalu dianggap
+ * terkirim. Hasilnya bisa dilihat di /dev/messages.
+ * Pilih dengan WHATSAPP_PROVIDER=mock dan/atau EMAIL_PROVIDER=mock.
+ */
+
+const crypto = require("crypto");
+const { getVercelDatabase } = require("../vercel-init-db");
+const { NOTIFICATION_EVENTS } = require("./channels");
+
+/**
+ * Create a mock provider for one channel
+ * @param {string} channel - Key of CHANNELS
+ * @returns {Object} Provider object (see channels.js)
+ */
+function createMockProvider(channel) {
+  return {
+    name: "mock",
+    channel,
+    // Sama dengan provider asli: email untuk perubahan status dan reset
+    // password admin, WhatsApp untuk notifikasi pengajuan
+    events:
+      channel === "EMAIL"
+        ? [NOTIFICATION_EVENTS.STATUS_UPDATE, NOTIFICATION_EVENTS.PASSWORD_RESET]
+        : [NOTIFICATION_EVENTS.SUBMISSION_CREATED, NOTIFICATION_EVENTS.STATUS_UPDATE],
+    async send(message) {
+      const { event, to, submission, content } = message;
+      const messageId = `mock-${crypto.randomUUID()}`;
+
+      const { MockMessage } = await getVercelDatabase(process.env.DATABASE_URL);
+      await MockMessage.create({
+        submission_id: submission?.id || null,
+        tracking_code: submission?.tracking_code || null,
+        channel,
+        event,
+        recipient: to,
+        subject: content.subject,
+        body: content.body,
+        message_id: messageId,
+      });
+
+      console.log(`🧪 [mock ${channel}] ${event} to ${to} (${messageId})`);
+      return { success: true, messageId, status: "sent" };
+    },
+  };
+}
+
+module.exports = {
+  createMockProvider,
+};
@@ -0,0 +1,319 @@
+/**
+ * Notification outbox
+ * Notifikasi tidak lagi dikirim langsung dari route. Route menulis baris ke
+ * tabel notification_outbox di transaksi yang sama dengan perubahan data,
+ * lalu worker (/api/cron/notifications) mengirimnya. Pengiriman yang gagal
+ * dicoba lagi dengan jeda yang makin panjang (exponential backoff); setelah
+ * batas percobaan habis baris masuk status DEAD dan bisa dikirim ulang admin.
+ */
+
+const { Op } = require("sequelize");
+const { NOTIFICATION_EVENTS } = require("./channels");
+const { getRecipients, dispatchNotification } = require("./dispatcher");
+const { renderNotificationContent } = require("./messages");
+const { REVISION_STATUS } = require("../submission-revision");
+
+const OUTBOX_STATUSES = {
+  PENDING: "PENDING",
+  PROCESSING: "PROCESSING",
+  SENT: "SENT",
+  DEAD: "DEAD",
+};
+
+/**
+ * Get outbox settings from the environment
+ * @returns {Object} { maxAttempts, baseDelaySeconds, maxDelaySeconds,
+ *   batchSize, lockTimeoutSeconds }
+ */
+function getOutboxSettings() {
+  const readInt = (name, fallback) => {
+    const value = parseInt(process.env[name] || "", 10);
+    return Number.isNaN(value) || value <= 0 ? fallback : value;
+  };
+
+  return {
+    maxAttempts: readInt("OUTBOX_MAX_ATTEMPTS", 5),
+    baseDelaySeconds: readInt("OUTBOX_RETRY_BASE_SECONDS", 60),
+    maxDelaySeconds: readInt("OUTBOX_RETRY_MAX_SECONDS", 6 * 60 * 60),
+    batchSize: readInt("OUTBOX_BATCH_SIZE", 20),
+    // Baris PROCESSING yang lebih lama dari ini dianggap worker-nya mati
+    lockTimeoutSeconds: readInt("OUTBOX_LOCK_TIMEOUT_SECONDS", 300),
+  };
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempts - 1), capped
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {Object} [settings] - Result of getOutboxSettings
+ * @returns {number} Delay in seconds
+ */
+function getRetryDelaySeconds(attempts, settings = getOutboxSettings()) {
+  const delay = settings.baseDelaySeconds * 2 ** Math.max(attempts - 1, 0);
+  return Math.min(delay, settings.maxDelaySeconds);
+}
+
+/**
+ * Queue one message per channel that should receive the event
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} submission - Submission the event is about
+ * @param {string} event - Value of NOTIFICATION_EVENTS
+ * @param {Object} details - Message data stored with each recipient
+ * @param {Object} [options] - Sequelize options, e.g. { transaction }
+ * @returns {Promise<Array>} Created NotificationOutbox rows
+ */
+async function enqueueNotifications(db, submission, event, details, options = {}) {
+  const { maxAttempts } = getOutboxSettings();
+  const messages = [];
+  for (const { channel, to } of getRecipients(submission, event)) {
+    messages.push(
+      await db.NotificationOutbox.create(
+        {
+          submission_id: submission.id,
+          channel,
+          event,
+          payload: { to, ...details },
+          max_attempts: maxAttempts,
+        },
+        options
+      )
+    );
+  }
+  return messages;
+}
+
+/**
+ * Queue the notifications for a new submission
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} submission - Newly created submission
+ * @param {Object} [options] - Sequelize options, e.g. { transaction }
+ * @returns {Promise<Array>} Created NotificationOutbox rows
+ */
+async function enqueueSubmissionCreated(db, submission, options = {}) {
+  return await enqueueNotifications(
+    db,
+    submission,
+    NOTIFICATION_EVENTS.SUBMISSION_CREATED,
+    { status: submission.status },
+    options
+  );
+}
+
+/**
+ * Queue the notifications for a status change
+ * Payload menyimpan data saat status berubah, jadi pesan yang terlambat
+ * terkirim tetap berisi alasan/kekurangan yang benar.
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} submission - Submission model instance (already updated)
+ * @param {string} status - New status
+ * @param {Object} [context] - { admin } who made the change
+ * @param {Object} [options] - Sequelize options, e.g. { transaction }
+ * @returns {Promise<Array>} Created NotificationOutbox rows
+ */
+async function enqueueStatusUpdate(db, submission, status, { admin = null } = {}, options = {}) {
+  return await enqueueNotifications(
+    db,
+    submission,
+    NOTIFICATION_EVENTS.STATUS_UPDATE,
+    {
+      status,
+      rejection_reason: submission.rejection_reason,
+      revision_items: status === REVISION_STATUS ? submission.revision_items : undefined,
+      revision_note: status === REVISION_STATUS ? submission.revision_note : undefined,
+      changed_by: admin ? admin.id : null,
+    },
+    options
+  );
+}
+
+/**
+ * Render one outbox row from its template and call the channel's provider
+ * Template dibaca saat dikirim, jadi perubahan template berlaku juga untuk
+ * pesan yang masih mengantre.
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} message - NotificationOutbox row
+ * @param {Object} submission - Submission the message is about
+ * @returns {Promise<Object>} Provider result ({ success, error?, ... })
+ */
+async function sendOutboxMessage(db, message, submission) {
+  const { payload } = message;
+  // Data pemohon terbaru, isi pesan dari saat pesan diantrekan
+  const view = {
+    ...submission.get({ plain: true }),
+    rejection_reason: payload.rejection_reason ?? null,
+    revision_items: payload.revision_items ?? submission.revision_items,
+    revision_note: payload.revision_note ?? submission.revision_note,
+  };
+  // Alamat tujuan juga dari saat pesan diantrekan
+  if (message.channel === "WHATSAPP") view.no_wa = payload.to;
+  if (message.channel === "EMAIL") view.email = payload.to;
+
+  let content;
+  try {
+    content = await renderNotificationContent(db, {
+      channel: message.channel,
+      event: message.event,
+      submission: view,
+      status: payload.status,
+    });
+  } catch (error) {
+    console.error("Error rendering notification template:", error);
+    return { success: false, provider: null, error: error.message };
+  }
+
+  return await dispatchNotification(message.channel, {
+    event: message.event,
+    to: payload.to,
+    submission: view,
+    status: payload.status,
+    content,
+  });
+}
+
+/**
+ * Deliver one claimed outbox row and record the attempt
+ * Setiap percobaan dicatat di notification_logs seperti sebelumnya.
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} message - NotificationOutbox row in PROCESSING
+ * @param {Object} [settings] - Result of getOutboxSettings
+ * @returns {Promise<string>} New outbox status
+ */
+async function deliverOutboxMessage(db, message, settings = getOutboxSettings()) {
+  const { Submission, NotificationLog } = db;
+  const attempt = message.attempts + 1;
+
+  let result;
+  const submission = await Submission.findByPk(message.submission_id);
+  if (!submission) {
+    result = { success: false, error: "Pengajuan tidak ditemukan" };
+  } else {
+    result = await sendOutboxMessage(db, message, submission);
+  }
+
+  await NotificationLog.create({
+    submission_id: message.submission_id,
+    channel: message.channel,
+    send_status: result.success ? "SUCCESS" : "FAILED",
+    payload: { ...message.payload, outbox_id: message.id, attempt, result },
+    provider: result.provider || null,
+    // Dipakai webhook provider untuk mengabarkan status pengiriman
+    provider_message_id:
+      result.success && result.messageId && result.messageId !== "unknown"
+        ? String(result.messageId)
+        : null,
+    delivery_status: result.success ? "SENT" : null,
+  });
+
+  if (result.success) {
+    await message.update({
+      status: OUTBOX_STATUSES.SENT,
+      attempts: attempt,
+      sent_at: new Date(),
+      locked_at: null,
+      last_error: null,
+    });
+    return OUTBOX_STATUSES.SENT;
+  }
+
+  const error = String(result.error || result.message || "Pengiriman gagal").slice(0, 2000);
+  const isDead = !submission || attempt >= message.max_attempts;
+  await message.update({
+    status: isDead ? OUTBOX_STATUSES.DEAD : OUTBOX_STATUSES.PENDING,
+    attempts: attempt,
+    locked_at: null,
+    last_error: error,
+    next_attempt_at: isDead
+      ? message.next_attempt_at
+      : new Date(Date.now() + getRetryDelaySeconds(attempt, settings) * 1000),
+  });
+  return isDead ? OUTBOX_STATUSES.DEAD : OUTBOX_STATUSES.PENDING;
+}
+
+/**
+ * Deliver due outbox rows
+ * Baris diklaim satu per satu dengan update bersyarat, jadi dua worker yang
+ * berjalan bersamaan tidak mengirim pesan yang sama dua kali.
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} [options] - { limit } rows to handle in this run
+ * @returns {Promise<Object>} { processed, sent, retrying, dead }
+ */
+async function processOutbox(db, { limit } = {}) {
+  const { NotificationOutbox } = db;
+  const settings = getOutboxSettings();
+  const now = new Date();
+  const staleLock = new Date(now.getTime() - settings.lockTimeoutSeconds * 1000);
+
+  const candidates = await NotificationOutbox.findAll({
+    where: {
+      [Op.or]: [
+        { status: OUTBOX_STATUSES.PENDING, next_attempt_at: { [Op.lte]: now } },
+        { status: OUTBOX_STATUSES.PROCESSING, locked_at: { [Op.lt]: staleLock } },
+      ],
+    },
+    order: [["next_attempt_at", "ASC"]],
+    limit: limit || settings.batchSize,
+  });
+
+  const summary = { processed: 0, sent: 0, retrying: 0, dead: 0 };
+  for (const candidate of candidates) {
+    const [claimed] = await NotificationOutbox.update(
+      { status: OUTBOX_STATUSES.PROCESSING, locked_at: new Date() },
+      {
+        where: {
+          id: candidate.id,
+          status: candidate.status,
+          updated_at: candidate.updated_at,
+        },
+      }
+    );
+    if (claimed !== 1) {
+      continue;
+    }
+
+    await candidate.reload();
+    const status = await deliverOutboxMessage(db, candidate, settings);
+    summary.processed += 1;
+    if (status === OUTBOX_STATUSES.SENT) summary.sent += 1;
+    else if (status === OUTBOX_STATUSES.DEAD) summary.dead += 1;
+    else summary.retrying += 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Start delivering right after a request without making it wait
+ * Jika proses berhenti sebelum selesai, baris tetap di outbox dan diambil
+ * oleh cron berikutnya.
+ * @param {Object} db - Database instance from getVercelDatabase
+ */
+function triggerOutboxDelivery(db) {
+  processOutbox(db).catch((error) => {
+    console.error("Error delivering notification outbox:", error);
+  });
+}
+
+/**
+ * Put a failed or waiting message back in the queue for immediate delivery
+ * @param {Object} message - NotificationOutbox row (DEAD or PENDING)
+ * @returns {Promise<Object>} Updated row
+ */
+async function retryOutboxMessage(message) {
+  return await message.update({
+    status: OUTBOX_STATUSES.PENDING,
+    attempts: 0,
+    next_attempt_at: new Date(),
+    locked_at: null,
+  });
+}
+
+module.exports = {
+  OUTBOX_STATUSES,
+  getOutboxSettings,
+  getRetryDelaySeconds,
+  enqueueSubmissionCreated,
+  enqueueStatusUpdate,
+  deliverOutboxMessage,
+  processOutbox,
+  triggerOutboxDelivery,
+  retryOutboxMessage,
+};
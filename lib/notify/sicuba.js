@@ -1,8 +1,15 @@
 /**
  * SiCuba WhatsApp API Service
  * Menggantikan Twilio untuk mengirim notifikasi WhatsApp
+ * Teks dari template notifikasi dikirim sebagai custom field "message";
+ * field lain tetap dikirim untuk campaign SiCuba yang menyusun teksnya sendiri.
  */
 
+const { buildRevisionUrl } = require("../submission-revision");
+const { getStatusText } = require("../submission-workflow");
+const { NOTIFICATION_EVENTS, buildTrackingUrl } = require("./channels");
+const { renderDefaultContent } = require("./messages");
+
 /**
  * Send WhatsApp message using SiCuba API
  * @param {Object} params - Parameters for sending WhatsApp
@@ -59,7 +66,8 @@ async function sendWhatsApp({ to, name, campaign_id, customFields = {} }) {
     
     return {
       success: isSuccess,
-      messageId: messageResult?.customer_id || messageResult?.id || 'unknown',
+      // customer_id menandai penerima, bukan pesan, jadi tidak dipakai di sini
+      messageId: messageResult?.id || messageResult?.message_id || 'unknown',
       status: messageResult?.status || 'unknown',
       response: result,
       error: !isSuccess ? messageResult?.message : null
@@ -78,20 +86,43 @@ async function sendWhatsApp({ to, name, campaign_id, customFields = {} }) {
  * Send status update notification via WhatsApp using SiCuba
  * @param {Object} submission - Submission object
  * @param {string} newStatus - New status
+ * @param {Object} [content] - Rendered template ({ body }), defaults to the built-in one
  * @returns {Promise<Object>} Result of sending notification
  */
-async function sendStatusUpdateNotification(submission, newStatus) {
+async function sendStatusUpdateNotification(
+  submission,
+  newStatus,
+  content = renderDefaultContent({
+    channel: "WHATSAPP",
+    event: NOTIFICATION_EVENTS.STATUS_UPDATE,
+    submission,
+    status: newStatus,
+  })
+) {
   const statusText = getStatusText(newStatus);
-  const trackingUrl = `${process.env.APP_BASE_URL}/public?tab=status&tracking_code=${submission.tracking_code}`;
+  const trackingUrl = buildTrackingUrl(submission.tracking_code);
   
   // Custom fields yang akan dikirim ke SiCuba
   const customFields = {
     tracking_code: submission.tracking_code,
     jenis_layanan: submission.jenis_layanan,
     status: statusText,
-    tracking_url: trackingUrl
+    tracking_url: trackingUrl,
+    message: content.body
   };
 
+  // Pemohon perlu tahu alasan penolakan agar bisa memperbaiki pengajuannya
+  if (newStatus === "DITOLAK" && submission.rejection_reason) {
+    customFields.rejection_reason = submission.rejection_reason;
+  }
+
+  // Daftar kekurangan dan link untuk melengkapinya
+  if (newStatus === "PERLU_KELENGKAPAN") {
+    customFields.revision_items = (submission.revision_items || []).join("; ");
+    customFields.revision_note = submission.revision_note || "";
+    customFields.revision_url = buildRevisionUrl(submission.tracking_code);
+  }
+
   return await sendWhatsApp({
     to: submission.no_wa,
     name: submission.nama,
@@ -103,16 +134,25 @@ async function sendStatusUpdateNotification(submission, newStatus) {
 /**
  * Send initial submission notification via WhatsApp using SiCuba
  * @param {Object} submission - Submission object
+ * @param {Object} [content] - Rendered template ({ body }), defaults to the built-in one
  * @returns {Promise<Object>} Result of sending notification
  */
-async function sendInitialSubmissionNotification(submission) {
-  const trackingUrl = `${process.env.APP_BASE_URL}/public?tab=status&tracking_code=${submission.tracking_code}`;
+async function sendInitialSubmissionNotification(
+  submission,
+  content = renderDefaultContent({
+    channel: "WHATSAPP",
+    event: NOTIFICATION_EVENTS.SUBMISSION_CREATED,
+    submission,
+  })
+) {
+  const trackingUrl = buildTrackingUrl(submission.tracking_code);
   
   const customFields = {
     tracking_code: submission.tracking_code,
     jenis_layanan: submission.jenis_layanan,
     status: "Pengajuan Baru",
-    tracking_url: trackingUrl
+    tracking_url: trackingUrl,
+    message: content.body
   };
 
   return await sendWhatsApp({
@@ -123,27 +163,20 @@ async function sendInitialSubmissionNotification(submission) {
   });
 }
 
-/**
- * Get human-readable status text
- * @param {string} status - Status code
- * @returns {string} Human-readable status
- */
-function getStatusText(status) {
-  switch (status) {
-    case "PENGAJUAN_BARU":
-      return "Pengajuan Baru";
-    case "DIPROSES":
-      return "Sedang Diproses";
-    case "SELESAI":
-      return "Selesai";
-    case "DITOLAK":
-      return "Ditolak";
-    default:
-      return status;
-  }
-}
+// WhatsApp provider for lib/notify/dispatcher (WHATSAPP_PROVIDER=sicuba)
+const sicubaProvider = {
+  name: "sicuba",
+  channel: "WHATSAPP",
+  events: [NOTIFICATION_EVENTS.SUBMISSION_CREATED, NOTIFICATION_EVENTS.STATUS_UPDATE],
+  async send({ event, submission, status, content }) {
+    return event === NOTIFICATION_EVENTS.SUBMISSION_CREATED
+      ? await sendInitialSubmissionNotification(submission, content)
+      : await sendStatusUpdateNotification(submission, status, content);
+  },
+};
 
 module.exports = {
+  sicubaProvider,
   sendWhatsApp,
   sendStatusUpdateNotification,
   sendInitialSubmissionNotification,
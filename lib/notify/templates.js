@@ -0,0 +1,378 @@
+/**
+ * Notification templates
+ * Isi WhatsApp dan email disimpan di tabel notification_templates dan bisa
+ * diubah admin. Sintaksnya sengaja sempit (mirip Mustache) supaya aman:
+ *
+ *   {{nama}}                       variabel, kosong bila tidak ada
+ *   {{#revision_url}}...{{/revision_url}}   bagian yang tampil bila ada isinya
+ *   {{#revision_items}}{{.}}{{/revision_items}}  diulang untuk tiap item
+ *
+ * Tidak ada ekspresi, pemanggilan fungsi, atau akses properti, dan nilai
+ * variabel tidak pernah dibaca ulang sebagai template. Untuk email, nilai
+ * variabel di-escape sebelum masuk HTML.
+ *
+ * Modul ini tidak memuat apa pun dari server, jadi dipakai juga oleh editor
+ * template untuk preview.
+ */
+
+const { getStatusText } = require("../submission-workflow");
+const { NOTIFICATION_EVENTS } = require("./channels");
+
+const TEMPLATE_VARIABLES = [
+  { name: "nama", label: "Nama pemohon" },
+  { name: "tracking_code", label: "Kode tracking" },
+  { name: "jenis_layanan", label: "Kode layanan" },
+  { name: "layanan", label: "Nama layanan" },
+  { name: "status", label: "Status pengajuan" },
+  { name: "tracking_url", label: "Link cek status" },
+  { name: "rejection_reason", label: "Alasan penolakan (hanya saat Ditolak)" },
+  { name: "revision_items", label: "Daftar kekurangan (hanya saat Perlu Kelengkapan)" },
+  { name: "revision_note", label: "Catatan kekurangan (hanya saat Perlu Kelengkapan)" },
+  { name: "revision_url", label: "Link melengkapi (hanya saat Perlu Kelengkapan)" },
+];
+
+const EVENT_LABELS = {
+  [NOTIFICATION_EVENTS.SUBMISSION_CREATED]: "Pengajuan diterima",
+  [NOTIFICATION_EVENTS.STATUS_UPDATE]: "Update status",
+};
+
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([a-z_]+|\.)\s*\}\}/g;
+
+const STATUS_EMAIL_HTML = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Update Status Pengajuan</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #0ea5e9; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+    .content { background: #f9fafb; padding: 20px; border-radius: 0 0 8px 8px; }
+    .status { background: #e0f2fe; padding: 15px; border-radius: 8px; margin: 20px 0; }
+    .reason { background: #fee2e2; padding: 15px; border-radius: 8px; margin: 20px 0; }
+    .revision { background: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0; }
+    .button { display: inline-block; background: #0ea5e9; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Update Status Pengajuan</h1>
+    </div>
+    <div class="content">
+      <p>Halo <strong>{{nama}}</strong>,</p>
+
+      <p>Status pengajuan layanan Anda telah diperbarui:</p>
+
+      <div class="status">
+        <strong>Kode Tracking:</strong> {{tracking_code}}<br>
+        <strong>Jenis Layanan:</strong> {{jenis_layanan}}<br>
+        <strong>Status Baru:</strong> {{status}}
+      </div>
+      {{#rejection_reason}}
+      <div class="reason">
+        <strong>Alasan Penolakan:</strong><br>
+        {{rejection_reason}}
+      </div>
+      {{/rejection_reason}}
+      {{#revision_url}}
+      <div class="revision">
+        <strong>Yang perlu dilengkapi:</strong>
+        <ul>
+          {{#revision_items}}<li>{{.}}</li>{{/revision_items}}
+        </ul>
+        {{#revision_note}}<p>{{revision_note}}</p>{{/revision_note}}
+        <p>Lengkapi pengajuan Anda dengan kode tracking dan 4 digit terakhir NIK:</p>
+        <a href="{{revision_url}}" class="button">Lengkapi Pengajuan</a>
+      </div>
+      {{/revision_url}}
+      <p>Anda dapat mengecek status terbaru dengan mengklik tombol di bawah ini:</p>
+
+      <a href="{{tracking_url}}" class="button">Cek Status Pengajuan</a>
+
+      <p>Atau kunjungi link berikut:</p>
+      <p><a href="{{tracking_url}}">{{tracking_url}}</a></p>
+
+      <p>Terima kasih telah menggunakan layanan kami.</p>
+    </div>
+    <div class="footer">
+      <p>Email ini dikirim otomatis oleh sistem Layanan Publik Mobile</p>
+      <p>Jangan balas email ini karena tidak akan diproses</p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+// Template bawaan, sekaligus daftar kombinasi kanal + event yang dikirim
+const DEFAULT_TEMPLATES = [
+  {
+    channel: "WHATSAPP",
+    event: NOTIFICATION_EVENTS.SUBMISSION_CREATED,
+    subject: null,
+    body: "Halo {{nama}}, pengajuan {{jenis_layanan}} Anda sudah kami terima dengan kode tracking #{{tracking_code}}. Cek status: {{tracking_url}}",
+  },
+  {
+    channel: "WHATSAPP",
+    event: NOTIFICATION_EVENTS.STATUS_UPDATE,
+    subject: null,
+    body: [
+      "Halo {{nama}}, pengajuan {{jenis_layanan}} (#{{tracking_code}}) kini berstatus: {{status}}. Cek: {{tracking_url}}",
+      "{{#rejection_reason}}\n\nAlasan penolakan: {{rejection_reason}}{{/rejection_reason}}",
+      "{{#revision_url}}\n\nYang perlu dilengkapi: {{revision_items}}",
+      "{{#revision_note}}\n\n{{revision_note}}{{/revision_note}}",
+      "\n\nLengkapi di: {{revision_url}}{{/revision_url}}",
+    ].join(""),
+  },
+  {
+    channel: "EMAIL",
+    event: NOTIFICATION_EVENTS.STATUS_UPDATE,
+    subject: "Update Status Pengajuan - {{tracking_code}}",
+    body: STATUS_EMAIL_HTML,
+  },
+];
+
+/**
+ * Escape text before putting it into email HTML
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ * @param {string} source - Template text
+ * @returns {Object} { nodes, errors }
+ */
+function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  const errors = [];
+  let lastIndex = 0;
+
+  const pushText = (text) => {
+    if (!text) return;
+    if (text.includes("{{")) {
+      errors.push(`Tag tidak dikenali: ${text.slice(text.indexOf("{{"), text.indexOf("{{") + 30)}`);
+    }
+    stack[stack.length - 1].children.push({ type: "text", value: text });
+  };
+
+  for (const match of String(source || "").matchAll(TAG_PATTERN)) {
+    pushText(source.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const [, kind, name] = match;
+    const current = stack[stack.length - 1];
+    if (kind === "#") {
+      const section = { type: "section", name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === "/") {
+      if (current.name !== name) {
+        errors.push(`{{/${name}}} tidak punya pembuka {{#${name}}} yang cocok`);
+      } else {
+        stack.pop();
+      }
+    } else {
+      current.children.push({ type: "variable", name });
+    }
+  }
+  pushText(String(source || "").slice(lastIndex));
+
+  for (const section of stack.slice(1)) {
+    errors.push(`{{#${section.name}}} belum ditutup dengan {{/${section.name}}}`);
+  }
+
+  return { nodes: root.children, errors };
+}
+
+/**
+ * Check a template for syntax errors and unknown variables
+ * @param {string} source - Template text
+ * @returns {Array<string>} Error messages, empty if valid
+ */
+function validateTemplate(source) {
+  const { nodes, errors } = parseTemplate(source);
+  const known = new Set(TEMPLATE_VARIABLES.map((variable) => variable.name));
+
+  const walk = (children, inSection) => {
+    for (const node of children) {
+      if (node.type === "text") continue;
+      if (node.name === ".") {
+        if (!inSection || node.type === "section") {
+          errors.push("{{.}} hanya bisa dipakai di dalam bagian daftar, mis. {{#revision_items}}");
+        }
+      } else if (!known.has(node.name)) {
+        errors.push(`Variabel tidak dikenal: {{${node.name}}}`);
+      }
+      if (node.type === "section") walk(node.children, true);
+    }
+  };
+  walk(nodes, false);
+
+  return [...new Set(errors)];
+}
+
+/**
+ * Render a template with variables
+ * Bagian {{#x}} tampil bila x berisi; bila x daftar, isinya diulang dan
+ * {{.}} menjadi item saat itu.
+ * @param {string} source - Template text
+ * @param {Object} variables - Values by variable name
+ * @param {Object} [options] - { html: true } escapes values for email HTML
+ * @returns {string} Rendered text
+ */
+function renderTemplate(source, variables, { html = false } = {}) {
+  const format = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = Array.isArray(value) ? value.join("; ") : String(value);
+    return html ? escapeHtml(text) : text;
+  };
+
+  const render = (nodes, item) =>
+    nodes
+      .map((node) => {
+        if (node.type === "text") return node.value;
+        const value = node.name === "." ? item : variables[node.name];
+        if (node.type === "variable") return format(value);
+        if (Array.isArray(value)) {
+          return value.map((entry) => render(node.children, entry)).join("");
+        }
+        return value ? render(node.children, item) : "";
+      })
+      .join("");
+
+  return render(parseTemplate(source).nodes);
+}
+
+/**
+ * Check whether a channel + event combination has a template
+ * @param {string} channel - Key of CHANNELS
+ * @param {string} event - Value of NOTIFICATION_EVENTS
+ * @returns {boolean} True if notifications are sent for it
+ */
+function isTemplateTarget(channel, event) {
+  return DEFAULT_TEMPLATES.some(
+    (template) => template.channel === channel && template.event === event
+  );
+}
+
+/**
+ * Get the built-in template of a channel + event
+ * @param {string} channel - Key of CHANNELS
+ * @param {string} event - Value of NOTIFICATION_EVENTS
+ * @returns {Object|null} { channel, event, subject, body }
+ */
+function getDefaultTemplate(channel, event) {
+  return (
+    DEFAULT_TEMPLATES.find(
+      (template) => template.channel === channel && template.event === event
+    ) || null
+  );
+}
+
+/**
+ * Example variables for the editor preview
+ * @param {string} status - Submission status to preview
+ * @param {Object} [service] - { code, name } of the previewed service
+ * @returns {Object} Variables for renderTemplate
+ */
+function buildSampleVariables(status, service = {}) {
+  const trackingCode = "LP-20250101-ABC123";
+  const baseUrl = "https://layanan.example.go.id";
+  return {
+    nama: "Budi Santoso",
+    tracking_code: trackingCode,
+    jenis_layanan: service.code || "KTP",
+    layanan: service.name || "Kartu Tanda Penduduk",
+    status: getStatusText(status),
+    tracking_url: `${baseUrl}/public?tab=status&tracking_code=${trackingCode}`,
+    rejection_reason: status === "DITOLAK" ? "Foto KTP tidak terbaca" : null,
+    revision_items:
+      status === "PERLU_KELENGKAPAN" ? ["Scan Kartu Keluarga", "Pas foto terbaru"] : null,
+    revision_note:
+      status === "PERLU_KELENGKAPAN" ? "Mohon unggah dalam format PDF atau JPG." : null,
+    revision_url:
+      status === "PERLU_KELENGKAPAN"
+        ? `${baseUrl}/public/revision?tracking_code=${trackingCode}`
+        : null,
+  };
+}
+
+/**
+ * Validate template input from the admin editor
+ * @param {Object} body - Request body
+ * @param {Object} [options] - { partial: true } for updates
+ * @returns {Object} { values, error }
+ */
+function validateTemplateInput(body, { partial = false } = {}) {
+  const values = {};
+
+  if (!partial) {
+    if (!isTemplateTarget(body.channel, body.event)) {
+      return { values, error: "Kombinasi kanal dan event tidak dikirim oleh sistem" };
+    }
+    values.channel = body.channel;
+    values.event = body.event;
+    values.service_code =
+      typeof body.service_code === "string" && body.service_code.trim()
+        ? body.service_code.trim().toUpperCase()
+        : null;
+  }
+
+  if (body.subject !== undefined) {
+    const subject = typeof body.subject === "string" ? body.subject.trim() : "";
+    values.subject = subject || null;
+  }
+  if (!partial && values.channel === "EMAIL" && !values.subject) {
+    return { values, error: "Subjek email wajib diisi" };
+  }
+
+  if (!partial || body.body !== undefined) {
+    if (typeof body.body !== "string" || !body.body.trim()) {
+      return { values, error: "Isi template wajib diisi" };
+    }
+    values.body = body.body;
+  }
+
+  for (const field of ["subject", "body"]) {
+    if (values[field]) {
+      const errors = validateTemplate(values[field]);
+      if (errors.length > 0) {
+        return { values, error: `Template tidak valid: ${errors.join("; ")}` };
+      }
+    }
+  }
+
+  if (body.is_active !== undefined) {
+    if (typeof body.is_active !== "boolean") {
+      return { values, error: "Nilai is_active harus boolean" };
+    }
+    values.is_active = body.is_active;
+  }
+
+  return { values, error: null };
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  EVENT_LABELS,
+  DEFAULT_TEMPLATES,
+  escapeHtml,
+  parseTemplate,
+  validateTemplate,
+  renderTemplate,
+  isTemplateTarget,
+  getDefaultTemplate,
+  buildSampleVariables,
+  validateTemplateInput,
+};
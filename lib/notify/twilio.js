@@ -1,4 +1,7 @@
 const twilio = require("twilio");
+const { NOTIFICATION_EVENTS } = require("./channels");
+const { renderDefaultContent } = require("./messages");
+const { buildWebhookUrl } = require("./webhooks");
 
 // Initialize Twilio client with SSL configuration
 const client = twilio(
@@ -25,10 +28,13 @@ async function sendWhatsApp({ to, body }) {
     // Format the 'to' number for WhatsApp
     const whatsappTo = to.startsWith("whatsapp:") ? to : `whatsapp:${to}`;
 
+    const statusCallback = buildWebhookUrl("twilio");
     const message = await client.messages.create({
       body: body,
       from: process.env.TWILIO_WHATSAPP_FROM, // This should be 'whatsapp:+14155238886' for sandbox
       to: whatsappTo,
+      // Twilio reports delivered/read/failed to app/api/webhooks/twilio
+      ...(statusCallback && { statusCallback }),
     });
 
     console.log(`WhatsApp message sent successfully: ${message.sid}`);
@@ -54,10 +60,12 @@ async function sendWhatsApp({ to, body }) {
  * @returns {Promise<Object>} Result of sending notification
  */
 async function sendStatusUpdateNotification(submission, newStatus) {
-  const statusText = getStatusText(newStatus);
-  const trackingUrl = `${process.env.APP_BASE_URL}/public?tab=status&tracking_code=${submission.tracking_code}`;
-
-  const message = `Halo ${submission.nama}, pengajuan ${submission.jenis_layanan} (#${submission.tracking_code}) kini berstatus: ${statusText}. Cek: ${trackingUrl}`;
+  const { body: message } = renderDefaultContent({
+    channel: "WHATSAPP",
+    event: NOTIFICATION_EVENTS.STATUS_UPDATE,
+    submission,
+    status: newStatus,
+  });
 
   return await sendWhatsApp({
     to: submission.no_wa,
@@ -66,26 +74,37 @@ async function sendStatusUpdateNotification(submission, newStatus) {
 }
 
 /**
- * Get human-readable status text
- * @param {string} status - Status code
- * @returns {string} Human-readable status
+ * Send initial submission notification via WhatsApp
+ * @param {Object} submission - Submission object
+ * @returns {Promise<Object>} Result of sending notification
  */
-function getStatusText(status) {
-  switch (status) {
-    case "PENGAJUAN_BARU":
-      return "Pengajuan Baru";
-    case "DIPROSES":
-      return "Sedang Diproses";
-    case "SELESAI":
-      return "Selesai";
-    case "DITOLAK":
-      return "Ditolak";
-    default:
-      return status;
-  }
+async function sendInitialSubmissionNotification(submission) {
+  const { body: message } = renderDefaultContent({
+    channel: "WHATSAPP",
+    event: NOTIFICATION_EVENTS.SUBMISSION_CREATED,
+    submission,
+  });
+
+  return await sendWhatsApp({
+    to: submission.no_wa,
+    body: message,
+  });
 }
 
+// WhatsApp provider for lib/notify/dispatcher (WHATSAPP_PROVIDER=twilio)
+// Teks pesan dari template notifikasi yang sudah dirender
+const twilioProvider = {
+  name: "twilio",
+  channel: "WHATSAPP",
+  events: [NOTIFICATION_EVENTS.SUBMISSION_CREATED, NOTIFICATION_EVENTS.STATUS_UPDATE],
+  async send({ to, content }) {
+    return await sendWhatsApp({ to, body: content.body });
+  },
+};
+
 module.exports = {
+  twilioProvider,
   sendWhatsApp,
   sendStatusUpdateNotification,
+  sendInitialSubmissionNotification,
 };
@@ -0,0 +1,213 @@
+/**
+ * Delivery status webhooks (SiCuba, Twilio, Resend)
+ * Provider mengabarkan status pesan setelah dikirim (diterima, dibaca,
+ * bounce). Setiap kabar dicocokkan ke notification_logs lewat provider dan
+ * provider_message_id. Tanda tangan dicek sebelum data dipakai.
+ */
+
+const crypto = require("crypto");
+const twilio = require("twilio");
+
+// Resend (Svix) menolak tanda tangan yang lebih tua dari 5 menit
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Status tidak boleh mundur bila kabar datang tidak berurutan
+const DELIVERY_STATUS_RANK = {
+  SENT: 1,
+  DELIVERED: 2,
+  FAILED: 2,
+  BOUNCED: 2,
+  READ: 3,
+};
+
+const TWILIO_STATUS_MAP = {
+  sent: "SENT",
+  delivered: "DELIVERED",
+  read: "READ",
+  failed: "FAILED",
+  undelivered: "FAILED",
+};
+
+const RESEND_EVENT_MAP = {
+  "email.sent": "SENT",
+  "email.delivered": "DELIVERED",
+  "email.opened": "READ",
+  "email.bounced": "BOUNCED",
+};
+
+const SICUBA_STATUS_MAP = {
+  sent: "SENT",
+  delivered: "DELIVERED",
+  read: "READ",
+  failed: "FAILED",
+};
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} expected - Known value
+ * @param {string} actual - Value from the request
+ * @returns {boolean} True if equal
+ */
+function safeEqual(expected, actual) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Public URL of a webhook route (used for Twilio's statusCallback and signature)
+ * @param {string} provider - sicuba, twilio or resend
+ * @returns {string|null} Absolute URL, or null without APP_BASE_URL
+ */
+function buildWebhookUrl(provider) {
+  if (!process.env.APP_BASE_URL) return null;
+  return `${process.env.APP_BASE_URL.replace(/\/$/, "")}/api/webhooks/${provider}`;
+}
+
+/**
+ * Verify the X-Twilio-Signature header of a status callback
+ * @param {string} signature - X-Twilio-Signature header
+ * @param {Object} params - Form fields of the callback
+ * @returns {boolean} True if the signature matches TWILIO_AUTH_TOKEN
+ */
+function verifyTwilioSignature(signature, params) {
+  const url = buildWebhookUrl("twilio");
+  if (!process.env.TWILIO_AUTH_TOKEN || !signature || !url) return false;
+  return twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, params);
+}
+
+/**
+ * Verify the Svix signature Resend puts on webhook requests
+ * Isi yang ditandatangani: "<svix-id>.<svix-timestamp>.<body mentah>",
+ * HMAC-SHA256 dengan secret whsec_... (base64).
+ * @param {string} rawBody - Request body exactly as received
+ * @param {Headers} headers - Request headers
+ * @returns {boolean} True if one of the signatures matches RESEND_WEBHOOK_SECRET
+ */
+function verifyResendSignature(rawBody, headers) {
+  const secret = process.env.RESEND_WEBHOOK_SECRET;
+  const id = headers.get("svix-id");
+  const timestamp = headers.get("svix-timestamp");
+  const signatures = headers.get("svix-signature");
+  if (!secret || !id || !timestamp || !signatures) return false;
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ""), "base64");
+  const expected = crypto
+    .createHmac("sha256", key)
+    .update(`${id}.${timestamp}.${rawBody}`)
+    .digest("base64");
+
+  // Header bisa berisi beberapa tanda tangan: "v1,abc v1,def"
+  return signatures
+    .split(" ")
+    .map((entry) => entry.split(",")[1])
+    .some((signature) => signature && safeEqual(expected, signature));
+}
+
+/**
+ * Verify the shared secret of a SiCuba webhook
+ * SiCuba tidak menandatangani webhook, jadi URL yang didaftarkan memuat
+ * ?token=<SICUBA_WEBHOOK_SECRET> (atau header X-Webhook-Secret).
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True if the secret matches
+ */
+function verifySicubaSecret(request) {
+  const secret = process.env.SICUBA_WEBHOOK_SECRET;
+  if (!secret) return false;
+  const token =
+    request.headers.get("x-webhook-secret") || new URL(request.url).searchParams.get("token");
+  return safeEqual(secret, token);
+}
+
+/**
+ * Turn a Twilio status callback into a delivery update
+ * @param {Object} params - Form fields of the callback
+ * @returns {Object|null} { messageId, status, error } or null if not tracked
+ */
+function parseTwilioCallback(params) {
+  const status = TWILIO_STATUS_MAP[params.MessageStatus];
+  if (!params.MessageSid || !status) return null;
+  return {
+    messageId: params.MessageSid,
+    status,
+    error: params.ErrorCode
+      ? `${params.ErrorCode}${params.ErrorMessage ? `: ${params.ErrorMessage}` : ""}`
+      : null,
+  };
+}
+
+/**
+ * Turn a Resend webhook event into a delivery update
+ * @param {Object} event - Parsed JSON body ({ type, created_at, data })
+ * @returns {Object|null} { messageId, status, error } or null if not tracked
+ */
+function parseResendEvent(event) {
+  const status = RESEND_EVENT_MAP[event?.type];
+  if (!event?.data?.email_id || !status) return null;
+  return {
+    messageId: event.data.email_id,
+    status,
+    error: status === "BOUNCED" ? event.data.bounce?.message || "Email bounced" : null,
+  };
+}
+
+/**
+ * Turn a SiCuba webhook body (one object or an array) into delivery updates
+ * Hanya ID per pesan yang dipakai, sama seperti saat pesan dikirim.
+ * @param {Object|Array} body - Parsed JSON body
+ * @returns {Array<Object>} [{ messageId, status, error }]
+ */
+function parseSicubaEvents(body) {
+  return (Array.isArray(body) ? body : [body])
+    .map((event) => ({
+      messageId: event?.id || event?.message_id,
+      status: SICUBA_STATUS_MAP[String(event?.status || "").toLowerCase()],
+      error: event?.status === "failed" ? event?.message || null : null,
+    }))
+    .filter((update) => update.messageId && update.status)
+    .map((update) => ({ ...update, messageId: String(update.messageId) }));
+}
+
+/**
+ * Apply one delivery update to the matching notification log
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {string} provider - Provider name stored in notification_logs
+ * @param {Object} update - { messageId, status, error }
+ * @returns {Promise<boolean>} True if a log was changed
+ */
+async function applyDeliveryUpdate(db, provider, { messageId, status, error = null }) {
+  const log = await db.NotificationLog.findOne({
+    where: { provider, provider_message_id: messageId },
+    // Log lama bisa berbagi ID (dulu customer_id yang disimpan), ambil yang terbaru
+    order: [["created_at", "DESC"]],
+  });
+  if (!log) {
+    console.warn(`Delivery update for unknown ${provider} message ${messageId}`);
+    return false;
+  }
+
+  if ((DELIVERY_STATUS_RANK[log.delivery_status] || 0) > DELIVERY_STATUS_RANK[status]) {
+    return false;
+  }
+
+  await log.update({
+    delivery_status: status,
+    delivery_error: error,
+    delivery_updated_at: new Date(),
+  });
+  return true;
+}
+
+module.exports = {
+  buildWebhookUrl,
+  verifyTwilioSignature,
+  verifyResendSignature,
+  verifySicubaSecret,
+  parseTwilioCallback,
+  parseResendEvent,
+  parseSicubaEvents,
+  applyDeliveryUpdate,
+};
@@ -59,6 +59,16 @@ const Admin = sequelize.define(
       type: DataTypes.STRING,
       allowNull: false,
     },
+    role: {
+      type: DataTypes.ENUM("FRONT_DESK", "VERIFIER", "SUPERADMIN"),
+      defaultValue: "FRONT_DESK",
+      allowNull: false,
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      allowNull: false,
+    },
   },
   {
     tableName: "admins",
@@ -106,10 +116,30 @@ const Submission = sequelize.define(
       allowNull: false,
     },
     status: {
-      type: DataTypes.ENUM("PENGAJUAN_BARU", "DIPROSES", "SELESAI", "DITOLAK"),
+      type: DataTypes.ENUM("PENGAJUAN_BARU", "DIPROSES", "PERLU_KELENGKAPAN", "SELESAI", "DITOLAK"),
       defaultValue: "PENGAJUAN_BARU",
       allowNull: false,
     },
+    rejection_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    form_data: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    revision_items: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    revision_note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    revision_requested_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
   },
   {
     tableName: "submissions",
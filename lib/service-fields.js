@@ -0,0 +1,322 @@
+/**
+ * Per-service form fields
+ * Setiap layanan bisa mendeklarasikan field tambahan (form_schema) yang
+ * ditampilkan di form pengajuan. Jawaban pemohon disimpan di kolom
+ * form_data pada submissions.
+ *
+ * Contoh schema:
+ * [
+ *   { "name": "alamat_tujuan", "label": "Alamat Tujuan", "type": "textarea",
+ *     "required": true, "maxLength": 500 },
+ *   { "name": "keperluan", "label": "Keperluan", "type": "select",
+ *     "required": true, "options": ["Melamar kerja", "Lainnya"] }
+ * ]
+ */
+
+const FIELD_TYPES = ["text", "textarea", "number", "date", "email", "select"];
+
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_FIELDS = 30;
+const DEFAULT_MAX_LENGTH = 1000;
+const MAX_PATTERN_LENGTH = 100;
+
+/**
+ * Check an admin-supplied pattern for regexes that can backtrack for ages
+ * Pola dijalankan di server terhadap input publik. Grup yang diulang (*, +,
+ * {n,m}) padahal isinya sudah berkuantor atau berisi alternatif, misalnya
+ * (a+)+ atau (a|ab)*, serta backreference ditolak karena rawan ReDoS.
+ * @param {string} pattern - Regex source
+ * @returns {string|null} Reason the pattern is rejected, or null if safe
+ */
+function checkPatternSafety(pattern) {
+  if (typeof pattern !== "string") {
+    return "pattern harus berupa teks";
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `pattern maksimal ${MAX_PATTERN_LENGTH} karakter`;
+  }
+  if (/\\[1-9]|\\k</.test(pattern)) {
+    return "pattern tidak boleh memakai backreference";
+  }
+
+  // Untuk tiap grup yang terbuka: apakah isinya berkuantor atau beralternatif
+  const groups = [];
+  let inClass = false;
+  let afterRiskyGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "\\") {
+      i++;
+    } else if (inClass) {
+      inClass = char !== "]";
+      continue;
+    } else if (char === "[") {
+      inClass = true;
+    } else if (char === "(") {
+      groups.push(false);
+      // Lewati (?: (?= (?! (?<= (?<! (?<nama>
+      if (pattern[i + 1] === "?") {
+        while (i + 1 < pattern.length && !":=!>".includes(pattern[i + 1])) i++;
+        i++;
+      }
+    } else if (char === ")") {
+      const risky = groups.pop();
+      if (risky && groups.length > 0) groups[groups.length - 1] = true;
+      afterRiskyGroup = Boolean(risky);
+      continue;
+    } else if ("*+?{|".includes(char)) {
+      if (afterRiskyGroup && char !== "?" && char !== "|") {
+        return "pattern tidak boleh mengulang grup yang berisi kuantor atau alternatif, misalnya (a+)+";
+      }
+      if (groups.length > 0) groups[groups.length - 1] = true;
+    }
+
+    afterRiskyGroup = false;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a form schema sent from the admin screen
+ * @param {Array} schema - Field definitions
+ * @returns {Object} { fields, error } where fields is the normalized schema
+ */
+function validateFormSchema(schema) {
+  if (schema === null || schema === undefined) {
+    return { fields: [], error: null };
+  }
+
+  if (!Array.isArray(schema)) {
+    return { fields: [], error: "Form schema harus berupa array field" };
+  }
+
+  if (schema.length > MAX_FIELDS) {
+    return { fields: [], error: `Maksimal ${MAX_FIELDS} field per layanan` };
+  }
+
+  const fields = [];
+  const names = new Set();
+
+  for (const [index, raw] of schema.entries()) {
+    const position = `Field ke-${index + 1}`;
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      return { fields: [], error: `${position} harus berupa objek` };
+    }
+
+    if (typeof raw.name !== "string" || !FIELD_NAME_PATTERN.test(raw.name)) {
+      return {
+        fields: [],
+        error: `${position}: name wajib diisi, huruf kecil, angka, dan garis bawah`,
+      };
+    }
+    if (names.has(raw.name)) {
+      return { fields: [], error: `${position}: name "${raw.name}" dipakai lebih dari sekali` };
+    }
+    names.add(raw.name);
+
+    if (typeof raw.label !== "string" || !raw.label.trim()) {
+      return { fields: [], error: `${position}: label wajib diisi` };
+    }
+
+    const type = raw.type || "text";
+    if (!FIELD_TYPES.includes(type)) {
+      return {
+        fields: [],
+        error: `${position}: type harus salah satu dari ${FIELD_TYPES.join(", ")}`,
+      };
+    }
+
+    const field = {
+      name: raw.name,
+      label: raw.label.trim(),
+      type,
+      required: raw.required === true,
+    };
+
+    if (typeof raw.help === "string" && raw.help.trim()) {
+      field.help = raw.help.trim();
+    }
+
+    if (type === "select") {
+      if (
+        !Array.isArray(raw.options) ||
+        raw.options.length === 0 ||
+        raw.options.some((option) => typeof option !== "string" || !option.trim())
+      ) {
+        return { fields: [], error: `${position}: options wajib berupa daftar teks` };
+      }
+      field.options = raw.options.map((option) => option.trim());
+    }
+
+    for (const key of ["minLength", "maxLength", "min", "max"]) {
+      if (raw[key] !== undefined && raw[key] !== null) {
+        if (typeof raw[key] !== "number" || !Number.isFinite(raw[key])) {
+          return { fields: [], error: `${position}: ${key} harus berupa angka` };
+        }
+        field[key] = raw[key];
+      }
+    }
+
+    if (raw.pattern !== undefined && raw.pattern !== null && raw.pattern !== "") {
+      try {
+        new RegExp(raw.pattern);
+      } catch (error) {
+        return { fields: [], error: `${position}: pattern bukan regex yang valid` };
+      }
+      const unsafe = checkPatternSafety(raw.pattern);
+      if (unsafe) {
+        return { fields: [], error: `${position}: ${unsafe}` };
+      }
+      field.pattern = raw.pattern;
+      if (typeof raw.patternMessage === "string" && raw.patternMessage.trim()) {
+        field.patternMessage = raw.patternMessage.trim();
+      }
+    }
+
+    fields.push(field);
+  }
+
+  return { fields, error: null };
+}
+
+/**
+ * Validate a single answer against its field definition
+ * @param {Object} field - Field definition
+ * @param {*} value - Submitted value
+ * @returns {Object} { value, error } with the normalized value
+ */
+function validateFieldValue(field, value) {
+  const isEmpty =
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "");
+
+  if (isEmpty) {
+    return field.required
+      ? { value: null, error: `${field.label} wajib diisi` }
+      : { value: null, error: null };
+  }
+
+  if (field.type === "number") {
+    const number = typeof value === "number" ? value : Number(String(value).trim());
+    if (!Number.isFinite(number)) {
+      return { value: null, error: `${field.label} harus berupa angka` };
+    }
+    if (field.min !== undefined && number < field.min) {
+      return { value: null, error: `${field.label} minimal ${field.min}` };
+    }
+    if (field.max !== undefined && number > field.max) {
+      return { value: null, error: `${field.label} maksimal ${field.max}` };
+    }
+    return { value: number, error: null };
+  }
+
+  if (typeof value !== "string") {
+    return { value: null, error: `${field.label} tidak valid` };
+  }
+
+  const text = value.trim();
+
+  if (field.type === "date") {
+    const date = new Date(`${text}T00:00:00Z`);
+    if (!DATE_PATTERN.test(text) || Number.isNaN(date.getTime())) {
+      return { value: null, error: `${field.label} harus berupa tanggal (YYYY-MM-DD)` };
+    }
+    return { value: text, error: null };
+  }
+
+  if (field.type === "email" && !EMAIL_PATTERN.test(text)) {
+    return { value: null, error: `${field.label} harus berupa email yang valid` };
+  }
+
+  if (field.type === "select" && !field.options.includes(text)) {
+    return { value: null, error: `${field.label} harus salah satu pilihan yang tersedia` };
+  }
+
+  const maxLength = field.maxLength !== undefined ? field.maxLength : DEFAULT_MAX_LENGTH;
+  if (field.minLength !== undefined && text.length < field.minLength) {
+    return { value: null, error: `${field.label} minimal ${field.minLength} karakter` };
+  }
+  if (text.length > maxLength) {
+    return { value: null, error: `${field.label} maksimal ${maxLength} karakter` };
+  }
+
+  // Pola lama yang tersimpan sebelum dicek tidak dijalankan bila tidak aman
+  if (
+    field.pattern &&
+    !checkPatternSafety(field.pattern) &&
+    !new RegExp(field.pattern).test(text)
+  ) {
+    return {
+      value: null,
+      error: field.patternMessage || `Format ${field.label} tidak valid`,
+    };
+  }
+
+  return { value: text, error: null };
+}
+
+/**
+ * Validate the answers for a service's extra fields
+ * Dipakai di form publik (validasi awal) dan di API (validasi final).
+ * Key yang tidak ada di schema diabaikan.
+ * @param {Array} schema - Field definitions from ServiceType.form_schema
+ * @param {Object} data - Submitted answers keyed by field name
+ * @returns {Object} { values, errors } where errors maps field name to message
+ */
+function validateFormData(schema, data) {
+  const fields = Array.isArray(schema) ? schema : [];
+  const answers = data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  const values = {};
+  const errors = {};
+
+  for (const field of fields) {
+    const result = validateFieldValue(field, answers[field.name]);
+    if (result.error) {
+      errors[field.name] = result.error;
+    } else if (result.value !== null) {
+      values[field.name] = result.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Pair stored answers with their labels for display
+ * Field yang sudah dihapus dari schema tetap ditampilkan dengan nama field.
+ * @param {Array} schema - Field definitions from ServiceType.form_schema
+ * @param {Object} formData - Stored answers (Submission.form_data)
+ * @returns {Array} [{ name, label, value }]
+ */
+function describeFormData(schema, formData) {
+  if (!formData || typeof formData !== "object") {
+    return [];
+  }
+
+  const fields = Array.isArray(schema) ? schema : [];
+  const labels = new Map(fields.map((field) => [field.name, field.label]));
+  const ordered = [
+    ...fields.map((field) => field.name).filter((name) => name in formData),
+    ...Object.keys(formData).filter((name) => !labels.has(name)),
+  ];
+
+  return ordered.map((name) => ({
+    name,
+    label: labels.get(name) || name,
+    value: formData[name],
+  }));
+}
+
+module.exports = {
+  FIELD_TYPES,
+  validateFormSchema,
+  validateFormData,
+  describeFormData,
+};
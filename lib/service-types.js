@@ -0,0 +1,193 @@
+/**
+ * Service catalog (jenis layanan)
+ * Daftar layanan disimpan di tabel service_types dan bisa dikelola superadmin.
+ * Pengajuan menyimpan kode layanan di kolom jenis_layanan.
+ */
+
+const { validateFormSchema } = require("./service-fields");
+
+// Layanan awal, sama dengan pilihan yang sebelumnya ditulis langsung di form
+const DEFAULT_SERVICE_TYPES = [
+  {
+    code: "KTP",
+    name: "Pembuatan KTP",
+    description: "Pembuatan atau penggantian Kartu Tanda Penduduk elektronik",
+    requirements: ["Fotokopi Kartu Keluarga", "Surat pengantar RT/RW"],
+    sla_days: 14,
+  },
+  {
+    code: "KK",
+    name: "Pembuatan Kartu Keluarga",
+    description: "Pembuatan baru atau perubahan data Kartu Keluarga",
+    requirements: ["Kartu Keluarga lama", "Surat pengantar RT/RW", "Fotokopi buku nikah"],
+    sla_days: 7,
+  },
+  {
+    code: "AKTA",
+    name: "Pembuatan Akta Kelahiran",
+    description: "Penerbitan akta kelahiran",
+    requirements: ["Surat keterangan lahir", "Fotokopi Kartu Keluarga", "Fotokopi KTP orang tua"],
+    sla_days: 7,
+    form_schema: [
+      { name: "nama_anak", label: "Nama Anak", type: "text", required: true, maxLength: 100 },
+      { name: "tanggal_lahir_anak", label: "Tanggal Lahir Anak", type: "date", required: true },
+      { name: "tempat_lahir_anak", label: "Tempat Lahir Anak", type: "text", required: true, maxLength: 100 },
+    ],
+  },
+  {
+    code: "SKCK",
+    name: "Pembuatan SKCK",
+    description: "Surat pengantar pembuatan Surat Keterangan Catatan Kepolisian",
+    requirements: ["Fotokopi KTP", "Fotokopi Kartu Keluarga", "Pas foto 4x6"],
+    sla_days: 3,
+    form_schema: [
+      {
+        name: "keperluan",
+        label: "Keperluan",
+        type: "select",
+        required: true,
+        options: ["Melamar pekerjaan", "Pendaftaran sekolah/kuliah", "Administrasi perjalanan", "Lainnya"],
+      },
+      { name: "keterangan_keperluan", label: "Keterangan Keperluan", type: "textarea", maxLength: 300 },
+    ],
+  },
+  {
+    code: "SURAT_PINDAH",
+    name: "Surat Pindah",
+    description: "Surat keterangan pindah domisili",
+    requirements: ["Kartu Keluarga asli", "KTP asli", "Surat pengantar RT/RW"],
+    sla_days: 5,
+    form_schema: [
+      { name: "alamat_tujuan", label: "Alamat Tujuan", type: "textarea", required: true, maxLength: 500 },
+      { name: "alasan_pindah", label: "Alasan Pindah", type: "text", required: true, maxLength: 200 },
+      {
+        name: "jumlah_anggota_pindah",
+        label: "Jumlah Anggota Keluarga yang Pindah",
+        type: "number",
+        required: true,
+        min: 1,
+        max: 20,
+      },
+    ],
+  },
+  {
+    code: "SURAT_KETERANGAN",
+    name: "Surat Keterangan",
+    description: "Surat keterangan umum dari kelurahan",
+    requirements: ["Fotokopi KTP", "Surat pengantar RT/RW"],
+    sla_days: 3,
+  },
+];
+
+const CODE_PATTERN = /^[A-Z0-9_]{2,50}$/;
+
+/**
+ * Validate and normalize service type input from the admin screen
+ * @param {Object} body - Request body
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial] - Only validate fields that are present (PATCH)
+ * @returns {Object} { values, error } where error is an Indonesian message or null
+ */
+function validateServiceTypeInput(body, { partial = false } = {}) {
+  const values = {};
+
+  if (!partial || body.code !== undefined) {
+    const code = typeof body.code === "string" ? body.code.trim().toUpperCase() : "";
+    if (!CODE_PATTERN.test(code)) {
+      return {
+        values,
+        error: "Kode layanan wajib diisi, hanya huruf besar, angka, dan garis bawah (2-50 karakter)",
+      };
+    }
+    values.code = code;
+  }
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) {
+      return { values, error: "Nama layanan wajib diisi" };
+    }
+    values.name = name;
+  }
+
+  if (body.description !== undefined) {
+    values.description =
+      typeof body.description === "string" && body.description.trim()
+        ? body.description.trim()
+        : null;
+  }
+
+  if (body.requirements !== undefined) {
+    if (!Array.isArray(body.requirements)) {
+      return { values, error: "Persyaratan harus berupa daftar" };
+    }
+    values.requirements = body.requirements
+      .filter((item) => typeof item === "string")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
+  if (!partial || body.sla_days !== undefined) {
+    const slaDays = Number(body.sla_days);
+    if (!Number.isInteger(slaDays) || slaDays < 1 || slaDays > 365) {
+      return { values, error: "SLA harus berupa angka hari antara 1 dan 365" };
+    }
+    values.sla_days = slaDays;
+  }
+
+  if (body.is_active !== undefined) {
+    if (typeof body.is_active !== "boolean") {
+      return { values, error: "Nilai is_active harus boolean" };
+    }
+    values.is_active = body.is_active;
+  }
+
+  if (body.form_schema !== undefined) {
+    const { fields, error } = validateFormSchema(body.form_schema);
+    if (error) {
+      return { values, error };
+    }
+    values.form_schema = fields;
+  }
+
+  return { values, error: null };
+}
+
+/**
+ * Find an active service type by code
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {string} code - Service code (jenis_layanan)
+ * @returns {Promise<Object|null>} ServiceType, or null if unknown or inactive
+ */
+async function findActiveServiceType(db, code) {
+  if (!code || typeof code !== "string") {
+    return null;
+  }
+
+  return await db.ServiceType.findOne({
+    where: { code, is_active: true },
+  });
+}
+
+/**
+ * Convert a ServiceType into the shape shown on the public form
+ * @param {Object} serviceType - ServiceType model instance
+ * @returns {Object} Public service fields
+ */
+function serializePublicServiceType(serviceType) {
+  return {
+    code: serviceType.code,
+    name: serviceType.name,
+    description: serviceType.description,
+    requirements: serviceType.requirements || [],
+    sla_days: serviceType.sla_days,
+    form_fields: serviceType.form_schema || [],
+  };
+}
+
+module.exports = {
+  DEFAULT_SERVICE_TYPES,
+  validateServiceTypeInput,
+  findActiveServiceType,
+  serializePublicServiceType,
+};
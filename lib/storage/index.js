@@ -0,0 +1,37 @@
+/**
+ * Pluggable file storage for attachments
+ * Backend dipilih lewat STORAGE_DRIVER. Setiap backend menyediakan
+ * put(key, data), get(key) dan remove(key). Untuk menambah backend baru
+ * (misalnya S3), daftarkan factory-nya di STORAGE_DRIVERS.
+ */
+
+const { createLocalStorage } = require("./local");
+
+const STORAGE_DRIVERS = {
+  local: () => createLocalStorage({ root: process.env.UPLOAD_DIR || undefined }),
+};
+
+// Backends are created once per process
+const storageInstances = new Map();
+
+/**
+ * Get a storage backend
+ * @param {string} [driver] - Driver name; defaults to STORAGE_DRIVER. Pass the
+ *   driver stored on an attachment to read files written by an older setting.
+ * @returns {Object} Storage backend
+ */
+function getStorage(driver = process.env.STORAGE_DRIVER || "local") {
+  if (!storageInstances.has(driver)) {
+    const factory = STORAGE_DRIVERS[driver];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storageInstances.set(driver, factory());
+  }
+  return storageInstances.get(driver);
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  getStorage,
+};
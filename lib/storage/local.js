@@ -0,0 +1,78 @@
+/**
+ * Local filesystem storage backend
+ * File disimpan di bawah satu folder root (default storage/uploads). Cocok
+ * untuk development dan server sendiri; di Vercel filesystem tidak permanen.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Create a storage backend that writes to the local filesystem
+ * @param {Object} [options] - Backend options
+ * @param {string} [options.root] - Root folder for stored files
+ * @returns {Object} Storage backend with put, get and remove
+ */
+function createLocalStorage({ root = path.join(process.cwd(), "storage", "uploads") } = {}) {
+  const rootDir = path.resolve(root);
+
+  // Keys are generated by the app, but never let one escape the root folder
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    /**
+     * Store a file
+     * @param {string} key - Storage key (relative path)
+     * @param {Buffer} data - File contents
+     * @returns {Promise<void>}
+     */
+    async put(key, data) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data, { flag: "wx" });
+    },
+
+    /**
+     * Read a stored file
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer|null>} File contents, or null if missing
+     */
+    async get(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Delete a stored file (missing files are ignored)
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  createLocalStorage,
+};
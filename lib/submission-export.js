@@ -0,0 +1,198 @@
+/**
+ * Submission export (CSV / XLSX)
+ * Baris diambil per batch dan langsung ditulis ke stream, jadi ekspor data
+ * satu tahun tidak perlu dimuat sekaligus ke memori. NIK disamarkan sesuai
+ * EXPORT_NIK_MODE.
+ */
+
+const { PassThrough, Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const { getStatusText } = require("./submission-workflow");
+
+const EXPORT_BATCH_SIZE = 500;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+// full = NIK lengkap, masked = hanya 4 digit terakhir, hidden = kolom NIK kosong
+const NIK_MODES = ["full", "masked", "hidden"];
+
+const EXPORT_COLUMNS = [
+  { key: "tracking_code", header: "Kode Tracking", width: 28 },
+  { key: "created_at", header: "Tanggal Pengajuan", width: 20 },
+  { key: "nama", header: "Nama", width: 28 },
+  { key: "nik", header: "NIK", width: 20 },
+  { key: "email", header: "Email", width: 28 },
+  { key: "no_wa", header: "Nomor WhatsApp", width: 18 },
+  { key: "jenis_layanan", header: "Kode Layanan", width: 14 },
+  { key: "service_name", header: "Layanan", width: 28 },
+  { key: "status", header: "Status", width: 18 },
+  { key: "rejection_reason", header: "Alasan Penolakan", width: 32 },
+  { key: "updated_at", header: "Terakhir Diupdate", width: 20 },
+];
+
+/**
+ * Get the NIK mode for exports from the environment
+ * @returns {string} One of NIK_MODES (default: masked)
+ */
+function getNikMode() {
+  const mode = (process.env.EXPORT_NIK_MODE || "masked").toLowerCase();
+  return NIK_MODES.includes(mode) ? mode : "masked";
+}
+
+/**
+ * Apply the NIK mode to one value
+ * @param {string} nik - NIK from the submission
+ * @param {string} mode - One of NIK_MODES
+ * @returns {string} NIK as it should appear in the file
+ */
+function maskNik(nik, mode) {
+  const value = String(nik || "");
+  if (mode === "full") return value;
+  if (mode === "hidden" || !value) return "";
+  return `${"*".repeat(Math.max(value.length - 4, 0))}${value.slice(-4)}`;
+}
+
+/**
+ * Turn a submission into one export row
+ * @param {Object} submission - Submission model instance
+ * @param {Object} options - { serviceNames: code -> name, nikMode }
+ * @returns {Object} Values keyed like EXPORT_COLUMNS
+ */
+function buildExportRow(submission, { serviceNames, nikMode }) {
+  return {
+    tracking_code: submission.tracking_code,
+    created_at: submission.created_at,
+    nama: submission.nama,
+    nik: maskNik(submission.nik, nikMode),
+    email: submission.email,
+    no_wa: submission.no_wa,
+    jenis_layanan: submission.jenis_layanan,
+    service_name: serviceNames[submission.jenis_layanan] || submission.jenis_layanan,
+    status: getStatusText(submission.status),
+    rejection_reason: submission.rejection_reason || "",
+    updated_at: submission.updated_at,
+  };
+}
+
+/**
+ * Read matching submissions batch by batch
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} query - { where, order } from lib/submission-query
+ * @returns {AsyncGenerator<Object>} Submission model instances
+ */
+async function* iterateSubmissions(db, { where, order }) {
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const batch = await db.Submission.findAll({
+      where,
+      order,
+      limit: EXPORT_BATCH_SIZE,
+      offset,
+    });
+    yield* batch;
+    if (batch.length < EXPORT_BATCH_SIZE) return;
+  }
+}
+
+/**
+ * Quote one CSV cell
+ * Teks yang diawali =, +, -, @ diberi tanda kutip tunggal supaya tidak
+ * dijalankan sebagai formula oleh Excel, kecuali angka seperti +628...
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d[\d\s-]*$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Generate the CSV file line by line
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} query - { where, order }
+ * @param {Object} options - { serviceNames, nikMode }
+ * @returns {AsyncGenerator<Buffer>} CSV chunks
+ */
+async function* generateCsv(db, query, options) {
+  // BOM supaya Excel membaca file sebagai UTF-8
+  const header = EXPORT_COLUMNS.map((column) => toCsvCell(column.header)).join(",");
+  yield Buffer.from(`\uFEFF${header}\r\n`);
+
+  for await (const submission of iterateSubmissions(db, query)) {
+    const row = buildExportRow(submission, options);
+    const line = EXPORT_COLUMNS.map((column) => toCsvCell(row[column.key])).join(",");
+    yield Buffer.from(`${line}\r\n`);
+  }
+}
+
+/**
+ * Write the XLSX workbook to a stream with the ExcelJS streaming writer
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} query - { where, order }
+ * @param {Object} options - { serviceNames, nikMode }
+ * @param {PassThrough} output - Stream that receives the file
+ * @returns {Promise<void>}
+ */
+async function writeXlsx(db, query, options, output) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: true,
+    useSharedStrings: false,
+  });
+  const worksheet = workbook.addWorksheet("Pengajuan");
+  worksheet.columns = EXPORT_COLUMNS.map((column) => ({
+    ...column,
+    style: column.key.endsWith("_at") ? { numFmt: "dd/mm/yyyy hh:mm" } : {},
+  }));
+
+  for await (const submission of iterateSubmissions(db, query)) {
+    worksheet.addRow(buildExportRow(submission, options)).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Create the export file as a Node stream
+ * Error di tengah ekspor memutus stream (file tidak lengkap) dan dicatat.
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} query - { where, order } from lib/submission-query
+ * @param {Object} options - { serviceNames, nikMode }
+ * @returns {Readable} File contents
+ */
+function createExportStream(format, db, query, options) {
+  if (format === "xlsx") {
+    const output = new PassThrough();
+    writeXlsx(db, query, options, output).catch((error) => {
+      console.error("Error writing XLSX export:", error);
+      output.destroy(error);
+    });
+    return output;
+  }
+
+  const output = Readable.from(generateCsv(db, query, options));
+  output.on("error", (error) => {
+    console.error("Error writing CSV export:", error);
+  });
+  return output;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  NIK_MODES,
+  EXPORT_COLUMNS,
+  getNikMode,
+  maskNik,
+  createExportStream,
+};
@@ -0,0 +1,107 @@
+/**
+ * Status history of submissions
+ * Setiap perpindahan status dicatat ke tabel submission_status_histories
+ * sehingga bisa dijawab "kapan pindah ke DIPROSES dan siapa yang mengubahnya".
+ */
+
+const INITIAL_STATUS = "PENGAJUAN_BARU";
+
+/**
+ * Record a status transition of a submission
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} params - Transition details
+ * @param {Object} params.submission - Submission model instance
+ * @param {string|null} params.fromStatus - Previous status (null on creation)
+ * @param {string} params.toStatus - New status
+ * @param {Object} [params.admin] - Admin who made the change (null for citizens)
+ * @param {Object} [options] - Sequelize options, e.g. { transaction }
+ * @returns {Promise<Object>} Created SubmissionStatusHistory
+ */
+async function recordStatusChange(
+  db,
+  { submission, fromStatus, toStatus, admin = null },
+  options = {}
+) {
+  const { SubmissionStatusHistory } = db;
+
+  return await SubmissionStatusHistory.create(
+    {
+      submission_id: submission.id,
+      from_status: fromStatus,
+      to_status: toStatus,
+      changed_by: admin ? admin.id : null,
+      changed_by_username: admin ? admin.username : null,
+    },
+    options
+  );
+}
+
+/**
+ * Get the status timeline of a submission, oldest first
+ * Pengajuan lama dibuat sebelum riwayat dicatat, jadi entri pembuatannya
+ * disusun dari created_at. Tanpa riwayat sama sekali, status sekarang diambil
+ * dari updated_at.
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {Object} submission - Submission model instance
+ * @returns {Promise<Array<Object>>} Timeline entries
+ */
+async function getStatusTimeline(db, submission) {
+  const { SubmissionStatusHistory } = db;
+
+  const history = await SubmissionStatusHistory.findAll({
+    where: { submission_id: submission.id },
+    order: [["created_at", "ASC"]],
+  });
+
+  const timeline = history.map((entry) => ({
+    id: entry.id,
+    from_status: entry.from_status,
+    to_status: entry.to_status,
+    changed_by: entry.changed_by,
+    changed_by_username: entry.changed_by_username,
+    created_at: entry.created_at,
+  }));
+
+  // Entri pembuatan dicatat dengan from_status kosong
+  if (timeline.length === 0 || timeline[0].from_status !== null) {
+    timeline.unshift({
+      id: null,
+      from_status: null,
+      to_status: INITIAL_STATUS,
+      changed_by: null,
+      changed_by_username: null,
+      created_at: submission.created_at,
+    });
+  }
+
+  if (history.length === 0 && submission.status !== INITIAL_STATUS) {
+    timeline.push({
+      id: null,
+      from_status: null,
+      to_status: submission.status,
+      changed_by: null,
+      changed_by_username: null,
+      created_at: submission.updated_at,
+    });
+  }
+
+  return timeline;
+}
+
+/**
+ * Strip a timeline down to what citizens may see (status and date only)
+ * @param {Array<Object>} timeline - Timeline from getStatusTimeline
+ * @returns {Array<Object>} Redacted timeline
+ */
+function toPublicTimeline(timeline) {
+  return timeline.map((entry) => ({
+    status: entry.to_status,
+    changed_at: entry.created_at,
+  }));
+}
+
+module.exports = {
+  recordStatusChange,
+  getStatusTimeline,
+  toPublicTimeline,
+};
@@ -0,0 +1,243 @@
+/**
+ * Query parameters for submission lists and search (dashboard, export)
+ * Halaman, urutan dan filter dibaca dari query string lalu diubah menjadi
+ * opsi Sequelize, supaya daftar besar tidak perlu dimuat seluruhnya.
+ */
+
+const { Op } = require("sequelize");
+const { SUBMISSION_STATUSES } = require("./submission-workflow");
+const { normalizePhoneNumber } = require("./phone");
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_LENGTH = 100;
+// Pencarian NIK/nomor WA baru dipakai jika kata kunci cukup panjang
+const MIN_NIK_SEARCH_DIGITS = 6;
+const MIN_PHONE_SEARCH_DIGITS = 8;
+
+// Kolom yang boleh dipakai untuk mengurutkan daftar
+const SORTABLE_FIELDS = [
+  "created_at",
+  "updated_at",
+  "tracking_code",
+  "nama",
+  "jenis_layanan",
+  "status",
+];
+
+/**
+ * Read page and pageSize from the query string
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {Object} { page, pageSize }
+ */
+function parsePagination(searchParams) {
+  const page = Math.max(parseInt(searchParams.get("page"), 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(searchParams.get("pageSize"), 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  return { page, pageSize };
+}
+
+/**
+ * Read sort field and direction from the query string
+ * Kolom yang tidak dikenal jatuh ke created_at terbaru lebih dulu.
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {Array} Sequelize order, with id as tie-breaker for stable pages
+ */
+function parseSort(searchParams) {
+  const field = SORTABLE_FIELDS.includes(searchParams.get("sort"))
+    ? searchParams.get("sort")
+    : "created_at";
+  const direction = searchParams.get("order") === "asc" ? "ASC" : "DESC";
+  return [
+    [field, direction],
+    ["id", "ASC"],
+  ];
+}
+
+/**
+ * Read list filters from the query string
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {Object} { filters, error } where filters holds statuses,
+ *   service, from, to and q
+ */
+function parseSubmissionFilters(searchParams) {
+  const filters = {
+    statuses: [],
+    service: null,
+    from: null,
+    to: null,
+    q: "",
+  };
+
+  // status=DIPROSES,PERLU_KELENGKAPAN
+  const status = searchParams.get("status");
+  if (status && status !== "ALL") {
+    filters.statuses = status.split(",").map((value) => value.trim()).filter(Boolean);
+    const unknown = filters.statuses.find((value) => !SUBMISSION_STATUSES.includes(value));
+    if (unknown) {
+      return { filters, error: `Status tidak dikenal: ${unknown}` };
+    }
+  }
+
+  const service = searchParams.get("service")?.trim();
+  if (service) filters.service = service;
+
+  const from = searchParams.get("from");
+  const to = searchParams.get("to");
+  if (from) filters.from = new Date(from);
+  if (to) filters.to = new Date(to);
+  if ((filters.from && isNaN(filters.from)) || (filters.to && isNaN(filters.to))) {
+    return { filters, error: "Format tanggal tidak valid" };
+  }
+
+  const q = (searchParams.get("q") || "").trim();
+  if (q.length > MAX_SEARCH_LENGTH) {
+    return { filters, error: `Kata kunci maksimal ${MAX_SEARCH_LENGTH} karakter` };
+  }
+  filters.q = q;
+
+  return { filters, error: null };
+}
+
+/**
+ * Case-insensitive LIKE for the active dialect
+ * Postgres butuh ILIKE; LIKE di SQLite sudah tidak peka huruf besar/kecil.
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {symbol} Sequelize operator
+ */
+function getLikeOperator(sequelize) {
+  return sequelize.getDialect() === "postgres" ? Op.iLike : Op.like;
+}
+
+/**
+ * Build a "contains" LIKE pattern for the search text
+ * Wildcard dari input di-escape di Postgres (escape default "\\"); SQLite
+ * tidak punya karakter escape default sehingga teksnya dipakai apa adanya.
+ * @param {string} value - Search text
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {string} Pattern for getLikeOperator
+ */
+function buildContainsPattern(value, sequelize) {
+  const text =
+    sequelize.getDialect() === "postgres"
+      ? value.replace(/[\\%_]/g, (char) => `\\${char}`)
+      : value;
+  return `%${text}%`;
+}
+
+/**
+ * Strip the separators people type in NIKs and phone numbers
+ * @param {string} q - Search text
+ * @returns {string|null} Digits only, or null if the text is not numeric
+ */
+function getSearchDigits(q) {
+  const digits = q.replace(/[\s.\-()+]/g, "");
+  return /^\d+$/.test(digits) ? digits : null;
+}
+
+/**
+ * Conditions for the free-text search, to be combined with Op.or
+ * Nama dan kode tracking dicari sebagian (tanpa membedakan huruf besar/kecil).
+ * Kata kunci berupa angka juga dicocokkan ke NIK (sebagian) dan ke nomor WA
+ * setelah dinormalisasi, jadi "0812-3456-7890" menemukan "+6281234567890".
+ * @param {string} q - Search text
+ * @param {Object} sequelize - Sequelize instance (for the dialect)
+ * @returns {Array<Object>} Sequelize where conditions
+ */
+function buildSearchConditions(q, sequelize) {
+  const like = getLikeOperator(sequelize);
+  const pattern = buildContainsPattern(q, sequelize);
+  const conditions = [
+    { nama: { [like]: pattern } },
+    { tracking_code: { [like]: pattern } },
+  ];
+
+  const digits = getSearchDigits(q);
+  if (digits && digits.length >= MIN_NIK_SEARCH_DIGITS) {
+    conditions.push({ nik: { [like]: buildContainsPattern(digits, sequelize) } });
+  }
+  if (digits && digits.length >= MIN_PHONE_SEARCH_DIGITS) {
+    conditions.push({ no_wa: normalizePhoneNumber(digits) });
+  }
+
+  return conditions;
+}
+
+/**
+ * Tell which fields of a search result matched the search text
+ * @param {Object} submission - Submission found by buildSearchConditions
+ * @param {string} q - Search text
+ * @returns {Array<string>} Matched fields: nama, tracking_code, nik, no_wa
+ */
+function describeSearchMatch(submission, q) {
+  const text = q.toLowerCase();
+  const digits = getSearchDigits(q);
+  const matched = [];
+
+  if (String(submission.nama || "").toLowerCase().includes(text)) matched.push("nama");
+  if (String(submission.tracking_code || "").toLowerCase().includes(text)) {
+    matched.push("tracking_code");
+  }
+  if (
+    digits &&
+    digits.length >= MIN_NIK_SEARCH_DIGITS &&
+    String(submission.nik || "").includes(digits)
+  ) {
+    matched.push("nik");
+  }
+  if (
+    digits &&
+    digits.length >= MIN_PHONE_SEARCH_DIGITS &&
+    submission.no_wa === normalizePhoneNumber(digits)
+  ) {
+    matched.push("no_wa");
+  }
+
+  return matched;
+}
+
+/**
+ * Build the Submission where clause for parsed filters
+ * @param {Object} filters - Result of parseSubmissionFilters
+ * @param {Object} sequelize - Sequelize instance (for the dialect)
+ * @returns {Object} Sequelize where clause
+ */
+function buildSubmissionWhere(filters, sequelize) {
+  const where = {};
+
+  if (filters.statuses.length === 1) {
+    where.status = filters.statuses[0];
+  } else if (filters.statuses.length > 1) {
+    where.status = { [Op.in]: filters.statuses };
+  }
+
+  if (filters.service) where.jenis_layanan = filters.service;
+
+  if (filters.from || filters.to) {
+    where.created_at = {};
+    if (filters.from) where.created_at[Op.gte] = filters.from;
+    if (filters.to) where.created_at[Op.lte] = filters.to;
+  }
+
+  if (filters.q) {
+    where[Op.or] = buildSearchConditions(filters.q, sequelize);
+  }
+
+  return where;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORTABLE_FIELDS,
+  parsePagination,
+  parseSort,
+  parseSubmissionFilters,
+  getLikeOperator,
+  buildContainsPattern,
+  buildSearchConditions,
+  describeSearchMatch,
+  buildSubmissionWhere,
+};
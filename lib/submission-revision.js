@@ -0,0 +1,97 @@
+/**
+ * "Perlu kelengkapan" flow
+ * Admin mengirim daftar kekurangan ke pemohon. Pemohon membuka halaman
+ * /public/revision dengan kode tracking + 4 digit terakhir NIK, melengkapi
+ * data atau dokumen, lalu pengajuan kembali ke antrean verifikasi.
+ */
+
+const crypto = require("crypto");
+
+const REVISION_STATUS = "PERLU_KELENGKAPAN";
+// Status setelah pemohon mengirim kelengkapan (kembali ke antrean verifikasi)
+const RESUBMITTED_STATUS = "DIPROSES";
+
+const MAX_REVISION_ITEMS = 20;
+const MAX_REVISION_ITEM_LENGTH = 200;
+const MAX_REVISION_NOTE_LENGTH = 1000;
+
+/**
+ * Validate the list of missing items an admin sends with PERLU_KELENGKAPAN
+ * @param {Object} body - Status update request body
+ * @returns {Object} { items, note, error }
+ */
+function validateRevisionRequest(body) {
+  const items = Array.isArray(body.revision_items)
+    ? body.revision_items
+        .filter((item) => typeof item === "string")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+  const note = typeof body.revision_note === "string" ? body.revision_note.trim() : "";
+
+  if (items.length === 0) {
+    return { items, note, error: "Daftar kekurangan wajib diisi" };
+  }
+  if (items.length > MAX_REVISION_ITEMS) {
+    return { items, note, error: `Maksimal ${MAX_REVISION_ITEMS} item kekurangan` };
+  }
+  if (items.some((item) => item.length > MAX_REVISION_ITEM_LENGTH)) {
+    return {
+      items,
+      note,
+      error: `Setiap item kekurangan maksimal ${MAX_REVISION_ITEM_LENGTH} karakter`,
+    };
+  }
+  if (note.length > MAX_REVISION_NOTE_LENGTH) {
+    return {
+      items,
+      note,
+      error: `Catatan untuk pemohon maksimal ${MAX_REVISION_NOTE_LENGTH} karakter`,
+    };
+  }
+
+  return { items, note, error: null };
+}
+
+/**
+ * Check the last 4 NIK digits the citizen typed
+ * @param {Object} submission - Submission model instance
+ * @param {string} nikLast4 - Digits from the revision page
+ * @returns {boolean} True if they match
+ */
+function verifyNikLast4(submission, nikLast4) {
+  if (typeof nikLast4 !== "string" || !/^\d{4}$/.test(nikLast4)) {
+    return false;
+  }
+  const expected = Buffer.from(String(submission.nik || "").slice(-4));
+  const actual = Buffer.from(nikLast4);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Throttle key for failed NIK checks on one tracking code
+ * Memakai tabel login_throttles supaya tebakan 4 digit NIK ikut dibatasi.
+ * @param {string} trackingCode - Submission tracking code
+ * @returns {string} Key passed as "username" to lib/auth/throttle
+ */
+function getRevisionThrottleKey(trackingCode) {
+  return `revision:${trackingCode}`;
+}
+
+/**
+ * Build the public link where the citizen completes the submission
+ * @param {string} trackingCode - Submission tracking code
+ * @returns {string} Absolute URL
+ */
+function buildRevisionUrl(trackingCode) {
+  return `${process.env.APP_BASE_URL}/public/revision?tracking_code=${encodeURIComponent(trackingCode)}`;
+}
+
+module.exports = {
+  REVISION_STATUS,
+  RESUBMITTED_STATUS,
+  validateRevisionRequest,
+  verifyNikLast4,
+  getRevisionThrottleKey,
+  buildRevisionUrl,
+};
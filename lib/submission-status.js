@@ -0,0 +1,61 @@
+/**
+ * Admin status changes
+ * Aturan tambahan per status tujuan (alasan DITOLAK, daftar kekurangan
+ * PERLU_KELENGKAPAN) dipakai bersama oleh ubah status satu pengajuan dan
+ * ubah status massal.
+ */
+
+const { REVISION_STATUS, validateRevisionRequest } = require("./submission-revision");
+
+/**
+ * Build the column updates for moving submissions to a status
+ * DITOLAK wajib disertai alasan: dari daftar, teks bebas, atau keduanya.
+ * PERLU_KELENGKAPAN wajib menyebutkan apa saja yang kurang.
+ * @param {Object} db - Database instance from getVercelDatabase
+ * @param {string} status - Target status
+ * @param {Object} body - Request body (rejection_reason_id, rejection_reason,
+ *   revision_items, revision_note)
+ * @returns {Promise<Object>} { updates, error }
+ */
+async function buildStatusUpdates(db, status, body) {
+  const updates = { status, rejection_reason: null, rejection_reason_id: null };
+
+  if (status === "DITOLAK") {
+    const customReason =
+      typeof body.rejection_reason === "string" ? body.rejection_reason.trim() : "";
+    let reasonLabel = null;
+
+    if (body.rejection_reason_id) {
+      const reason = await db.RejectionReason.findOne({
+        where: { id: body.rejection_reason_id, is_active: true },
+      });
+      if (!reason) {
+        return { updates, error: "Alasan penolakan tidak ditemukan" };
+      }
+      reasonLabel = reason.label;
+      updates.rejection_reason_id = reason.id;
+    }
+
+    if (!reasonLabel && !customReason) {
+      return { updates, error: "Alasan penolakan wajib diisi" };
+    }
+
+    updates.rejection_reason = [reasonLabel, customReason].filter(Boolean).join(". ");
+  }
+
+  if (status === REVISION_STATUS) {
+    const { items, note, error } = validateRevisionRequest(body);
+    if (error) {
+      return { updates, error };
+    }
+    updates.revision_items = items;
+    updates.revision_note = note || null;
+    updates.revision_requested_at = new Date();
+  }
+
+  return { updates, error: null };
+}
+
+module.exports = {
+  buildStatusUpdates,
+};
@@ -0,0 +1,133 @@
+/**
+ * Submission status workflow
+ * Tabel transisi menentukan status apa saja yang boleh dituju dari setiap
+ * status. Tabel default bisa diubah lewat env SUBMISSION_TRANSITIONS (JSON),
+ * misalnya {"DITOLAK":["DIPROSES"]} untuk mengizinkan pengajuan yang ditolak
+ * diproses ulang.
+ */
+
+const SUBMISSION_STATUSES = [
+  "PENGAJUAN_BARU",
+  "DIPROSES",
+  "PERLU_KELENGKAPAN",
+  "SELESAI",
+  "DITOLAK",
+];
+
+const STATUS_LABELS = {
+  PENGAJUAN_BARU: "Pengajuan Baru",
+  DIPROSES: "Sedang Diproses",
+  PERLU_KELENGKAPAN: "Perlu Kelengkapan",
+  SELESAI: "Selesai",
+  DITOLAK: "Ditolak",
+};
+
+const DEFAULT_TRANSITIONS = {
+  PENGAJUAN_BARU: ["DIPROSES", "PERLU_KELENGKAPAN", "DITOLAK"],
+  DIPROSES: ["SELESAI", "PERLU_KELENGKAPAN", "DITOLAK"],
+  // Pemohon melengkapi lewat /public/revision (otomatis ke DIPROSES), atau
+  // admin memprosesnya langsung bila kelengkapan diserahkan di loket
+  PERLU_KELENGKAPAN: ["DIPROSES", "DITOLAK"],
+  // SELESAI dan DITOLAK adalah status akhir
+  SELESAI: [],
+  DITOLAK: [],
+};
+
+// Daftar awal alasan penolakan, bisa diubah superadmin dari dashboard
+const DEFAULT_REJECTION_REASONS = [
+  "Dokumen persyaratan tidak lengkap",
+  "Data tidak sesuai dengan dokumen",
+  "NIK tidak terdaftar atau tidak valid",
+  "Jenis layanan tidak sesuai dengan kebutuhan",
+];
+
+/**
+ * Get the active transition table (defaults merged with SUBMISSION_TRANSITIONS)
+ * @returns {Object} Map of status to the statuses it may move to
+ */
+function getTransitionTable() {
+  const table = { ...DEFAULT_TRANSITIONS };
+
+  const override = process.env.SUBMISSION_TRANSITIONS;
+  if (!override) {
+    return table;
+  }
+
+  try {
+    const parsed = JSON.parse(override);
+    for (const [from, targets] of Object.entries(parsed)) {
+      if (!SUBMISSION_STATUSES.includes(from) || !Array.isArray(targets)) {
+        console.warn(`⚠️ Ignoring invalid SUBMISSION_TRANSITIONS entry: ${from}`);
+        continue;
+      }
+      table[from] = targets.filter(
+        (to) => SUBMISSION_STATUSES.includes(to) && to !== from
+      );
+    }
+  } catch (error) {
+    console.warn("⚠️ SUBMISSION_TRANSITIONS is not valid JSON, using defaults");
+  }
+
+  return table;
+}
+
+/**
+ * Get the statuses a submission may move to next
+ * @param {string} status - Current status
+ * @param {Object} [table] - Transition table (defaults to getTransitionTable())
+ * @returns {Array<string>} Allowed next statuses
+ */
+function getNextStatuses(status, table = getTransitionTable()) {
+  return table[status] || [];
+}
+
+/**
+ * Check whether a status transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @param {Object} [table] - Transition table (defaults to getTransitionTable())
+ * @returns {boolean} True if allowed
+ */
+function canTransition(from, to, table = getTransitionTable()) {
+  return getNextStatuses(from, table).includes(to);
+}
+
+/**
+ * Explain why a transition is not allowed, for 409 responses
+ * @param {string} from - Current status
+ * @param {string} to - Rejected target status
+ * @param {Object} [table] - Transition table (defaults to getTransitionTable())
+ * @returns {string} Human-readable explanation
+ */
+function describeIllegalTransition(from, to, table = getTransitionTable()) {
+  const next = getNextStatuses(from, table);
+
+  if (next.length === 0) {
+    return `Pengajuan dengan status ${getStatusText(from)} sudah final dan tidak dapat diubah`;
+  }
+
+  return `Status tidak dapat diubah dari ${getStatusText(from)} ke ${getStatusText(to)}. Status berikutnya yang diizinkan: ${next
+    .map(getStatusText)
+    .join(", ")}`;
+}
+
+/**
+ * Get human-readable status text
+ * @param {string} status - Status code
+ * @returns {string} Human-readable status
+ */
+function getStatusText(status) {
+  return STATUS_LABELS[status] || status;
+}
+
+module.exports = {
+  SUBMISSION_STATUSES,
+  STATUS_LABELS,
+  DEFAULT_TRANSITIONS,
+  DEFAULT_REJECTION_REASONS,
+  getTransitionTable,
+  getNextStatuses,
+  canTransition,
+  describeIllegalTransition,
+  getStatusText,
+};
@@ -0,0 +1,16 @@
+// Primary key semua tabel bertipe UUID; nilai lain membuat query Postgres
+// error ("invalid input syntax for type uuid")
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check whether a value can be used as a UUID primary key
+ * @param {*} value - ID from the URL, query string or request body
+ * @returns {boolean} True if the value is a UUID string
+ */
+function isUuid(value) {
+  return typeof value === "string" && UUID_PATTERN.test(value);
+}
+
+module.exports = {
+  isUuid,
+};
@@ -5,6 +5,10 @@
 
 const { createVercelSequelize } = require("./vercel-db");
 const { DataTypes } = require("sequelize");
+const { ROLES } = require("./auth/roles");
+const { DEFAULT_REJECTION_REASONS } = require("./submission-workflow");
+const { DEFAULT_SERVICE_TYPES } = require("./service-types");
+const { DEFAULT_TEMPLATES } = require("./notify/templates");
 
 // Cache for initialized database instances
 const dbCache = new Map();
@@ -52,6 +56,37 @@ async function initializeVercelDatabase(databaseUrl) {
           type: DataTypes.STRING,
           allowNull: false,
         },
+        role: {
+          type: DataTypes.ENUM(...Object.values(ROLES)),
+          defaultValue: ROLES.FRONT_DESK,
+          allowNull: false,
+        },
+        is_active: {
+          type: DataTypes.BOOLEAN,
+          defaultValue: true,
+          allowNull: false,
+        },
+        totp_enabled: {
+          type: DataTypes.BOOLEAN,
+          defaultValue: false,
+          allowNull: false,
+        },
+        totp_secret: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        totp_pending_secret: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        totp_recovery_codes: {
+          type: DataTypes.JSON,
+          allowNull: true,
+        },
+        totp_last_used_step: {
+          type: DataTypes.INTEGER,
+          allowNull: true,
+        },
       },
       {
         tableName: "admins",
@@ -99,16 +134,45 @@ async function initializeVercelDatabase(databaseUrl) {
           allowNull: false,
         },
         status: {
-          type: DataTypes.ENUM("PENGAJUAN_BARU", "DIPROSES", "SELESAI", "DITOLAK"),
+          type: DataTypes.ENUM("PENGAJUAN_BARU", "DIPROSES", "PERLU_KELENGKAPAN", "SELESAI", "DITOLAK"),
           defaultValue: "PENGAJUAN_BARU",
           allowNull: false,
         },
+        // Alasan penolakan yang dikirim ke pemohon saat status DITOLAK
+        rejection_reason: {
+          type: DataTypes.TEXT,
+          allowNull: true,
+        },
+        rejection_reason_id: {
+          type: DataTypes.UUID,
+          allowNull: true,
+        },
+        // Jawaban field tambahan sesuai form_schema layanan
+        form_data: {
+          type: DataTypes.JSON,
+          allowNull: true,
+        },
+        // Daftar kekurangan yang diminta admin saat status PERLU_KELENGKAPAN
+        revision_items: {
+          type: DataTypes.JSON,
+          allowNull: true,
+        },
+        revision_note: {
+          type: DataTypes.TEXT,
+          allowNull: true,
+        },
+        revision_requested_at: {
+          type: DataTypes.DATE,
+          allowNull: true,
+        },
       },
       {
         tableName: "submissions",
         timestamps: true,
         createdAt: "created_at",
         updatedAt: "updated_at",
+        // Counter lookups by NIK and WhatsApp number (admin search)
+        indexes: [{ fields: ["nik"] }, { fields: ["no_wa"] }],
       }
     );
 
@@ -141,18 +205,661 @@ async function initializeVercelDatabase(databaseUrl) {
           type: DataTypes.JSON,
           allowNull: false,
         },
+        // Provider and its message ID, used to match delivery webhooks
+        provider: {
+          type: DataTypes.STRING(30),
+          allowNull: true,
+        },
+        provider_message_id: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        // Delivery status reported later by the provider's webhook
+        delivery_status: {
+          type: DataTypes.ENUM("SENT", "DELIVERED", "READ", "FAILED", "BOUNCED"),
+          allowNull: true,
+        },
+        delivery_error: {
+          type: DataTypes.TEXT,
+          allowNull: true,
+        },
+        delivery_updated_at: {
+          type: DataTypes.DATE,
+          allowNull: true,
+        },
       },
       {
         tableName: "notification_logs",
         timestamps: true,
         createdAt: "created_at",
         updatedAt: false,
+        indexes: [{ fields: ["provider", "provider_message_id"] }],
+      }
+    );
+
+    // Define ServiceType model (catalog of services citizens can apply for)
+    const ServiceType = sequelize.define(
+      "ServiceType",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        code: {
+          type: DataTypes.STRING(50),
+          allowNull: false,
+          unique: true,
+        },
+        name: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        description: {
+          type: DataTypes.TEXT,
+          allowNull: true,
+        },
+        requirements: {
+          type: DataTypes.JSON,
+          allowNull: false,
+          defaultValue: [],
+        },
+        sla_days: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 7,
+        },
+        is_active: {
+          type: DataTypes.BOOLEAN,
+          defaultValue: true,
+          allowNull: false,
+        },
+        sort_order: {
+          type: DataTypes.INTEGER,
+          defaultValue: 0,
+          allowNull: false,
+        },
+        // Field tambahan per layanan, lihat lib/service-fields.js
+        form_schema: {
+          type: DataTypes.JSON,
+          allowNull: true,
+        },
+      },
+      {
+        tableName: "service_types",
+        timestamps: true,
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+      }
+    );
+
+    // Define RejectionReason model (managed list of reasons for DITOLAK)
+    const RejectionReason = sequelize.define(
+      "RejectionReason",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        label: {
+          type: DataTypes.STRING,
+          allowNull: false,
+          unique: true,
+        },
+        is_active: {
+          type: DataTypes.BOOLEAN,
+          defaultValue: true,
+          allowNull: false,
+        },
+        sort_order: {
+          type: DataTypes.INTEGER,
+          defaultValue: 0,
+          allowNull: false,
+        },
+      },
+      {
+        tableName: "rejection_reasons",
+        timestamps: true,
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+      }
+    );
+
+    // Define SubmissionNote model (internal notes, never shown to citizens)
+    const SubmissionNote = sequelize.define(
+      "SubmissionNote",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        submission_id: {
+          type: DataTypes.UUID,
+          allowNull: false,
+          references: {
+            model: "submissions",
+            key: "id",
+          },
+        },
+        admin_id: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          references: {
+            model: "admins",
+            key: "id",
+          },
+        },
+        admin_username: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        note: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+        },
+      },
+      {
+        tableName: "submission_notes",
+        timestamps: true,
+        createdAt: "created_at",
+        updatedAt: false,
+        indexes: [{ fields: ["submission_id", "created_at"] }],
+      }
+    );
+
+    // Define Attachment model (uploaded documents, contents live in lib/storage)
+    const Attachment = sequelize.define(
+      "Attachment",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        submission_id: {
+          type: DataTypes.UUID,
+          allowNull: false,
+          references: {
+            model: "submissions",
+            key: "id",
+          },
+        },
+        original_name: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        mime_type: {
+          type: DataTypes.STRING(100),
+          allowNull: false,
+        },
+        size_bytes: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        storage_driver: {
+          type: DataTypes.STRING(20),
+          allowNull: false,
+        },
+        storage_key: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+      },
+      {
+        tableName: "attachments",
+        timestamps: true,
+        createdAt: "created_at",
+        updatedAt: false,
+        indexes: [{ fields: ["submission_id"] }],
+      }
+    );
+
+    // Define SubmissionStatusHistory model (one row per status transition)
+    const SubmissionStatusHistory = sequelize.define(
+      "SubmissionStatusHistory",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        submission_id: {
+          type: DataTypes.UUID,
+          allowNull: false,
+          references: {
+            model: "submissions",
+            key: "id",
+          },
+        },
+        from_status: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        to_status: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        changed_by: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          references: {
+            model: "admins",
+            key: "id",
+          },
+        },
+        changed_by_username: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+      },
+      {
+        tableName: "submission_status_histories",
+        timestamps: true,
+        createdAt: "created_at",
+        updatedAt: false,
+        indexes: [{ fields: ["submission_id", "created_at"] }],
+      }
+    );
+
+    // Define AdminSession model
+    const AdminSession = sequelize.define(
+      "AdminSession",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        admin_id: {
+          type: DataTypes.UUID,
+          allowNull: false,
+          references: {
+            model: "admins",
+            key: "id",
+          },
+        },
+        token_hash: {
+          type: DataTypes.STRING(64),
+          allowNull: false,
+          unique: true,
+        },
+        expires_at: {
+          type: DataTypes.DATE,
+          allowNull: false,
+        },
+        revoked_at: {
+          type: DataTypes.DATE,
+          allowNull: true,
+        },
+        mfa_pending: {
+          type: DataTypes.BOOLEAN,
+          defaultValue: false,
+          allowNull: false,
+        },
+        ip_address: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        user_agent: {
+          type: DataTypes.STRING(512),
+          allowNull: true,
+        },
+      },
+      {
+        tableName: "admin_sessions",
+        timestamps: true,
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+      }
+    );
+
+    // Define LoginThrottle model (failed login counters per account and per IP)
+    const LoginThrottle = sequelize.define(
+      "LoginThrottle",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        scope: {
+          // REVISION*: tebakan NIK di /public/revision, terpisah dari login admin
+          type: DataTypes.ENUM("ACCOUNT", "IP", "REVISION", "REVISION_IP"),
+          allowNull: false,
+        },
+        throttle_key: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        failed_count: {
+          type: DataTypes.INTEGER,
+          defaultValue: 0,
+          allowNull: false,
+        },
+        last_failed_at: {
+          type: DataTypes.DATE,
+          allowNull: true,
+        },
+        locked_until: {
+          type: DataTypes.DATE,
+          allowNull: true,
+        },
+      },
+      {
+        tableName: "login_throttles",
+        timestamps: true,
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+        indexes: [{ unique: true, fields: ["scope", "throttle_key"] }],
+      }
+    );
+
+    // Define PasswordResetToken model (one-time links from "lupa password")
+    const PasswordResetToken = sequelize.define(
+      "PasswordResetToken",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        admin_id: {
+          type: DataTypes.UUID,
+          allowNull: false,
+          references: {
+            model: "admins",
+            key: "id",
+          },
+        },
+        token_hash: {
+          type: DataTypes.STRING(64),
+          allowNull: false,
+          unique: true,
+        },
+        expires_at: {
+          type: DataTypes.DATE,
+          allowNull: false,
+        },
+        used_at: {
+          type: DataTypes.DATE,
+          allowNull: true,
+        },
+        ip_address: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+      },
+      {
+        tableName: "password_reset_tokens",
+        timestamps: true,
+        createdAt: "created_at",
+        updatedAt: false,
+      }
+    );
+
+    // Define AuditLog model (who did what, with before/after values)
+    const AuditLog = sequelize.define(
+      "AuditLog",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        actor_id: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          references: {
+            model: "admins",
+            key: "id",
+          },
+        },
+        actor_username: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        action: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        entity_type: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        entity_id: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        before: {
+          type: DataTypes.JSON,
+          allowNull: true,
+        },
+        after: {
+          type: DataTypes.JSON,
+          allowNull: true,
+        },
+        ip_address: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        user_agent: {
+          type: DataTypes.STRING(512),
+          allowNull: true,
+        },
+      },
+      {
+        tableName: "audit_logs",
+        timestamps: true,
+        createdAt: "created_at",
+        updatedAt: false,
+        indexes: [
+          { fields: ["created_at"] },
+          { fields: ["action"] },
+          { fields: ["actor_id"] },
+          { fields: ["entity_type", "entity_id"] },
+        ],
+      }
+    );
+
+    // Define NotificationOutbox model (notifications waiting to be delivered)
+    const NotificationOutbox = sequelize.define(
+      "NotificationOutbox",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        submission_id: {
+          type: DataTypes.UUID,
+          allowNull: false,
+          references: {
+            model: "submissions",
+            key: "id",
+          },
+        },
+        channel: {
+          type: DataTypes.ENUM("WHATSAPP", "EMAIL"),
+          allowNull: false,
+        },
+        // submission_created atau status_update
+        event: {
+          type: DataTypes.STRING(50),
+          allowNull: false,
+        },
+        // Recipient and message data captured when the message was queued
+        payload: {
+          type: DataTypes.JSON,
+          allowNull: false,
+        },
+        status: {
+          type: DataTypes.ENUM("PENDING", "PROCESSING", "SENT", "DEAD"),
+          allowNull: false,
+          defaultValue: "PENDING",
+        },
+        attempts: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        max_attempts: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+        },
+        next_attempt_at: {
+          type: DataTypes.DATE,
+          allowNull: false,
+          defaultValue: DataTypes.NOW,
+        },
+        locked_at: {
+          type: DataTypes.DATE,
+          allowNull: true,
+        },
+        last_error: {
+          type: DataTypes.TEXT,
+          allowNull: true,
+        },
+        sent_at: {
+          type: DataTypes.DATE,
+          allowNull: true,
+        },
+      },
+      {
+        tableName: "notification_outbox",
+        timestamps: true,
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+        indexes: [
+          { fields: ["status", "next_attempt_at"] },
+          { fields: ["submission_id"] },
+        ],
+      }
+    );
+
+    // Define MockMessage model (messages "sent" by the mock provider in development)
+    const MockMessage = sequelize.define(
+      "MockMessage",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        submission_id: {
+          type: DataTypes.UUID,
+          allowNull: true,
+        },
+        tracking_code: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        channel: {
+          type: DataTypes.STRING(20),
+          allowNull: false,
+        },
+        event: {
+          type: DataTypes.STRING(50),
+          allowNull: false,
+        },
+        recipient: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+        subject: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        // Plain text for WhatsApp, HTML for email
+        body: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+        },
+        message_id: {
+          type: DataTypes.STRING,
+          allowNull: false,
+        },
+      },
+      {
+        tableName: "mock_messages",
+        timestamps: true,
+        createdAt: "created_at",
+        updatedAt: false,
+      }
+    );
+
+    // Define NotificationTemplate model (admin-editable message content)
+    const NotificationTemplate = sequelize.define(
+      "NotificationTemplate",
+      {
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+        },
+        channel: {
+          type: DataTypes.ENUM("WHATSAPP", "EMAIL"),
+          allowNull: false,
+        },
+        event: {
+          type: DataTypes.STRING(50),
+          allowNull: false,
+        },
+        // null = berlaku untuk semua layanan yang tidak punya template sendiri
+        service_code: {
+          type: DataTypes.STRING(50),
+          allowNull: true,
+        },
+        subject: {
+          type: DataTypes.STRING,
+          allowNull: true,
+        },
+        // Sintaks template: lihat lib/notify/templates.js
+        body: {
+          type: DataTypes.TEXT,
+          allowNull: false,
+        },
+        is_active: {
+          type: DataTypes.BOOLEAN,
+          defaultValue: true,
+          allowNull: false,
+        },
+        updated_by: {
+          type: DataTypes.UUID,
+          allowNull: true,
+        },
+      },
+      {
+        tableName: "notification_templates",
+        timestamps: true,
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+        indexes: [
+          {
+            fields: ["channel", "event", "service_code"],
+          },
+        ],
       }
     );
 
     // Define relationships
     Submission.hasMany(NotificationLog, { foreignKey: "submission_id" });
     NotificationLog.belongsTo(Submission, { foreignKey: "submission_id" });
+    Submission.hasMany(SubmissionStatusHistory, { foreignKey: "submission_id" });
+    SubmissionStatusHistory.belongsTo(Submission, { foreignKey: "submission_id" });
+    Submission.hasMany(SubmissionNote, { foreignKey: "submission_id" });
+    SubmissionNote.belongsTo(Submission, { foreignKey: "submission_id" });
+    Submission.hasMany(Attachment, { foreignKey: "submission_id" });
+    Attachment.belongsTo(Submission, { foreignKey: "submission_id" });
+    Submission.hasMany(NotificationOutbox, { foreignKey: "submission_id" });
+    NotificationOutbox.belongsTo(Submission, { foreignKey: "submission_id" });
+    Admin.hasMany(AdminSession, { foreignKey: "admin_id" });
+    AdminSession.belongsTo(Admin, { foreignKey: "admin_id" });
+    Admin.hasMany(PasswordResetToken, { foreignKey: "admin_id" });
+    PasswordResetToken.belongsTo(Admin, { foreignKey: "admin_id" });
+    Admin.hasMany(AuditLog, { foreignKey: "actor_id" });
+    AuditLog.belongsTo(Admin, { foreignKey: "actor_id", as: "actor" });
 
     // Test connection
     await sequelize.authenticate();
@@ -318,23 +1025,104 @@ async function initializeVercelDatabase(databaseUrl) {
           username: 'admin',
           email: 'admin@diskominfo-bogor.go.id',
           password: hashedPassword,
+          role: ROLES.SUPERADMIN,
         });
         
         console.log("✅ Default admin created (username: admin, password: admin123)");
       } else {
         console.log(`👤 Found ${adminCount} existing admin user(s)`);
+
+        // Admin lama mendapat role default saat kolom role ditambahkan,
+        // pastikan tetap ada satu superadmin yang bisa mengelola akun lain
+        const superadminCount = await Admin.count({
+          where: { role: ROLES.SUPERADMIN },
+        });
+        if (superadminCount === 0) {
+          const firstAdmin = await Admin.findOne({
+            order: [["created_at", "ASC"]],
+          });
+          await firstAdmin.update({ role: ROLES.SUPERADMIN });
+          console.log(`✅ Promoted ${firstAdmin.username} to superadmin`);
+        }
       }
     } catch (adminError) {
       console.error("❌ Error creating default admin:", adminError.message);
       // Don't fail the entire initialization for this
     }
 
+    // Seed the service catalog with the services the form used to hard-code
+    try {
+      const serviceCount = await ServiceType.count();
+      if (serviceCount === 0) {
+        await ServiceType.bulkCreate(
+          DEFAULT_SERVICE_TYPES.map((service, index) => ({
+            ...service,
+            sort_order: index,
+          }))
+        );
+        console.log("✅ Default service types created");
+      } else {
+        // Catalogs seeded before form_schema existed get the default fields once
+        for (const service of DEFAULT_SERVICE_TYPES) {
+          if (service.form_schema) {
+            await ServiceType.update(
+              { form_schema: service.form_schema },
+              { where: { code: service.code, form_schema: null } }
+            );
+          }
+        }
+      }
+    } catch (serviceError) {
+      console.error("❌ Error creating default service types:", serviceError.message);
+    }
+
+    // Seed the rejection reason list so DITOLAK can be used right away
+    try {
+      const reasonCount = await RejectionReason.count();
+      if (reasonCount === 0) {
+        await RejectionReason.bulkCreate(
+          DEFAULT_REJECTION_REASONS.map((label, index) => ({
+            label,
+            sort_order: index,
+          }))
+        );
+        console.log("✅ Default rejection reasons created");
+      }
+    } catch (reasonError) {
+      console.error("❌ Error creating default rejection reasons:", reasonError.message);
+    }
+
+    // Seed the templates with the messages that used to be hard-coded
+    try {
+      const templateCount = await NotificationTemplate.count();
+      if (templateCount === 0) {
+        await NotificationTemplate.bulkCreate(
+          DEFAULT_TEMPLATES.map((template) => ({ ...template, service_code: null }))
+        );
+        console.log("✅ Default notification templates created");
+      }
+    } catch (templateError) {
+      console.error("❌ Error creating default notification templates:", templateError.message);
+    }
+
     // Cache the database instance
     const dbInstance = {
       sequelize,
       Admin,
       Submission,
       NotificationLog,
+      SubmissionStatusHistory,
+      ServiceType,
+      RejectionReason,
+      SubmissionNote,
+      Attachment,
+      AdminSession,
+      LoginThrottle,
+      PasswordResetToken,
+      AuditLog,
+      NotificationOutbox,
+      MockMessage,
+      NotificationTemplate,
     };
 
     dbCache.set(databaseUrl, dbInstance);
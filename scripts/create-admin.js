@@ -57,13 +57,15 @@ async function createDefaultAdmin() {
     const admin = await Admin.create({
       username: "admin",
       email: "admin@diskominfo-bogor.go.id",
-      password: hashedPassword
+      password: hashedPassword,
+      role: "SUPERADMIN"
     });
     
     console.log("✅ Admin berhasil dibuat!");
     console.log("👤 Username: admin");
     console.log("📧 Email: admin@diskominfo-bogor.go.id");
     console.log("🔑 Password: admin123");
+    console.log("🛡️  Role: SUPERADMIN");
     console.log("⚠️  Jangan lupa ganti password di production!");
     
   } catch (error) {
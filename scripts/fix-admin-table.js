@@ -59,6 +59,7 @@ async function fixAdminTable() {
         username: 'admin',
         email: 'admin@diskominfo-bogor.go.id',
         password: hashedPassword,
+        role: 'SUPERADMIN',
       });
       
       console.log('✅ Default admin created (username: admin, password: admin123)');
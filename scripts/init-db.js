@@ -154,6 +154,16 @@ async function initDatabase() {
           type: DataTypes.STRING,
           allowNull: false,
         },
+        role: {
+          type: DataTypes.ENUM("FRONT_DESK", "VERIFIER", "SUPERADMIN"),
+          defaultValue: "FRONT_DESK",
+          allowNull: false,
+        },
+        is_active: {
+          type: DataTypes.BOOLEAN,
+          defaultValue: true,
+          allowNull: false,
+        },
       },
       {
         tableName: "admins",
@@ -200,10 +210,30 @@ async function initDatabase() {
           allowNull: false,
         },
         status: {
-          type: DataTypes.ENUM("PENGAJUAN_BARU", "DIPROSES", "SELESAI", "DITOLAK"),
+          type: DataTypes.ENUM("PENGAJUAN_BARU", "DIPROSES", "PERLU_KELENGKAPAN", "SELESAI", "DITOLAK"),
           defaultValue: "PENGAJUAN_BARU",
           allowNull: false,
         },
+        rejection_reason: {
+          type: DataTypes.TEXT,
+          allowNull: true,
+        },
+        form_data: {
+          type: DataTypes.JSON,
+          allowNull: true,
+        },
+        revision_items: {
+          type: DataTypes.JSON,
+          allowNull: true,
+        },
+        revision_note: {
+          type: DataTypes.TEXT,
+          allowNull: true,
+        },
+        revision_requested_at: {
+          type: DataTypes.DATE,
+          allowNull: true,
+        },
       },
       {
         tableName: "submissions",
@@ -1,6 +1,8 @@
 /**
  * Test script untuk SiCuba integration
- * Jalankan dengan: node scripts/test-sicuba.js
+ * Jalankan dengan: node scripts/test-sicuba.js +628xxxxxxxxxx
+ * (atau isi TEST_WHATSAPP_TO di .env.local). Untuk mencoba alur tanpa
+ * mengirim pesan sungguhan, pakai WHATSAPP_PROVIDER=mock dan buka /dev/messages.
  */
 
 require('dotenv').config({ path: '.env.local' });
@@ -18,9 +20,16 @@ async function testSiCubaIntegration() {
     return;
   }
 
-  // Test data - test dengan nomor yang diminta user
+  // Nomor tujuan harus diberikan secara eksplisit supaya tidak terkirim ke orang lain
+  const to = process.argv[2] || process.env.TEST_WHATSAPP_TO;
+  if (!to) {
+    console.error('❌ Missing recipient number!');
+    console.log('Usage: node scripts/test-sicuba.js +628xxxxxxxxxx (or set TEST_WHATSAPP_TO)');
+    return;
+  }
+
   const testData = {
-    to: '+6281212526287', // Test dengan nomor yang diminta user
+    to,
     name: 'Test User',
     campaign_id: process.env.SICUBA_CAMPAIGN_ID,
     customFields: {